@@ -0,0 +1,552 @@
+#!/usr/bin/env node
+
+// Command-line tool for monitoring and commissioning sensors, run with
+// --help for usage.
+
+const Joi = require('joi');
+const moment = require('moment');
+const gateway = require('..');
+const commands = require('../lib/commands');
+
+// The gateway logs its progress with console.log, which would get mixed up
+// with output that is being piped somewhere, so send it to stderr instead.
+console.log = console.error;
+
+const DEFAULT_READY_TIMEOUT_SECONDS = 30;
+const DEFAULT_SENSORS_DURATION_SECONDS = 60;
+
+// Option types: 'flag' takes no value, 'boolean' takes on or off and 'list'
+// takes comma separated values.
+const GLOBAL_OPTIONS = {
+    capture: 'string',
+    debug: 'flag',
+    device: 'string',
+    help: 'flag',
+    readyTimeout: 'number'
+};
+
+class UsageError extends Error {}
+
+const output = (line) => {
+    process.stdout.write(`${line}\n`);
+};
+
+// Exits once everything written to stdout has been flushed.
+const exit = (code) => {
+    process.stdout.write('', () => process.exit(code));
+};
+
+const fail = (err) => {
+    console.error(err.message);
+    exit(1);
+};
+
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const toKebabCase = (name) => name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+// Splits arguments into positional arguments and --options, checking the
+// options against those that the command accepts.
+const parseArgs = (args, optionTypes) => {
+    const positional = [];
+    const options = {};
+
+    for (let n = 0; n < args.length; n++) {
+        if (! args[n].startsWith('--')) {
+            positional.push(args[n]);
+            continue;
+        }
+
+        const parts = args[n].substring(2).split('=');
+        const name = toCamelCase(parts[0]);
+        const type = optionTypes[name];
+        let value = (parts.length > 1 ? parts.slice(1).join('=') : undefined);
+
+        if (! type) {
+            throw new UsageError(`Unknown option --${parts[0]}.`);
+        }
+
+        if (type === 'flag') {
+            options[name] = true;
+            continue;
+        }
+
+        if (value === undefined) {
+            value = args[++n];
+
+            if (value === undefined) {
+                throw new UsageError(`Option --${parts[0]} needs a value.`);
+            }
+        }
+
+        if (type === 'number') {
+            value = Number(value);
+
+            if (isNaN(value)) {
+                throw new UsageError(`Option --${parts[0]} must be a number.`);
+            }
+        } else if (type === 'boolean') {
+            if (! [ 'on', 'off' ].includes(value)) {
+                throw new UsageError(`Option --${parts[0]} must be on or off.`);
+            }
+
+            value = (value === 'on');
+        } else if (type === 'list') {
+            value = value.split(',');
+        }
+
+        options[name] = value;
+    }
+
+    return { positional, options };
+};
+
+const requireOptions = (options, names) => {
+    const missing = names.filter((name) => options[name] === undefined);
+
+    if (missing.length > 0) {
+        throw new UsageError(`Missing ${missing.map((name) => `--${toKebabCase(name)}`).join(', ')}.`);
+    }
+};
+
+// Starts the gateway, printing errors to stderr.
+const startGateway = (options, params = {}) => {
+    if (options.debug) {
+        params.debugMode = true;
+    }
+
+    if (options.device) {
+        params.devicePath = options.device;
+    }
+
+    if (options.capture) {
+        params.captureFile = options.capture;
+    }
+
+    params.onGatewayError = (err) => console.error(err.message);
+    gateway.runGateway(params);
+};
+
+// Resolves once the gateway has finished its handshake with the USB router,
+// or rejects if it can't within the ready timeout.
+const waitUntilReady = (options) => {
+    const timeoutSeconds = (options.readyTimeout !== undefined ? options.readyTimeout : DEFAULT_READY_TIMEOUT_SECONDS);
+
+    return new Promise((resolve, reject) => {
+        const finish = (err) => {
+            clearTimeout(timer);
+            gateway.removeListener('ready', finish);
+            gateway.removeListener('error', onError);
+
+            return (err ? reject(err) : resolve());
+        };
+
+        const onError = (err) => {
+            if (err.code === 'EHANDSHAKE') {
+                finish(err);
+            }
+        };
+
+        const timer = setTimeout(() => finish(new Error(`USB router was not ready within ${timeoutSeconds} seconds.`)), timeoutSeconds * 1000);
+
+        gateway.on('ready', finish);
+        gateway.on('error', onError);
+    });
+};
+
+// Starts the gateway, waits for it to be ready, then sends a command and
+// exits once it has been written to the USB router.  Parameters are
+// checked before the gateway is started, so that mistakes show up straight
+// away.
+const sendCommand = async (options, commandName, params) => {
+    const validationResult = Joi.validate(params, gateway[commands.COMMANDS[commandName].schema]);
+
+    if (validationResult.error) {
+        throw new UsageError(validationResult.error.message);
+    }
+
+    startGateway(options);
+    await waitUntilReady(options);
+    await commands.runCommand(gateway, commandName, params);
+
+    output('Sent.');
+    exit(0);
+};
+
+const formatValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : value);
+
+const formatTime = (timestamp) => moment(gateway.toMilliseconds(timestamp)).format('YYYY-MM-DD HH:mm:ss');
+
+const formatMessage = (message) => {
+    const payload = message.payload || {};
+    const fields = Object.keys(payload).map((key) => `${key}=${formatValue(payload[key])}`);
+
+    return `${formatTime(message.timestamp)}  ${message.sensorId}  ${message.type.padEnd(18)}  ${fields.join(' ')}`;
+};
+
+const monitor = async (args, options) => {
+    let messages;
+
+    try {
+        messages = gateway.messages({
+            type: options.type,
+            sensorId: options.sensor
+        });
+    } catch(err) {
+        throw new UsageError(err.message);
+    }
+
+    const params = {
+        sendStatusMessages: true,
+        sendHopData: true
+    };
+
+    // Play back a capture instead of using a USB router, stopping at the
+    // end of it.
+    if (options.replay) {
+        params.port = new gateway.ReplayRouter({
+            file: options.replay,
+            speed: (options.speed !== undefined ? options.speed : 1)
+        });
+
+        params.port.on('replayEnd', () => exit(0));
+    }
+
+    startGateway(options, params);
+
+    for await (const message of messages) {
+        output(options.json ? JSON.stringify(message) : formatMessage(message));
+    }
+};
+
+const info = async (args, options) => {
+    startGateway(options);
+    await waitUntilReady(options);
+
+    const details = {
+        macAddress: gateway.macAddress,
+        contikiVersion: gateway.contikiVersion,
+        conectricVersion: gateway.conectricVersion,
+        nodeModuleVersion: gateway.nodeModuleVersion,
+        port: gateway.comName
+    };
+
+    if (options.json) {
+        output(JSON.stringify(details));
+    } else {
+        output(`MAC address:        ${details.macAddress}`);
+        output(`Contiki version:    ${details.contikiVersion}`);
+        output(`Conectric version:  ${details.conectricVersion}`);
+        output(`Module version:     ${details.nodeModuleVersion}`);
+        output(`Port:               ${details.port}`);
+    }
+
+    exit(0);
+};
+
+const sendText = (args, options) => {
+    if (args.length < 2) {
+        throw new UsageError('Destination and message are required.');
+    }
+
+    return sendCommand(options, 'text', {
+        destination: args[0],
+        message: args.slice(1).join(' ')
+    });
+};
+
+const rs485Config = async (args, options) => {
+    if (args.length !== 1) {
+        throw new UsageError('Destination is required.');
+    }
+
+    requireOptions(options, [ 'baudRate', 'parity', 'stopBits', 'bitMask' ]);
+
+    const params = {
+        destination: args[0],
+        baudRate: options.baudRate,
+        parity: options.parity,
+        stopBits: options.stopBits,
+        bitMask: options.bitMask
+    };
+
+    if (! options.verify) {
+        return sendCommand(options, 'rs485Config', params);
+    }
+
+    params.verify = true;
+
+    const validationResult = Joi.validate(params, gateway.RS485_CONFIG_MESSAGE_SCHEMA);
+
+    if (validationResult.error) {
+        throw new UsageError(validationResult.error.message);
+    }
+
+    startGateway(options);
+    await waitUntilReady(options);
+    await gateway.sendRS485ConfigMessage(params);
+
+    output('Sent and verified.');
+    exit(0);
+};
+
+const formatRS485Config = (config) => `baudRate=${config.baudRate} parity=${config.parity} stopBits=${config.stopBits} bitMask=${config.bitMask}`;
+
+// Prints the RS-485 settings that a sensor reports next.  This process
+// has not heard from the sensor before, so there is nothing stored.
+const rs485GetConfig = async (args, options) => {
+    if (args.length !== 1) {
+        throw new UsageError('Destination is required.');
+    }
+
+    const requestOptions = {};
+
+    if (options.responseTimeout !== undefined) {
+        requestOptions.timeoutMs = options.responseTimeout;
+    }
+
+    const validationResult = Joi.validate(Object.assign({ destination: args[0] }, requestOptions), gateway.RS485_CONFIG_REQUEST_SCHEMA);
+
+    if (validationResult.error) {
+        throw new UsageError(validationResult.error.message);
+    }
+
+    startGateway(options);
+    await waitUntilReady(options);
+
+    const config = await gateway.getRS485Config(args[0], requestOptions);
+
+    output(options.json ? JSON.stringify(config) : formatRS485Config(config));
+    exit(0);
+};
+
+// Sends an RS-485 request and prints the response, unless --no-response
+// is given.
+const rs485Request = async (args, options) => {
+    if (args.length !== 2) {
+        throw new UsageError('Destination and message are required.');
+    }
+
+    const params = {
+        destination: args[0],
+        message: args[1],
+        hexEncodePayload: ! options.hex
+    };
+
+    if (options.noResponse) {
+        return sendCommand(options, 'rs485Request', params);
+    }
+
+    if (options.responseTimeout !== undefined) {
+        params.timeoutMs = options.responseTimeout;
+    }
+
+    if (options.retries !== undefined) {
+        params.retries = options.retries;
+    }
+
+    const validationResult = Joi.validate(params, gateway.RS485_QUERY_SCHEMA);
+
+    if (validationResult.error) {
+        throw new UsageError(validationResult.error.message);
+    }
+
+    startGateway(options, { useTrackingId: true });
+    await waitUntilReady(options);
+
+    const response = await gateway.rs485Query(params);
+
+    output(options.json ? JSON.stringify(response) : formatMessage(response));
+    exit(0);
+};
+
+const configEvents = (args, options) => {
+    if (args.length > 1 || (args.length === 1) === (options.broadcast === true)) {
+        throw new UsageError('Exactly one of a destination or --broadcast is required.');
+    }
+
+    requireOptions(options, [ 'sensorType', 'sleepTime', 'reportEvery', 'eventConfig', 'deploymentLifetime' ]);
+
+    // Allow names such as MOTION_DISABLE_ALL_EVENTS as well as values.
+    const eventConfig = (/^[A-Z_]+$/.test(options.eventConfig) && gateway[options.eventConfig] !== undefined ? gateway[options.eventConfig] : options.eventConfig);
+
+    const params = {
+        sensorType: options.sensorType,
+        sleepTime: options.sleepTime,
+        reportEvery: options.reportEvery,
+        eventConfig,
+        deploymentLifetime: options.deploymentLifetime
+    };
+
+    if (options.broadcast) {
+        params.broadcast = true;
+    } else {
+        params.destination = args[0];
+    }
+
+    if (options.moistureWetReportEvery !== undefined) {
+        params.moistureWetReportEvery = options.moistureWetReportEvery;
+    }
+
+    return sendCommand(options, 'eventConfig', params);
+};
+
+const configLeds = (args, options) => {
+    if (args.length !== 1) {
+        throw new UsageError('Destination is required.');
+    }
+
+    requireOptions(options, [ 'sensorType', 'tx', 'rx', 'activity', 'deploymentLifetime' ]);
+
+    return sendCommand(options, 'ledConfig', {
+        destination: args[0],
+        sensorType: options.sensorType,
+        leds: {
+            tx: options.tx,
+            rx: options.rx,
+            activity: options.activity
+        },
+        deploymentLifetime: options.deploymentLifetime
+    });
+};
+
+// Listens for a while, then lists the sensors that were heard from.
+const sensors = async (args, options) => {
+    const durationSeconds = (options.duration !== undefined ? options.duration : DEFAULT_SENSORS_DURATION_SECONDS);
+
+    startGateway(options, {
+        sendStatusMessages: true,
+        sendHopData: true
+    });
+
+    await waitUntilReady(options);
+    console.error(`Listening for ${durationSeconds} seconds.`);
+    await new Promise((resolve) => setTimeout(resolve, durationSeconds * 1000));
+
+    const heardFrom = gateway.getSensors().sort((a, b) => a.sensorId.localeCompare(b.sensorId));
+
+    if (options.json) {
+        output(JSON.stringify(heardFrom));
+        return exit(0);
+    }
+
+    output(`${'SENSOR'.padEnd(8)}${'TYPE'.padEnd(20)}${'LAST SEEN'.padEnd(22)}${'BATTERY'.padEnd(10)}${'HOPS'.padEnd(6)}MESSAGES`);
+
+    heardFrom.forEach((sensor) => {
+        const battery = (sensor.battery !== undefined ? `${sensor.battery}${sensor.lowBattery ? '!' : ''}` : '');
+        const hops = (sensor.numHops !== undefined ? `${sensor.numHops}` : '');
+
+        output(`${sensor.sensorId.padEnd(8)}${(sensor.sensorType || '').padEnd(20)}${formatTime(sensor.lastSeen).padEnd(22)}${battery.padEnd(10)}${hops.padEnd(6)}${sensor.messageCount}`);
+    });
+
+    output(`${heardFrom.length} sensor(s) heard from.`);
+    exit(0);
+};
+
+const COMMANDS = {
+    'monitor': {
+        usage: 'monitor [--json] [--type <types>] [--sensor <sensorIds>] [--replay <file> [--speed <n>]]',
+        description: 'Print messages as they arrive, optionally only those of the given comma separated types or from the given sensors.  --replay plays back a file written with --capture, --speed times faster than it was recorded, or as fast as possible if 0.',
+        options: { json: 'flag', type: 'list', sensor: 'list', replay: 'string', speed: 'number' },
+        run: monitor
+    },
+    'info': {
+        usage: 'info [--json]',
+        description: 'Print the USB router\'s MAC address and firmware versions.',
+        options: { json: 'flag' },
+        run: info
+    },
+    'send-text': {
+        usage: 'send-text <destination> <message>',
+        description: 'Send a text message to another USB router.',
+        options: {},
+        run: sendText
+    },
+    'rs485 config': {
+        usage: 'rs485 config <destination> --baud-rate <2400|4800|9600|19200> --parity <none|odd|even> --stop-bits <1|2> --bit-mask <7|8> [--verify]',
+        description: 'Configure the RS-485 port of a sensor.  --verify waits for the sensor to report its settings, and checks that they were applied.',
+        options: { baudRate: 'number', parity: 'string', stopBits: 'number', bitMask: 'number', verify: 'flag' },
+        run: rs485Config
+    },
+    'rs485 get-config': {
+        usage: 'rs485 get-config <destination> [--json] [--response-timeout <ms>]',
+        description: 'Wait for a sensor to report its RS-485 port settings, up to --response-timeout ms, 60000 by default, and print them.  Sensors can\'t be asked for them.',
+        options: { json: 'flag', responseTimeout: 'number' },
+        run: rs485GetConfig
+    },
+    'rs485 request': {
+        usage: 'rs485 request <destination> <message> [--hex] [--json] [--no-response] [--response-timeout <ms>] [--retries <n>]',
+        description: 'Send an RS-485 request and print the response.  --hex sends a message that is already hex encoded.',
+        options: { hex: 'flag', json: 'flag', noResponse: 'flag', responseTimeout: 'number', retries: 'number' },
+        run: rs485Request
+    },
+    'config events': {
+        usage: 'config events <destination|--broadcast> --sensor-type <type> --sleep-time <seconds> --report-every <n> --event-config <value> --deployment-lifetime <minutes> [--moisture-wet-report-every <n>]',
+        description: 'Set the reporting interval and events of a sensor, or with --broadcast of all sensors of a type.',
+        options: { broadcast: 'flag', sensorType: 'string', sleepTime: 'number', reportEvery: 'number', eventConfig: 'string', deploymentLifetime: 'number', moistureWetReportEvery: 'number' },
+        run: configEvents
+    },
+    'config leds': {
+        usage: 'config leds <destination> --sensor-type <type> --tx <on|off> --rx <on|off> --activity <on|off> --deployment-lifetime <minutes>',
+        description: 'Turn a sensor\'s LEDs on or off.',
+        options: { sensorType: 'string', tx: 'boolean', rx: 'boolean', activity: 'boolean', deploymentLifetime: 'number' },
+        run: configLeds
+    },
+    'sensors': {
+        usage: 'sensors [--duration <seconds>] [--json]',
+        description: `Listen for a while, ${DEFAULT_SENSORS_DURATION_SECONDS} seconds by default, then list the sensors heard from.`,
+        options: { duration: 'number', json: 'flag' },
+        run: sensors
+    }
+};
+
+const printUsage = () => {
+    output('Usage: conectric-gateway <command> [options]\n');
+    output('Commands:\n');
+
+    Object.keys(COMMANDS).forEach((name) => {
+        output(`  ${COMMANDS[name].usage}`);
+        output(`      ${COMMANDS[name].description}\n`);
+    });
+
+    output('Options for all commands:\n');
+    output('  --capture <file>         Append everything sent to and received from the USB router to a file.');
+    output('  --device <path>          Use this USB router rather than the first one found.');
+    output(`  --ready-timeout <secs>   How long to wait for the USB router, default ${DEFAULT_READY_TIMEOUT_SECONDS}.`);
+    output('  --debug                  Turn on the gateway\'s debug logging.');
+};
+
+const main = async () => {
+    const args = process.argv.slice(2);
+    const commandName = (COMMANDS[`${args[0]} ${args[1]}`] ? `${args[0]} ${args[1]}` : args[0]);
+    const command = COMMANDS[commandName];
+
+    if (! command) {
+        if (args.length > 0 && ! args.includes('--help')) {
+            console.error(`Unknown command "${args[0]}".`);
+        }
+
+        printUsage();
+        return exit(args.length === 0 || args.includes('--help') ? 0 : 2);
+    }
+
+    try {
+        const parsedArgs = parseArgs(args.slice(commandName.split(' ').length), Object.assign({}, GLOBAL_OPTIONS, command.options));
+
+        if (parsedArgs.options.help) {
+            output(`Usage: conectric-gateway ${command.usage}\n\n${command.description}`);
+            return exit(0);
+        }
+
+        await command.run(parsedArgs.positional, parsedArgs.options);
+    } catch(err) {
+        if (err instanceof UsageError) {
+            console.error(`${err.message}\nUsage: conectric-gateway ${command.usage}`);
+            return exit(2);
+        }
+
+        fail(err);
+    }
+};
+
+main();
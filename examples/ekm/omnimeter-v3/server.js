@@ -5,53 +5,23 @@
 
     One reading can be obtained by sending a single message to the meter.
 
-    Meter response is received via data chunks.
+    The EkmOmnimeter driver sends the request and decodes the response.
 */
 
 const gateway = require('conectric-usb-gateway-beta');
 
-const METER_SERIAL_NUMBER_HEX = '303030303130303036333838';
-
-let ekmData = {
-    dataChunks: []
-};
+const meter = new gateway.EkmOmnimeter({
+    gateway,
+    serialNumber: '000010006388',
+    sensorId: 'dfbc',
+    version: 3
+});
 
 gateway.runGateway({
     onSensorMessage: (sensorMessage) => {
-        if (sensorMessage.type === 'rs485ChunkEnvelopeResponse') {
-            console.log(`Need to request ${sensorMessage.payload.numChunks} chunks of size ${sensorMessage.payload.chunkSize} from ${sensorMessage.sensorId}`);
-
-            ekmData.chunkSize = sensorMessage.payload.chunkSize;
-            ekmData.chunkToRequest = 0;
-            ekmData.numChunks = sensorMessage.payload.numChunks;
-
-            gateway.sendRS485ChunkRequest({
-                chunkNumber: ekmData.chunkToRequest,
-                chunkSize: ekmData.chunkSize,
-                destination: sensorMessage.sensorId
-            });
-        } else if (sensorMessage.type === 'rs485ChunkResponse') {
-            if (ekmData.chunkToRequest < (ekmData.numChunks - 1)) {
-                ekmData.dataChunks.push(sensorMessage.payload.data);
-                ekmData.chunkToRequest++;
-
-                gateway.sendRS485ChunkRequest({
-                    chunkNumber: ekmData.chunkToRequest,
-                    chunkSize: ekmData.chunkSize,
-                    destination: sensorMessage.sensorId
-                });
-            } else {
-                // Drop the last byte from the final chunk.
-                ekmData.dataChunks.push(sensorMessage.payload.data.substring(0, sensorMessage.payload.data.length - 2));
-
-                console.log('Done, complete response:');
-                console.log(ekmData.dataChunks.join(''));
-            }
-        } else {
-            console.log(sensorMessage);
-        }
+        console.log(sensorMessage);
     },
-    onGatewayReady: () => {
+    onGatewayReady: async () => {
         console.log('Gateway is ready.');
 
         // One off... Configure RS485 for our meter device.
@@ -64,11 +34,13 @@ gateway.runGateway({
         //     destination: 'dfbc'
         // });
 
-        // Send EKM v3 meter message
-        gateway.sendRS485Request({
-            message: `2F3F${METER_SERIAL_NUMBER_HEX}210D0A`,
-            destination: 'dfbc',
-            hexEncodePayload: false
-        });
+        try {
+            const reading = await meter.read();
+
+            console.log('Done, meter reading:');
+            console.log(reading);
+        } catch (e) {
+            console.error(`Failed to read meter: ${e.message}`);
+        }
     }
 });
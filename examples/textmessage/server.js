@@ -16,11 +16,13 @@ gateway.runGateway({
     },
     onGatewayReady: () => {
         console.log('Gateway is ready.');
-        const res = gateway.sendTextMessage({
+        gateway.sendTextMessage({
             message: 'Hello World this is a test.',
             destination: DESTINATION_ROUTER_ADDR
+        }).then(() => {
+            console.log('Message sent.');
+        }).catch((err) => {
+            console.log(`Error sending message: ${err.message}`);
         });
-
-        console.log(`${res === true ? 'Message sent.' : 'Error sending message.'}`);
     }
 });
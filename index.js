@@ -1,48 +1,56 @@
-const usb = require('usb')
-const serialport = require('serialport');
-const Readline = serialport.parsers.Readline;
+const EventEmitter = require('events');
+const Readline = require('serialport/lib/parsers').Readline;
 const Joi = require('joi');
-const cache = require('memory-cache-ttl');
 const moment = require('moment');
 const roundTo = require('round-to');
-
-const conectricUsbGateway = {
-    macAddress: undefined,
-    parser: undefined,
-    serialPort: undefined,
-    contikiVersion: undefined,
-    conectricVersion: undefined,
-    nodeModuleVersion: require('./package.json').version,
-
+const FakeRouter = require('./lib/transports/fakeRouter');
+const ReplayRouter = require('./lib/transports/replayRouter');
+const streamTransport = require('./lib/transports/stream');
+const TtlCache = require('./lib/ttlCache');
+const SensorRegistry = require('./lib/sensorRegistry');
+const SensorWatchdog = require('./lib/sensorWatchdog');
+const BatteryMonitor = require('./lib/batteryMonitor');
+const ConfigManager = require('./lib/configManager');
+const MessageStore = require('./lib/messageStore');
+const Uplink = require('./lib/uplink');
+const MqttBridge = require('./lib/mqttBridge');
+const HttpApi = require('./lib/httpApi');
+const CaptureLog = require('./lib/captureLog');
+const errors = require('./lib/errors');
+const derivedMetrics = require('./lib/derivedMetrics');
+const builtInDecoders = require('./lib/decoders');
+const createMessageIterator = require('./lib/messageIterator');
+
+// Router devices currently in use by a gateway instance in this process.
+const claimedDevices = new Set();
+
+const constants = {
     BROADCAST_LOCAL_ADDRESS: 'ffff',
     BROADCAST_ALL_ADDRESS: '0000',
 
     PARITY_NONE: 'none',
     PARITY_ODD: 'odd',
+    PARITY_EVEN: 'even',
     PARTITY_EVEN: 'even',
 
     STANDARD_HEADER: 0,
     EXTENDED_HEADER: 128,
-    
-    MESSAGE_TYPES: {
-        '30': 'tempHumidity',
-        '31': 'switch',
-        '32': 'motion',
-        '36': 'rs485Request',
-        '37': 'rs485Response',
-        '38': 'rs485ChunkRequest',
-        '39': 'rs485ChunkResponse',
-        '40': 'pulse',
-        '41': 'echoStatus',
-        '42': 'rs485ChunkEnvelopeResponse',
-        '43': 'rs485Status',
-        '44': 'moisture',
-        '45': 'tempHumidityLight',
-        '46': 'tempHumidityAdc',
-        '60': 'boot',
-        '61': 'text',
-        '70': 'rs485Config'
+
+    SIMPLE_PAYLOAD: 32,
+
+    // How the payload is laid out for each supported payload type.  Simple
+    // payloads start with their length, then the message type, then the
+    // battery level, then the message data.  The layouts of the other
+    // payload types are not documented, so messages using them are dropped.
+    PAYLOAD_FORMATS: {
+        '32': { lengthBytes: 1 }
     },
+    
+    // Message type names, decoders and broadcast message types are filled 
+    // in by registerMessageType, see lib/decoders.js for the built in ones.
+    MESSAGE_TYPES: {},
+
+    DECODERS: {},
 
     TRACKABLE_MESSAGES: [
         '37', // rs485Response
@@ -50,22 +58,16 @@ const conectricUsbGateway = {
         '42' // r485ChunkEnvelopeResponse
     ],
 
-    BROADCAST_MESSAGE_TYPES: [
-        '30',
-        '31',
-        '32',
-        '37',
-        '39',
-        '40',
-        '41',
-        '42',
-        '43',
-        '44',
-        '45',
-        '46',
-        '60',
-        '61'
-    ],
+    BROADCAST_MESSAGE_TYPES: [],
+
+    MESSAGE_TYPE_SCHEMA: Joi.object().keys({
+        name: Joi.string().min(1).required(),
+        broadcast: Joi.boolean().optional(),
+        battery: Joi.boolean().optional(),
+        decode: Joi.func().optional()
+    }).required().options({
+        allowUnknown: true
+    }),
 
     TX_LED_DEFAULT_COLOR: '02', // Red
     RX_LED_DEFAULT_COLOR: '01', // Green
@@ -86,14 +88,17 @@ const conectricUsbGateway = {
     TEMP_HUMIDITY_EVENT_CONFIG: '00',
 
     PARAM_SCHEMA: Joi.object().keys({
-        onSensorMessage: Joi.func().required(),
+        onSensorMessage: Joi.func().optional(),
         onGatewayReady: Joi.func().optional(),
+        onFrameError: Joi.func().optional(),
+        onGatewayError: Joi.func().optional(),
         sendAdcWithLux: Joi.boolean().optional(),
         sendRawData: Joi.boolean().optional(),
         sendRawLux: Joi.boolean().optional(),
         sendBootMessages: Joi.boolean().optional(),
         sendStatusMessages: Joi.boolean().optional(),
         sendDecodedPayload: Joi.boolean().optional(),
+        sendDerivedMetrics: Joi.boolean().optional(),
         sendEventCount: Joi.boolean().optional(),
         useFahrenheitTemps: Joi.boolean().optional(),
         useMillisecondTimestamps: Joi.boolean().optional(),
@@ -103,7 +108,50 @@ const conectricUsbGateway = {
         debugMode: Joi.boolean().optional(),
         sendHopData: Joi.boolean().optional(),
         useTrackingId: Joi.boolean().optional(),
-    }).required().options({
+        verifyFrameLength: Joi.boolean().optional(),
+        assembleChunkedResponses: Joi.boolean().optional(),
+        captureFile: Joi.string().optional(),
+        handshakeTimeoutMs: Joi.number().integer().min(1).optional(),
+        handshakeRetries: Joi.number().integer().min(0).optional(),
+        commandIntervalMs: Joi.number().integer().min(0).optional(),
+        maxQueuedCommands: Joi.number().integer().min(1).optional(),
+        missedReportsBeforeOffline: Joi.number().integer().min(1).optional(),
+        lowBatteryThresholds: Joi.object().pattern(/^[a-zA-Z0-9]+$/, Joi.number().min(0)).optional(),
+        lowBatteryHysteresis: Joi.number().min(0).optional(),
+        store: Joi.object().keys({
+            directory: Joi.string().required(),
+            retentionDays: Joi.number().integer().min(1).optional(),
+            maxSizeMb: Joi.number().min(1).optional()
+        }).optional(),
+        uplink: Joi.object().keys({
+            url: Joi.string().uri({ scheme: [ 'http', 'https' ] }).required(),
+            directory: Joi.string().required(),
+            headers: Joi.object().pattern(/.*/, Joi.string()).optional(),
+            batchSize: Joi.number().integer().min(1).optional(),
+            retryMs: Joi.number().integer().min(1).optional(),
+            maxRetryMs: Joi.number().integer().min(1).optional(),
+            timeoutMs: Joi.number().integer().min(1).optional(),
+            maxQueuedMessages: Joi.number().integer().min(1).optional()
+        }).optional(),
+        mqtt: Joi.object().keys({
+            url: Joi.string().required(),
+            topicPrefix: Joi.string().optional(),
+            qos: Joi.number().valid(0, 1, 2).optional(),
+            clientOptions: Joi.object().optional()
+        }).optional(),
+        httpApi: Joi.object().keys({
+            port: Joi.number().integer().min(0).max(65535).required(),
+            host: Joi.string().optional(),
+            apiKey: Joi.string().optional()
+        }).optional(),
+        transport: Joi.object().keys({
+            findDevice: Joi.func().required(),
+            open: Joi.func().required(),
+            watch: Joi.func().optional()
+        }).unknown(true).optional(),
+        port: Joi.object().optional(),
+        devicePath: Joi.string().optional()
+    }).without('port', 'transport').required().options({
         allowUnknown: false
     }),
 
@@ -123,6 +171,69 @@ const conectricUsbGateway = {
         allowUnknown: false
     }),
 
+    RS485_QUERY_SCHEMA: Joi.object().keys({
+        message: Joi.string().min(1).max(250).required(),
+        destination: Joi.string().length(4).required(),
+        hexEncodePayload: Joi.boolean().optional(),
+        timeoutMs: Joi.number().integer().min(1).optional(),
+        retries: Joi.number().integer().min(0).optional()
+    }).required().options({
+        allowUnknown: false
+    }),
+
+    GATEWAY_STATE_CONNECTING: 'connecting',
+    GATEWAY_STATE_HANDSHAKING: 'handshaking',
+    GATEWAY_STATE_READY: 'ready',
+    GATEWAY_STATE_DISCONNECTED: 'disconnected',
+
+    // Startup commands, in the order they are sent to the USB router.
+    HANDSHAKE_COMMANDS: [ 'DP', 'VER', 'MR', 'SS' ],
+    // Time for the USB router to settle after its port is opened.
+    HANDSHAKE_START_DELAY_MS: 1500,
+    HANDSHAKE_DEFAULT_TIMEOUT_MS: 1000,
+    HANDSHAKE_DEFAULT_RETRIES: 3,
+
+    // Minimum time between outbound commands, so as not to flood the mesh.
+    COMMAND_DEFAULT_INTERVAL_MS: 250,
+    COMMAND_DEFAULT_MAX_QUEUED: 100,
+
+    CONFIG_CHECK_INTERVAL_MS: 10000,
+    CONFIG_MAX_ATTEMPTS: 3,
+    // Minutes.
+    CONFIG_DEFAULT_DEPLOYMENT_LIFETIME: 10,
+    // Time for a sensor to settle after it boots before it is sent settings.
+    CONFIG_BOOT_DELAY_MS: 5000,
+    CONFIG_RS485_TIMEOUT_MS: 60000,
+
+    WATCHDOG_CHECK_INTERVAL_MS: 10000,
+    WATCHDOG_DEFAULT_MISSED_REPORTS: 2,
+
+    STORE_DEFAULT_RETENTION_DAYS: 30,
+
+    UPLINK_DEFAULT_BATCH_SIZE: 50,
+    UPLINK_DEFAULT_RETRY_MS: 1000,
+    UPLINK_DEFAULT_MAX_RETRY_MS: 300000,
+    UPLINK_DEFAULT_TIMEOUT_MS: 10000,
+    UPLINK_DEFAULT_MAX_QUEUED_MESSAGES: 100000,
+
+    MQTT_DEFAULT_TOPIC_PREFIX: 'conectric',
+    MQTT_DEFAULT_QOS: 0,
+
+    HTTP_API_DEFAULT_HOST: '127.0.0.1',
+
+    // Volts.
+    LOW_BATTERY_DEFAULT_THRESHOLD: 2.5,
+    LOW_BATTERY_DEFAULT_HYSTERESIS: 0.1,
+
+    RS485_QUERY_DEFAULT_TIMEOUT_MS: 5000,
+    RS485_QUERY_DEFAULT_RETRIES: 1,
+
+    // How long to wait for a sensor to report its RS485 settings.
+    RS485_CONFIG_DEFAULT_TIMEOUT_MS: 60000,
+
+    RS485_CHUNK_DEFAULT_TIMEOUT_MS: 3000,
+    RS485_CHUNK_DEFAULT_RETRIES: 3,
+
     RS485_CHUNKED_MESSAGE_SCHEMA: Joi.object().keys({
         chunkNumber: Joi.number().integer().min(0).required(),
         chunkSize: Joi.number().integer().min(1).required(),
@@ -152,7 +263,17 @@ const conectricUsbGateway = {
             7,
             8
         ),
-        destination: Joi.string().length(4).required()
+        destination: Joi.string().length(4).required(),
+        // Broadcasts are reported by many sensors.
+        verify: Joi.boolean().when('destination', { is: Joi.string().valid('0000', 'ffff', 'FFFF'), then: Joi.valid(false) }).optional()
+    }).required().options({
+        allowUnknown: false
+    }),
+
+    RS485_CONFIG_REQUEST_SCHEMA: Joi.object().keys({
+        destination: Joi.string().length(4).required(),
+        timeoutMs: Joi.number().integer().min(1).optional(),
+        waitForReport: Joi.boolean().optional()
     }).required().options({
         allowUnknown: false
     }),
@@ -166,12 +287,86 @@ const conectricUsbGateway = {
             'tempHumidity',
             'tempHumidityLight'  
         ).required(),
+        destination: Joi.string().length(4),
+        broadcast: Joi.boolean().valid(true),
         sleepTime: Joi.number().integer().min(2).max(60).required(),
         reportEvery: Joi.number().integer().min(1).max(1440).required(),
-        eventConfig: Joi.string().valid('00', '01', '02', '03').required(), // TODO constrain by value of sensorType.
-        moistureWetReportEvery: Joi.number().integer().min(1).optional(), // TODO required for moisture sensorType otherwise must not be present.
+        // See the *_EVENTS constants for each sensor type's values.
+        eventConfig: Joi.alternatives().when('sensorType', {
+            is: Joi.valid('moisture', 'switch'),
+            then: Joi.string().valid('00', '01', '02', '03'),
+            otherwise: Joi.alternatives().when('sensorType', {
+                is: Joi.valid('motion', 'pulse'),
+                then: Joi.string().valid('00', '01'),
+                otherwise: Joi.string().valid('00')
+            })
+        }).required(),
+        moistureWetReportEvery: Joi.number().integer().min(1).max(1440).when('sensorType', {
+            is: 'moisture',
+            then: Joi.required(),
+            otherwise: Joi.forbidden()
+        }),
         deploymentLifetime: Joi.number().integer().min(0).required()
-    }).required().options({
+    }).xor('destination', 'broadcast').required().options({
+        allowUnknown: false
+    }),
+
+    QUERY_SCHEMA: Joi.object().keys({
+        sensorId: Joi.alternatives().try(Joi.string().length(4), Joi.array().items(Joi.string().length(4))).optional(),
+        type: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).optional(),
+        from: Joi.alternatives().try(Joi.number().min(0), Joi.object().type(Date)).optional(),
+        to: Joi.alternatives().try(Joi.number().min(0), Joi.object().type(Date)).optional(),
+        limit: Joi.number().integer().min(1).optional()
+    }).optional().options({
+        allowUnknown: false
+    }),
+
+    REPORT_INTERVAL_SCHEMA: Joi.object().keys({
+        sensorId: Joi.string().length(4),
+        sensorType: Joi.string().valid(
+            'moisture',
+            'motion',
+            'pulse',
+            'switch',
+            'tempHumidity',
+            'tempHumidityLight'  
+        ),
+        sleepTime: Joi.number().integer().min(2).max(60).required(),
+        reportEvery: Joi.number().integer().min(1).max(1440).required()
+    }).xor('sensorId', 'sensorType').required().options({
+        allowUnknown: false
+    }),
+
+    DESIRED_CONFIG_SCHEMA: Joi.object().keys({
+        sensorId: Joi.string().length(4),
+        sensorType: Joi.string().valid(
+            'moisture',
+            'motion',
+            'pulse',
+            'rs485',
+            'switch',
+            'tempHumidity',
+            'tempHumidityLight'  
+        ),
+        events: Joi.object().keys({
+            sleepTime: Joi.number().integer().min(2).max(60).required(),
+            reportEvery: Joi.number().integer().min(1).max(1440).required(),
+            eventConfig: Joi.string().valid('00', '01', '02', '03').required(),
+            moistureWetReportEvery: Joi.number().integer().min(1).max(1440).optional()
+        }).when('sensorType', { is: 'rs485', then: Joi.forbidden() }),
+        leds: Joi.object().keys({
+            tx: Joi.boolean().required(),
+            rx: Joi.boolean().required(),
+            activity: Joi.boolean().required()
+        }).when('sensorType', { is: 'rs485', then: Joi.forbidden() }),
+        rs485: Joi.object().keys({
+            baudRate: Joi.number().valid(2400, 4800, 9600, 19200).required(),
+            parity: Joi.string().valid('none', 'odd', 'even').required(),
+            stopBits: Joi.number().valid(1, 2).required(),
+            bitMask: Joi.number().valid(7, 8).required()
+        }).when('sensorType', { is: Joi.string().invalid('rs485').required(), then: Joi.forbidden() }),
+        deploymentLifetime: Joi.number().integer().min(0).optional()
+    }).xor('sensorId', 'sensorType').or('events', 'leds', 'rs485').required().options({
         allowUnknown: false
     }),
 
@@ -199,10 +394,67 @@ const conectricUsbGateway = {
 
     IGNORABLE_MESSAGE_TYPES: [ '33', '34', '35' ],
 
-    KNOWN_COMMANDS: [ 'DP', 'MR', 'SS', 'VER' ],
+    FRAME_ERROR_INVALID_CHARACTERS: 'invalidCharacters',
+    FRAME_ERROR_ODD_LENGTH: 'oddLength',
+    FRAME_ERROR_TOO_SHORT: 'tooShort',
+    FRAME_ERROR_LENGTH_MISMATCH: 'lengthMismatch',
+    FRAME_ERROR_DECODE_FAILED: 'decodeFailed',
+
+    // Header byte, sequence number, hop count, max hops, 2 byte source.
+    MIN_HEADER_LENGTH: 6,
+
+    KNOWN_COMMANDS: [ 'DP', 'MR', 'SS', 'VER' ]
+};
+
+// Emits each decoded message as a 'message' event and as an event named 
+// after its type, plus 'attached', 'detached', 'ready', 'stateChange' and 
+// 'error' events.
+class Gateway extends EventEmitter {
+    constructor() {
+        super();
+
+        this.macAddress = undefined;
+        this.parser = undefined;
+        this.serialPort = undefined;
+        this.transport = undefined;
+        this.comName = undefined;
+        this.cache = undefined;
+        this.params = undefined;
+        this.pendingRequests = new Map();
+        this.chunkTransfers = new Map();
+        this.rs485Configs = new Map();
+        this.rs485ConfigRequests = new Set();
+        this.sensorRegistry = new SensorRegistry();
+        this.watchdog = new SensorWatchdog((eventName, details) => this.emit(eventName, details));
+        this.batteryMonitor = new BatteryMonitor((eventName, details) => this.emit(eventName, details));
+        this.configManager = new ConfigManager(this);
+        this.messageStore = undefined;
+        this.uplink = undefined;
+        this.mqttBridge = undefined;
+        this.httpApi = undefined;
+        this.captureLog = undefined;
+        this.contikiVersion = undefined;
+        this.conectricVersion = undefined;
+        this.acknowledgements = new Set();
+        this.handshake = undefined;
+        this.outboundQueue = [];
+        this.outboundTimer = undefined;
+        this.unwatch = undefined;
+        this.stopped = false;
+        this.state = this.GATEWAY_STATE_DISCONNECTED;
+        this.nodeModuleVersion = require('./package.json').version;
+
+        // Bind all methods, so that they can be passed around as callbacks
+        // or destructured as in earlier versions of this module.
+        Object.getOwnPropertyNames(Gateway.prototype).forEach((name) => {
+            if (name !== 'constructor' && typeof this[name] === 'function') {
+                this[name] = this[name].bind(this);
+            }
+        });
+    }
 
-    runGateway: async function(params) {
-        const validationResult = Joi.validate(params, conectricUsbGateway.PARAM_SCHEMA);
+    async runGateway(params) {
+        const validationResult = Joi.validate(params, this.PARAM_SCHEMA);
 
         if (validationResult.error) {
             console.error(validationResult.error.message);
@@ -229,158 +481,506 @@ const conectricUsbGateway = {
             params.decodeTextMessages = true;
         }
 
+        if (! params.hasOwnProperty('handshakeTimeoutMs')) {
+            params.handshakeTimeoutMs = this.HANDSHAKE_DEFAULT_TIMEOUT_MS;
+        }
+
+        if (! params.hasOwnProperty('handshakeRetries')) {
+            params.handshakeRetries = this.HANDSHAKE_DEFAULT_RETRIES;
+        }
+
+        if (! params.hasOwnProperty('commandIntervalMs')) {
+            params.commandIntervalMs = this.COMMAND_DEFAULT_INTERVAL_MS;
+        }
+
+        if (! params.hasOwnProperty('maxQueuedCommands')) {
+            params.maxQueuedCommands = this.COMMAND_DEFAULT_MAX_QUEUED;
+        }
+
+        if (! params.hasOwnProperty('missedReportsBeforeOffline')) {
+            params.missedReportsBeforeOffline = this.WATCHDOG_DEFAULT_MISSED_REPORTS;
+        }
+
+        if (! params.hasOwnProperty('lowBatteryHysteresis')) {
+            params.lowBatteryHysteresis = this.LOW_BATTERY_DEFAULT_HYSTERESIS;
+        }
+
         // Establish cache if needed.
         if (params.deDuplicateBursts) {
-            cache.init({ ttl: 30, interval: 3, randomize: false });
+            this.cache = new TtlCache(30, 3);
         }
 
-        conectricUsbGateway.params = params;
+        this.params = params;
+        this.stopped = false;
 
-        conectricUsbGateway.handleUSBEvents();
-        conectricUsbGateway.startGateway();
-    },
+        if (params.captureFile) {
+            this.captureLog = new CaptureLog({
+                file: params.captureFile,
+                onError: this.reportError
+            });
+        }
+
+        if (params.store) {
+            this.messageStore = new MessageStore({
+                directory: params.store.directory,
+                retentionDays: params.store.retentionDays || this.STORE_DEFAULT_RETENTION_DAYS,
+                maxBytes: (params.store.maxSizeMb ? params.store.maxSizeMb * 1024 * 1024 : undefined),
+                onError: this.reportError
+            });
+        }
+
+        if (params.uplink) {
+            this.uplink = new Uplink({
+                url: params.uplink.url,
+                directory: params.uplink.directory,
+                headers: params.uplink.headers,
+                batchSize: params.uplink.batchSize || this.UPLINK_DEFAULT_BATCH_SIZE,
+                retryMs: params.uplink.retryMs || this.UPLINK_DEFAULT_RETRY_MS,
+                maxRetryMs: params.uplink.maxRetryMs || this.UPLINK_DEFAULT_MAX_RETRY_MS,
+                timeoutMs: params.uplink.timeoutMs || this.UPLINK_DEFAULT_TIMEOUT_MS,
+                maxQueued: params.uplink.maxQueuedMessages || this.UPLINK_DEFAULT_MAX_QUEUED_MESSAGES,
+                getMacAddress: () => this.macAddress,
+                onError: this.reportError,
+                debugMode: params.debugMode
+            });
+
+            this.uplink.start();
+        }
 
-    handleUSBEvents: () => {
-        usb.on('attach', function(device) { 
-            if (conectricUsbGateway.isConectricRouter(device)) {
+        if (params.mqtt) {
+            this.mqttBridge = new MqttBridge(this, {
+                url: params.mqtt.url,
+                clientOptions: params.mqtt.clientOptions,
+                topicPrefix: params.mqtt.topicPrefix || this.MQTT_DEFAULT_TOPIC_PREFIX,
+                qos: (params.mqtt.hasOwnProperty('qos') ? params.mqtt.qos : this.MQTT_DEFAULT_QOS)
+            });
+        }
+
+        if (params.httpApi) {
+            this.httpApi = new HttpApi(this, {
+                port: params.httpApi.port,
+                host: params.httpApi.host || this.HTTP_API_DEFAULT_HOST,
+                apiKey: params.httpApi.apiKey
+            });
+        }
+
+        // Talk to a physical USB router over serial unless told otherwise.
+        if (params.port) {
+            this.transport = streamTransport(params.port);
+        } else if (params.transport) {
+            this.transport = params.transport;
+        } else {
+            this.transport = require('./lib/transports/serial');
+        }
+
+        this.watchdog.start(this.WATCHDOG_CHECK_INTERVAL_MS, params.missedReportsBeforeOffline);
+        this.batteryMonitor.configure(Object.assign({ default: this.LOW_BATTERY_DEFAULT_THRESHOLD }, params.lowBatteryThresholds), params.lowBatteryHysteresis);
+        this.configManager.start({
+            checkIntervalMs: this.CONFIG_CHECK_INTERVAL_MS,
+            maxAttempts: this.CONFIG_MAX_ATTEMPTS,
+            bootDelayMs: this.CONFIG_BOOT_DELAY_MS,
+            rs485TimeoutMs: this.CONFIG_RS485_TIMEOUT_MS
+        });
+        this.handleUSBEvents();
+        this.startGateway();
+    }
+
+    handleUSBEvents() {
+        if (! this.transport.watch) {
+            // Transport has no notion of devices coming and going.
+            return;
+        }
+
+        this.unwatch = this.transport.watch(() => { 
+            // Another gateway instance may be using the device that 
+            // was attached, startGateway will look for a free one.
+            if (! this.serialPort && ! this.stopped) {
                 console.log('USB Router device attached.');
-                setTimeout(conectricUsbGateway.startGateway, 200); 
+                setTimeout(this.startGateway, 200); 
             }
-        });
-        usb.on('detach', function(device) { 
-            if (conectricUsbGateway.isConectricRouter(device)) {
+        }, async () => { 
+            // Only restart if it was our device that was removed.
+            const devices = await this.listRouterDevices().catch(() => []);
+
+            if ((! this.comName || ! devices.includes(this.comName)) && ! this.stopped) {
                 console.log('USB Router device removed.');
-                setTimeout(conectricUsbGateway.startGateway, 100); 
+                setTimeout(this.startGateway, 100); 
             }
         });        
-    },
+    }
+
+    // Stops everything that runGateway started: closes the USB router's
+    // serial port, stops the timers, and closes the capture file, message
+    // store, uplink, MQTT connection and HTTP API, so that the process can
+    // exit.  Outstanding requests reject with a NotConnectedError.
+    // Resolves once everything has been closed.  Call runGateway to start
+    // again.
+    async stop() {
+        this.stopped = true;
+        this.stopHandshake();
+        clearTimeout(this.outboundTimer);
+        this.outboundTimer = undefined;
+        this.watchdog.stop();
+        this.configManager.stop();
+
+        if (typeof this.unwatch === 'function') {
+            this.unwatch();
+            this.unwatch = undefined;
+        }
+
+        this.pendingRequests.forEach((pendingRequest) => pendingRequest.reject(new errors.NotConnectedError()));
+        this.rs485ConfigRequests.forEach((request) => request.settle(new errors.NotConnectedError()));
+        this.chunkTransfers.forEach((transfer) => this.failChunkedTransfer(transfer, new errors.NotConnectedError()));
+
+        if (this.serialPort && typeof this.serialPort.close === 'function') {
+            this.serialPort.close();
+        }
+
+        this.serialPort = undefined;
+        this.parser = undefined;
+        this.releaseRouterDevice();
+        this.setState(this.GATEWAY_STATE_DISCONNECTED);
+
+        const closing = [];
+
+        if (this.captureLog) {
+            closing.push(new Promise((resolve) => this.captureLog.close(resolve)));
+            this.captureLog = undefined;
+        }
+
+        if (this.messageStore) {
+            closing.push(this.messageStore.close());
+            this.messageStore = undefined;
+        }
+
+        if (this.uplink) {
+            closing.push(this.uplink.stop());
+            this.uplink = undefined;
+        }
+
+        if (this.mqttBridge) {
+            closing.push(this.mqttBridge.close());
+            this.mqttBridge = undefined;
+        }
+
+        if (this.httpApi) {
+            closing.push(new Promise((resolve) => this.httpApi.close(resolve)));
+            this.httpApi = undefined;
+        }
+
+        await Promise.all(closing);
+    }
+
+    async startGateway() {
+        // A USB router was attached or removed just before stop was called.
+        if (this.stopped) {
+            return;
+        }
+
+        console.log(`Gateway node module version ${this.nodeModuleVersion}.`);
+        this.stopHandshake();
+        this.setState(this.GATEWAY_STATE_CONNECTING);
+
+        // Anything learned from a previous router no longer applies.
+        this.macAddress = undefined;
+        this.conectricVersion = undefined;
+        this.contikiVersion = undefined;
+        this.acknowledgements.clear();
+        this.handshakeError = undefined;
 
-    startGateway: async function () {
-        console.log(`Gateway node module version ${conectricUsbGateway.nodeModuleVersion}.`);
         try {
-            await conectricUsbGateway.findRouterDevice();
-            console.log(`Found USB router device at ${conectricUsbGateway.comName}.`);
+            await this.findRouterDevice();
+            console.log(`Found USB router device at ${this.comName}.`);
         } catch(e) {
             console.log('Waiting for USB router device.');
-            conectricUsbGateway.macAddress = undefined;
-            conectricUsbGateway.parser = undefined;
-            conectricUsbGateway.serialPort = undefined;
-            conectricUsbGateway.conectricVersion = undefined;
-            conectricUsbGateway.contikiVersion = undefined;
+            this.parser = undefined;
+            this.serialPort = undefined;
+            this.setState(this.GATEWAY_STATE_DISCONNECTED);
             return;
         }
 
-        conectricUsbGateway.startSerial();
-        conectricUsbGateway.parser = new Readline();
-        conectricUsbGateway.serialPort.pipe(conectricUsbGateway.parser);
+        this.startSerial();
+        this.parser = new Readline();
+        this.serialPort.pipe(this.parser);
+        this.emit('attached', this.comName);
 
-        conectricUsbGateway.serialPort.on('open', function() {
+        this.serialPort.on('open', () => {
             console.log('Gateway opened.');
         });
 
-        conectricUsbGateway.serialPort.on('close', function() {
+        this.serialPort.on('close', () => {
             console.log('Gateway closed.');
+            this.stopHandshake();
+            this.setState(this.GATEWAY_STATE_DISCONNECTED);
+
+            // Closed by failHandshake or stop, nothing was unplugged.
+            if (! this.handshakeError && ! this.stopped) {
+                this.emit('detached', this.comName);
+            }
+        });
+
+        this.serialPort.on('error', (err) => {
+            this.reportError(err);
         });
 
-        conectricUsbGateway.parser.on('data', function(data) {
-            if (data.startsWith('>') && conectricUsbGateway.conectricVersion && conectricUsbGateway.contikiVersion && conectricUsbGateway.macAddress) {
+        this.parser.on('data', (data) => {
+            if (this.captureLog) {
+                this.captureLog.write(CaptureLog.DIRECTION_IN, data);
+            }
+
+            if (data.startsWith('>') && this.conectricVersion && this.contikiVersion && this.macAddress) {
                 // Found a message and we have started up properly.
-                conectricUsbGateway.parseMessage(`${data.substring(1)}`);
+                this.parseMessage(`${data.substring(1)}`);
+            } else if (data.startsWith('>')) {
+                if (this.params.debugMode) {
+                    console.log(`Ignoring message received before handshake: ${data}`);
+                }
             } else if (data.startsWith('MR:')) {
                 // Found mac address.
-                conectricUsbGateway.macAddress = `${data.substring(3)}`;
-                console.log(`USB router mac address is ${conectricUsbGateway.macAddress}.`);
+                this.macAddress = `${data.substring(3)}`;
+                console.log(`USB router mac address is ${this.macAddress}.`);
             } else if (data === 'DP:Ok') {
                 // Dump buffer was acknowledged OK.
+                this.acknowledgements.add('DP');
                 console.log('Switched gateway to dump payload mode.');
             } else if (data === 'SS:Ok') {
                 // Sink was acknowledged OK.
+                this.acknowledgements.add('SS');
                 console.log('Switched gateway to sink mode.');
-                
-                // Notify caller gateway is ready, if interested.
-                if (conectricUsbGateway.params.onGatewayReady) {
-                    conectricUsbGateway.params.onGatewayReady();
-                }
             } else if (data.toLowerCase().startsWith('ver:contiki')) {
-                conectricUsbGateway.contikiVersion = data.substring(12);
-                console.log(`USB router Contiki version: ${conectricUsbGateway.contikiVersion}`);
+                this.contikiVersion = data.substring(12);
+                console.log(`USB router Contiki version: ${this.contikiVersion}`);
             } else if (data.toLowerCase().startsWith('ver:conectric-v')) {
-                conectricUsbGateway.conectricVersion = data.substring(15);
-                console.log(`USB router Conectric version: ${conectricUsbGateway.conectricVersion}`);
+                this.conectricVersion = data.substring(15);
+                console.log(`USB router Conectric version: ${this.conectricVersion}`);
             } else {
-                if (! conectricUsbGateway.KNOWN_COMMANDS.includes(data)) {
-                    if (conectricUsbGateway.params.debugMode) {
+                if (! this.KNOWN_COMMANDS.includes(data)) {
+                    if (this.params.debugMode) {
                         console.log(`Unprocessed: ${data}`);
                     }
                 }
             }
+
+            this.checkHandshake();
         });
-        
-        setTimeout(function() {
-            conectricUsbGateway.serialPort.write('DP\n');
-            setTimeout(function() {
-                conectricUsbGateway.serialPort.write('V');
-                conectricUsbGateway.serialPort.write('E');
-                conectricUsbGateway.serialPort.write('R\n');
-                setTimeout(function() {
-                    conectricUsbGateway.serialPort.write('MR\n');
-                    setTimeout(function() {
-                        conectricUsbGateway.serialPort.write('SS\n');
-                    }, 500);        
-                }, 500);
-            }, 500);
-            
-            // Original:
-            //conectricUsbGateway.serialPort.write('DP\nMR\nVER\nSS\n');
-        }, 1500);
-    },
 
-    isConectricRouter: (device) => {
-        const descriptor = device.deviceDescriptor;
-        if (descriptor) {
-            return (descriptor.idVendor && descriptor.idVendor === 1027 && descriptor.idProduct && descriptor.idProduct === 24597);
+        this.startHandshake();
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        if (state !== this.state) {
+            this.state = state;
+
+            // Queued commands would wait until a router is next attached,
+            // which may never happen, so don't leave callers waiting.
+            if (state === this.GATEWAY_STATE_DISCONNECTED) {
+                this.outboundQueue.splice(0).forEach((queuedCommand) => queuedCommand.reject(new errors.NotConnectedError()));
+            }
+
+            this.emit('stateChange', state);
+        }
+    }
+
+    // Sends the startup commands to the USB router one at a time, moving 
+    // on to the next once the previous one has been acknowledged.
+    startHandshake() {
+        this.setState(this.GATEWAY_STATE_HANDSHAKING);
+        this.handshake = {
+            step: 0,
+            attempts: 0,
+            timer: undefined
+        };
+
+        this.handshake.timer = setTimeout(this.sendHandshakeCommand, this.HANDSHAKE_START_DELAY_MS);
+    }
+
+    // Sends the current handshake command, or resends it if it was not 
+    // acknowledged in time.  The wait doubles with each attempt.
+    sendHandshakeCommand() {
+        const handshake = this.handshake;
+        const command = this.HANDSHAKE_COMMANDS[handshake.step];
+
+        if (handshake.attempts > this.params.handshakeRetries) {
+            return this.failHandshake(new errors.HandshakeError(`USB router did not respond to ${command} after ${handshake.attempts} attempt(s).`, {
+                command,
+                attempts: handshake.attempts
+            }));
         }
 
-        return false;
-    },
+        if (handshake.attempts > 0 && this.params.debugMode) {
+            console.log(`No response to ${command}, retrying.`);
+        }
 
-    isBroadcastMessageType: (messageType) => {
-        return conectricUsbGateway.BROADCAST_MESSAGE_TYPES.includes(messageType);
-    },
+        const timeoutMs = this.params.handshakeTimeoutMs * Math.pow(2, handshake.attempts);
+        handshake.attempts++;
 
-    findRouterDevice: () => {
-        return new Promise((resolve, reject) => {
-            serialport.list((err, ports) => {
-                for (let n = 0; n < ports.length; n++) {
-                    const port = ports[n];
-                    const lowerPortName = port.comName.toLowerCase();
-
-                    if (port.manufacturer && port.manufacturer === 'FTDI' && (
-                        lowerPortName.indexOf('usbserial-') !== -1 || 
-                        lowerPortName.indexOf('ttyusb') !== -1 ||
-                        lowerPortName.indexOf('com') !== -1)
-                    ) {
-                        conectricUsbGateway.comName = port.comName;
-                        return resolve(port.comName);
-                    }
-                }
+        if (this.captureLog) {
+            this.captureLog.write(CaptureLog.DIRECTION_OUT, command);
+        }
 
-                // No suitable port found.
-                conectricUsbGateway.comName = null;
-                return reject();
-            });
-        });
-    },
+        if (command === 'VER') {
+            // Router does not reliably accept VER in a single write.
+            this.serialPort.write('V');
+            this.serialPort.write('E');
+            this.serialPort.write('R\n');
+        } else {
+            this.serialPort.write(`${command}\n`);
+        }
+
+        handshake.timer = setTimeout(this.sendHandshakeCommand, timeoutMs);
+    }
+
+    isHandshakeStepComplete(command) {
+        switch (command) {
+            case 'DP':
+            case 'SS':
+                return this.acknowledgements.has(command);
+            case 'VER':
+                return (this.contikiVersion !== undefined && this.conectricVersion !== undefined);
+            case 'MR':
+                return this.macAddress !== undefined;
+            default:
+                return false;
+        }
+    }
+
+    // Called for each line received from the USB router, advances the 
+    // handshake past any commands that have now been acknowledged.
+    checkHandshake() {
+        const handshake = this.handshake;
+
+        // Wait for the first command to be sent before advancing.
+        if (! handshake || handshake.attempts === 0) {
+            return;
+        }
+
+        if (! this.isHandshakeStepComplete(this.HANDSHAKE_COMMANDS[handshake.step])) {
+            return;
+        }
+
+        clearTimeout(handshake.timer);
+        handshake.step++;
+        handshake.attempts = 0;
 
-    startSerial: () => {
-        conectricUsbGateway.serialPort = new serialport(conectricUsbGateway.comName, {
-            baudRate:  230400
+        if (handshake.step < this.HANDSHAKE_COMMANDS.length) {
+            this.sendHandshakeCommand();
+        } else {
+            this.completeHandshake();
+        }
+    }
+
+    completeHandshake() {
+        this.handshake = undefined;
+        this.setState(this.GATEWAY_STATE_READY);
+
+        // Notify caller gateway is ready, if interested.
+        if (this.params.onGatewayReady) {
+            this.params.onGatewayReady();
+        }
+
+        this.emit('ready');
+
+        // Send anything queued while the router was unavailable.
+        this.processOutboundQueue();
+    }
+
+    // Gives up on the router until it is attached again.  Stream 
+    // transports have no attach events, so are not retried.
+    failHandshake(err) {
+        this.handshake = undefined;
+        this.handshakeError = err;
+        this.setState(this.GATEWAY_STATE_DISCONNECTED);
+        this.emit('handshakeFailed', err);
+        this.reportError(err);
+
+        if (typeof this.serialPort.close === 'function') {
+            this.serialPort.close();
+        }
+    }
+
+    stopHandshake() {
+        if (this.handshake) {
+            clearTimeout(this.handshake.timer);
+            this.handshake = undefined;
+        }
+    }
+
+    isConectricRouter(device) {
+        return require('./lib/transports/serial').isConectricRouter(device);
+    }
+
+    isBroadcastMessageType(messageType) {
+        return this.BROADCAST_MESSAGE_TYPES.includes(messageType);
+    }
+
+    registerMessageType(code, definition) {
+        return registerMessageType(code, definition);
+    }
+
+    getTransport() {
+        return this.transport || require('./lib/transports/serial');
+    }
+
+    // Lists the names of all USB router devices currently available,
+    // including those in use by other gateway instances.
+    async listRouterDevices() {
+        const transport = this.getTransport();
+
+        if (transport.listDevices) {
+            return transport.listDevices();
+        }
+
+        return [ await transport.findDevice() ];
+    }
+
+    async findRouterDevice() {
+        // Give up any device we were using before, it may have gone away.
+        this.releaseRouterDevice();
+
+        if (! this.transport.listDevices) {
+            // Transport only knows about a single device.
+            this.comName = await this.transport.findDevice();
+            return this.comName;
+        }
+
+        const devices = await this.transport.listDevices();
+        const comName = devices.find((device) => {
+            if (this.params.devicePath) {
+                return device === this.params.devicePath;
+            }
+
+            return ! claimedDevices.has(device);
         });
 
-        return conectricUsbGateway.serialPort;
-    },
+        if (! comName) {
+            // No suitable device found.
+            throw new Error('No USB router device available.');
+        }
+
+        this.comName = comName;
+        claimedDevices.add(comName);
+        return comName;
+    }
+
+    releaseRouterDevice() {
+        if (this.comName) {
+            claimedDevices.delete(this.comName);
+        }
 
-    hexEncode: (message) => {
+        this.comName = null;
+    }
+
+    startSerial() {
+        this.serialPort = this.transport.open(this.comName);
+
+        return this.serialPort;
+    }
+
+    hexEncode(message) {
         let encodedMessage = '';
 
         for (let n = 0; n < message.length; n++) {
@@ -394,9 +994,9 @@ const conectricUsbGateway = {
         }
 
         return encodedMessage;
-    },
+    }
 
-    hexDecode: (message) => {
+    hexDecode(message) {
         let decodedMessage = '';
 
         for (let n = 0; n < message.length; n += 2) {
@@ -404,12 +1004,20 @@ const conectricUsbGateway = {
         }
 
         return decodedMessage;
-    },
+    }
+
+    rawToCelsius(tempRaw) {
+        return -46.85 + ((parseInt(tempRaw, 16) / 65536) * 175.72);
+    }
+
+    rawToHumidity(humidityRaw) {
+        return -6 + (125 * (parseInt(humidityRaw, 16) / 65536));
+    }
 
-    calculateTemperature: (tempRaw) => {
-        const temperature = roundTo((-46.85 + ((parseInt(tempRaw, 16) / 65536) * 175.72)), 2); // C
+    calculateTemperature(tempRaw) {
+        const temperature = roundTo(this.rawToCelsius(tempRaw), 2); // C
 
-        if (conectricUsbGateway.params.useFahrenheitTemps) {
+        if (this.params.useFahrenheitTemps) {
             return {
                 temperature: roundTo(((temperature * (9 / 5)) + 32), 2), // F
                 temperatureUnit: 'F'
@@ -421,25 +1029,93 @@ const conectricUsbGateway = {
             }
             message.payload.temperatureUnit = 'C';
         }
-    },
-
-    calculateHumidity: (humidityRaw) => {
-        return roundTo((-6 + (125 * (parseInt(humidityRaw, 16) / 65536))), 2); // percentage
-    },
+    }
 
-    sendTextMessage: (params) => {
-        const validationResult = Joi.validate(params, conectricUsbGateway.TEXT_MESSAGE_SCHEMA);
+    calculateHumidity(humidityRaw) {
+        return roundTo(this.rawToHumidity(humidityRaw), 2); // percentage
+    }
 
-        if (validationResult.error) {
-            console.error(validationResult.error.message);
-            return false;
+    // Returns dewPoint and heatIndex, in the same unit as temperature,
+    // absoluteHumidity in g/m3 and vaporPressureDeficit in kPa, or nothing
+    // if the sendDerivedMetrics option is not set.
+    calculateDerivedMetrics(tempRaw, humidityRaw) {
+        if (! this.params.sendDerivedMetrics) {
+            return {};
         }
 
-        let encodedPayload = conectricUsbGateway.hexEncode(params.message);
+        const temperature = this.rawToCelsius(tempRaw);
+        const humidity = this.rawToHumidity(humidityRaw);
+        const toTemperatureUnit = (celsius) => roundTo((this.params.useFahrenheitTemps ? (celsius * (9 / 5)) + 32 : celsius), 2);
 
-        // length:
-        // 1 for the message type
-        // 1 for the length
+        return {
+            dewPoint: toTemperatureUnit(derivedMetrics.dewPoint(temperature, humidity)),
+            heatIndex: toTemperatureUnit(derivedMetrics.heatIndex(temperature, humidity)),
+            absoluteHumidity: roundTo(derivedMetrics.absoluteHumidity(temperature, humidity), 2),
+            vaporPressureDeficit: roundTo(derivedMetrics.vaporPressureDeficit(temperature, humidity), 2)
+        };
+    }
+
+    // Queues a command for the USB router.  Commands are held while the
+    // gateway connects to the router, and are written at most once every
+    // commandIntervalMs.  Returns a promise that resolves once the command
+    // has been written, or rejects if there is no router to write it to.
+    queueCommand(command) {
+        return new Promise((resolve, reject) => {
+            if (this.state === this.GATEWAY_STATE_DISCONNECTED) {
+                return reject(new errors.NotConnectedError());
+            }
+
+            if (this.outboundQueue.length >= this.params.maxQueuedCommands) {
+                return reject(new errors.GatewayError(`Outbound queue is full, ${this.outboundQueue.length} command(s) waiting.`, 'EQUEUEFULL'));
+            }
+
+            this.outboundQueue.push({
+                command,
+                resolve,
+                reject
+            });
+
+            this.processOutboundQueue();
+        });
+    }
+
+    processOutboundQueue() {
+        if (this.outboundTimer || this.state !== this.GATEWAY_STATE_READY || this.outboundQueue.length === 0) {
+            return;
+        }
+
+        const queuedCommand = this.outboundQueue.shift();
+
+        if (this.captureLog) {
+            this.captureLog.write(CaptureLog.DIRECTION_OUT, queuedCommand.command);
+        }
+
+        this.serialPort.write(`${queuedCommand.command}\n`, (err) => {
+            if (err) {
+                return queuedCommand.reject(err);
+            }
+
+            queuedCommand.resolve();
+        });
+
+        this.outboundTimer = setTimeout(() => {
+            this.outboundTimer = undefined;
+            this.processOutboundQueue();
+        }, this.params.commandIntervalMs);
+    }
+
+    sendTextMessage(params) {
+        const validationResult = Joi.validate(params, this.TEXT_MESSAGE_SCHEMA);
+
+        if (validationResult.error) {
+            return Promise.reject(new errors.ValidationError(validationResult.error.message));
+        }
+
+        let encodedPayload = this.hexEncode(params.message);
+
+        // length:
+        // 1 for the message type
+        // 1 for the length
         // 2 for the destination
         // 1 for the reserved part
         // 1 for each letter in the message
@@ -452,16 +1128,14 @@ const conectricUsbGateway = {
 
         let outboundMessage = `<${hexLen}61${params.destination}01${encodedPayload}`;
                 
-        if (conectricUsbGateway.params.debugMode) {
+        if (this.params.debugMode) {
             console.log(`Outbound text message: ${outboundMessage}`);
         }
 
-        conectricUsbGateway.serialPort.write(`${outboundMessage}\n`);
-
-        return true;
-    },
+        return this.queueCommand(outboundMessage);
+    }
 
-    _sendRS485Message: (params) => {
+    _sendRS485Message(params) {
         // hexEncodePayload is on by default
         if (! params.hasOwnProperty('hexEncodePayload')) {
             params.hexEncodePayload = true;
@@ -470,10 +1144,10 @@ const conectricUsbGateway = {
         let encodedPayload;
         
         if (params.hexEncodePayload) {
-            if (conectricUsbGateway.params.debugMode) {
+            if (this.params.debugMode) {
                 console.log('Hex encoding outbound RS485 request message.');
             }
-            encodedPayload = conectricUsbGateway.hexEncode(params.message);
+            encodedPayload = this.hexEncode(params.message);
         } else {
             encodedPayload = params.message;
         }
@@ -503,21 +1177,18 @@ const conectricUsbGateway = {
             outboundMessage = `${outboundMessage}${params.trackingId}`;
         }
                 
-        if (conectricUsbGateway.params.debugMode) {
+        if (this.params.debugMode) {
             console.log(`Outbound RS485 request: ${outboundMessage}`);
         }
 
-        conectricUsbGateway.serialPort.write(`${outboundMessage}\n`);
-
-        return true;
-    },
+        return this.queueCommand(outboundMessage);
+    }
 
-    sendRS485ChunkRequest: (params) => {
-        const validationResult = Joi.validate(params, conectricUsbGateway.RS485_CHUNKED_MESSAGE_SCHEMA);
+    sendRS485ChunkRequest(params) {
+        const validationResult = Joi.validate(params, this.RS485_CHUNKED_MESSAGE_SCHEMA);
 
         if (validationResult.error) {
-            console.error(validationResult.error.message);
-            return false;
+            return Promise.reject(new errors.ValidationError(validationResult.error.message));
         }
         
         params.msgCode = 38;
@@ -536,10 +1207,10 @@ const conectricUsbGateway = {
 
         params.message = `${chunkNumberHex}${chunkSizeHex}`;
         params.hexEncodePayload = false;
-        return conectricUsbGateway._sendRS485Message(params);
-    },
+        return this._sendRS485Message(params);
+    }
 
-    getSensorCodeFromType: (sensorType) => {
+    getSensorCodeFromType(sensorType) {
         let r = '';
 
         switch (sensorType) {
@@ -564,9 +1235,9 @@ const conectricUsbGateway = {
         }
 
         return r;
-    },
+    }
 
-    convertToLittleEndianHex: (valueToConvert) => {
+    convertToLittleEndianHex(valueToConvert) {
         let working = valueToConvert.toString(16);
 
         // Pad out to 2 hex bytes
@@ -576,18 +1247,23 @@ const conectricUsbGateway = {
 
         // Swap the bytes as reportEvery is little endian
         return `${working.substring(2)}${working.substring(0, 2)}`;
-    },
+    }
 
-    sendEventConfigMessage: (params) => {
-        const validationResult = Joi.validate(params, conectricUsbGateway.EVENT_CONFIG_MESSAGE_SCHEMA);
+    sendEventConfigMessage(params) {
+        const validationResult = Joi.validate(params, this.EVENT_CONFIG_MESSAGE_SCHEMA);
 
         if (validationResult.error) {
-            console.error(validationResult.error.message);
-            return false;
+            return Promise.reject(new errors.ValidationError(validationResult.error.message));
         }
 
+        // The sensor, or sensors of this type, will now report at this
+        // interval, or when wet at the moisture sensor's wet interval.
+        const reportIntervalKey = (params.broadcast ? params.sensorType : params.destination.toLowerCase());
+        this.watchdog.setReportInterval(reportIntervalKey, params.sleepTime * Math.max(params.reportEvery, params.moistureWetReportEvery || 0));
+
         params.msgCode = '1c';
-        const destinationSensorType = conectricUsbGateway.getSensorCodeFromType(params.sensorType);
+        const destination = (params.broadcast ? this.BROADCAST_ALL_ADDRESS : params.destination);
+        const destinationSensorType = this.getSensorCodeFromType(params.sensorType);
 
         let deploymentLifetime = params.deploymentLifetime.toString(16);
 
@@ -595,17 +1271,17 @@ const conectricUsbGateway = {
             deploymentLifetime = `0${deploymentLifetime}`;
         }
 
-        const sleepTime = conectricUsbGateway.convertToLittleEndianHex(params.sleepTime);
+        const sleepTime = this.convertToLittleEndianHex(params.sleepTime);
 
-        let reportEvery = conectricUsbGateway.convertToLittleEndianHex(params.reportEvery);
+        let reportEvery = this.convertToLittleEndianHex(params.reportEvery);
 
         let moistureWetReportEvery = '0000';
 
         if (params.sensorType === 'moisture') {
-            moistureWetReportEvery = conectricUsbGateway.convertToLittleEndianHex(params.moistureWetReportEvery);
+            moistureWetReportEvery = this.convertToLittleEndianHex(params.moistureWetReportEvery);
         }
 
-        let msg = `${params.msgCode}000001${deploymentLifetime}c208${destinationSensorType}${sleepTime}${params.eventConfig}00${reportEvery}${moistureWetReportEvery}`
+        let msg = `${params.msgCode}${destination}01${deploymentLifetime}c208${destinationSensorType}${sleepTime}${params.eventConfig}00${reportEvery}${moistureWetReportEvery}`
         let msgLen = Math.round(1 + (msg.length / 2)); // 1 is the length byte.
         let hexLen = msgLen.toString(16);
 
@@ -614,28 +1290,26 @@ const conectricUsbGateway = {
         }
 
         let outboundMessage = `<${hexLen}${msg}`;
-        if (conectricUsbGateway.params.debugMode) {
+        if (this.params.debugMode) {
             console.log(`Outbound interval config message: ${outboundMessage}`);
         }
 
-        conectricUsbGateway.serialPort.write(`${outboundMessage}\n`);      
-        return true;
-    },
+        return this.queueCommand(outboundMessage);
+    }
 
-    sendLEDConfigMessage: (params) => {
-        const validationResult = Joi.validate(params, conectricUsbGateway.LED_CONFIG_MESSAGE_SCHEMA);
+    sendLEDConfigMessage(params) {
+        const validationResult = Joi.validate(params, this.LED_CONFIG_MESSAGE_SCHEMA);
 
         if (validationResult.error) {
-            console.error(validationResult.error.message);
-            return false;
+            return Promise.reject(new errors.ValidationError(validationResult.error.message));
         }
 
         params.msgCode = '1c'; // set here
 
-        const destinationSensorType = conectricUsbGateway.getSensorCodeFromType(params.sensorType);
-        const txLED = params.leds.tx === true ? conectricUsbGateway.TX_LED_DEFAULT_COLOR : '00';
-        const rxLED = params.leds.rx === true ? conectricUsbGateway.RX_LED_DEFAULT_COLOR : '00';
-        const activityLED = params.leds.activity === true ? conectricUsbGateway.ACTIVITY_LED_DEFAULT_COLOR : '00';
+        const destinationSensorType = this.getSensorCodeFromType(params.sensorType);
+        const txLED = params.leds.tx === true ? this.TX_LED_DEFAULT_COLOR : '00';
+        const rxLED = params.leds.rx === true ? this.RX_LED_DEFAULT_COLOR : '00';
+        const activityLED = params.leds.activity === true ? this.ACTIVITY_LED_DEFAULT_COLOR : '00';
         let deploymentLifetime = params.deploymentLifetime.toString(16);
 
         if (deploymentLifetime.length < 2) {
@@ -652,32 +1326,319 @@ const conectricUsbGateway = {
         }
 
         let outboundMessage = `<${hexLen}${msg}`;
-        if (conectricUsbGateway.params.debugMode) {
+        if (this.params.debugMode) {
             console.log(`Outbound LED config message: ${outboundMessage}`);
         }
 
-        conectricUsbGateway.serialPort.write(`${outboundMessage}\n`);      
-        return true;
-    },
+        return this.queueCommand(outboundMessage);
+    }
 
-    sendRS485Request: (params) => {
-        const validationResult = Joi.validate(params, conectricUsbGateway.RS485_MESSAGE_SCHEMA);
+    sendRS485Request(params) {
+        const validationResult = Joi.validate(params, this.RS485_MESSAGE_SCHEMA);
 
         if (validationResult.error) {
-            console.error(validationResult.error.message);
-            return false;
+            return Promise.reject(new errors.ValidationError(validationResult.error.message));
         }
 
         params.msgCode = 36;
-        return conectricUsbGateway._sendRS485Message(params);
-    },
+        return this._sendRS485Message(params);
+    }
 
-    sendRS485ConfigMessage: (params) => {
-        const validationResult = Joi.validate(params, conectricUsbGateway.RS485_CONFIG_MESSAGE_SCHEMA);
+    // Sends an RS485 request with a generated tracking ID, and resolves
+    // with the response message carrying that tracking ID.  Re-sends the
+    // request up to params.retries times if no response arrives within
+    // params.timeoutMs, then rejects with a TimeoutError.
+    rs485Query(params) {
+        return new Promise((resolve, reject) => {
+            const validationResult = Joi.validate(params, this.RS485_QUERY_SCHEMA);
+
+            if (validationResult.error) {
+                return reject(new errors.ValidationError(validationResult.error.message));
+            }
+
+            const timeoutMs = (params.hasOwnProperty('timeoutMs') ? params.timeoutMs : this.RS485_QUERY_DEFAULT_TIMEOUT_MS);
+            const retries = (params.hasOwnProperty('retries') ? params.retries : this.RS485_QUERY_DEFAULT_RETRIES);
+            const trackingId = this.generateTrackingId();
+            let attempts = 0;
+
+            const pendingRequest = {
+                destination: params.destination.toLowerCase(),
+                timeoutMs,
+                retries,
+                resolve: (message) => {
+                    clearTimeout(pendingRequest.timer);
+                    this.pendingRequests.delete(trackingId);
+                    resolve(message);
+                },
+                reject: (err) => {
+                    clearTimeout(pendingRequest.timer);
+                    this.pendingRequests.delete(trackingId);
+                    reject(err);
+                }
+            };
+
+            const sendAttempt = () => {
+                if (this.state === this.GATEWAY_STATE_DISCONNECTED) {
+                    return pendingRequest.reject(new errors.NotConnectedError());
+                }
+
+                attempts++;
+
+                this.sendRS485Request({
+                    message: params.message,
+                    destination: params.destination,
+                    hexEncodePayload: (params.hasOwnProperty('hexEncodePayload') ? params.hexEncodePayload : true),
+                    trackingId
+                }).then(() => {
+                    // Time waiting in the outbound queue does not count.  A
+                    // chunked response may already be under way.
+                    if (this.pendingRequests.has(trackingId) && ! pendingRequest.chunked) {
+                        pendingRequest.timer = setTimeout(onTimeout, timeoutMs);
+                    }
+                }, pendingRequest.reject);
+            };
+
+            const onTimeout = () => {
+                if (attempts <= retries) {
+                    if (this.params.debugMode) {
+                        console.log(`No response to RS485 request ${trackingId} from ${params.destination}, retrying.`);
+                    }
+
+                    return sendAttempt();
+                }
+
+                pendingRequest.reject(new errors.TimeoutError(`No response to RS485 request from ${params.destination} after ${attempts} attempt(s).`, {
+                    destination: params.destination,
+                    trackingId,
+                    attempts
+                }));
+            };
+
+            this.pendingRequests.set(trackingId, pendingRequest);
+            sendAttempt();
+        });
+    }
+
+    // Returns a random 4 character hex tracking ID that is not in use by
+    // any outstanding request.
+    generateTrackingId() {
+        let trackingId;
+
+        do {
+            trackingId = Math.floor(Math.random() * 65536).toString(16);
+
+            while (trackingId.length < 4) {
+                trackingId = `0${trackingId}`;
+            }
+        } while (this.pendingRequests.has(trackingId));
+
+        return trackingId;
+    }
+
+    // Finds the outstanding request that a trackable message from sensorId
+    // is a response to, if there is one.
+    findPendingRequest(trackingId, sensorId) {
+        const pendingRequest = this.pendingRequests.get(trackingId.toLowerCase());
+
+        if (! pendingRequest || pendingRequest.destination !== sensorId.toLowerCase()) {
+            return undefined;
+        }
+
+        return pendingRequest;
+    }
+
+    // Deals with RS485 responses.  Resolves the request waiting for the 
+    // response if there is one, and runs chunked transfers.  Returns true 
+    // if the message was consumed by a chunked transfer and should not be 
+    // passed on to the caller.
+    handleTrackableMessage(trackingId, message) {
+        const sensorId = message.sensorId.toLowerCase();
+        const pendingRequest = this.findPendingRequest(trackingId, sensorId);
+
+        if (! message.payload) {
+            // Not decoding payloads, so can't do any more than hand back
+            // the response as is.
+            if (pendingRequest) {
+                pendingRequest.resolve(message);
+            }
 
-        if (validationResult.error) {
-            console.error(validationResult.error.message);
             return false;
+        }
+
+        switch (message.type) {
+            case 'rs485Response':
+                if (pendingRequest) {
+                    pendingRequest.resolve(message);
+                }
+
+                return false;
+            case 'rs485ChunkEnvelopeResponse':
+                if (pendingRequest || this.params.assembleChunkedResponses) {
+                    this.startChunkedTransfer(message, pendingRequest);
+                    return true;
+                }
+
+                return false;
+            case 'rs485ChunkResponse':
+                {
+                    const transfer = this.chunkTransfers.get(sensorId);
+
+                    if (transfer && transfer.trackingId === trackingId.toLowerCase()) {
+                        this.receiveChunk(transfer, message);
+                        return true;
+                    }
+                } return false;
+        }
+
+        return false;
+    }
+
+    // Requests each of the chunks described by an rs485ChunkEnvelopeResponse 
+    // in turn, then passes a single rs485ChunkedResponse containing all of 
+    // the data to the caller, and to the request waiting for it if any.
+    startChunkedTransfer(envelope, pendingRequest) {
+        const sensorId = envelope.sensorId.toLowerCase();
+        const existingTransfer = this.chunkTransfers.get(sensorId);
+
+        if (existingTransfer) {
+            // The sensor has started over, so the old transfer can't complete.
+            this.failChunkedTransfer(existingTransfer, new errors.GatewayError(`Chunked RS485 transfer from ${envelope.sensorId} was superseded by a new response.`, 'ESUPERSEDED'));
+        }
+
+        if (pendingRequest) {
+            // Stop re-sending the request now the sensor has responded, as 
+            // that would restart the chunking process on the sensor.
+            clearTimeout(pendingRequest.timer);
+            pendingRequest.chunked = true;
+        }
+
+        const transfer = {
+            envelope,
+            pendingRequest,
+            sensorId,
+            numChunks: envelope.payload.numChunks,
+            chunkSize: envelope.payload.chunkSize,
+            chunks: [],
+            timeoutMs: (pendingRequest ? pendingRequest.timeoutMs : this.RS485_CHUNK_DEFAULT_TIMEOUT_MS),
+            retries: (pendingRequest ? pendingRequest.retries : this.RS485_CHUNK_DEFAULT_RETRIES),
+            attempts: 0
+        };
+
+        this.chunkTransfers.set(sensorId, transfer);
+
+        if (this.params.debugMode) {
+            console.log(`Requesting ${transfer.numChunks} chunks of size ${transfer.chunkSize} from ${envelope.sensorId}.`);
+        }
+
+        this.requestNextChunk(transfer);
+    }
+
+    requestNextChunk(transfer) {
+        const chunkNumber = transfer.chunks.length;
+
+        if (this.state === this.GATEWAY_STATE_DISCONNECTED) {
+            return this.failChunkedTransfer(transfer, new errors.NotConnectedError());
+        }
+
+        // A new tracking ID for each chunk, so that a late response to an
+        // earlier request is not mistaken for this chunk.
+        const trackingId = this.generateTrackingId();
+        transfer.trackingId = trackingId;
+        transfer.attempts++;
+
+        // The transfer may have finished, failed or moved on while this 
+        // request was queued.
+        const isCurrentRequest = () => (this.chunkTransfers.get(transfer.sensorId) === transfer && transfer.trackingId === trackingId);
+
+        this.sendRS485ChunkRequest({
+            chunkNumber,
+            chunkSize: transfer.chunkSize,
+            destination: transfer.envelope.sensorId,
+            trackingId
+        }).then(() => {
+            // Time waiting in the outbound queue does not count.
+            if (isCurrentRequest()) {
+                transfer.timer = setTimeout(onTimeout, transfer.timeoutMs);
+            }
+        }, (err) => {
+            if (isCurrentRequest()) {
+                this.failChunkedTransfer(transfer, err);
+            }
+        });
+
+        const onTimeout = () => {
+            if (transfer.attempts <= transfer.retries) {
+                if (this.params.debugMode) {
+                    console.log(`No response for chunk ${chunkNumber} from ${transfer.envelope.sensorId}, retrying.`);
+                }
+
+                return this.requestNextChunk(transfer);
+            }
+
+            this.failChunkedTransfer(transfer, new errors.TimeoutError(`No response for RS485 chunk ${chunkNumber} from ${transfer.envelope.sensorId} after ${transfer.attempts} attempt(s).`, {
+                destination: transfer.envelope.sensorId,
+                trackingId: transfer.trackingId,
+                attempts: transfer.attempts,
+                chunkNumber
+            }));
+        };
+    }
+
+    receiveChunk(transfer, chunkMessage) {
+        clearTimeout(transfer.timer);
+        transfer.chunks.push(chunkMessage.payload.data);
+        transfer.attempts = 0;
+
+        if (transfer.chunks.length < transfer.numChunks) {
+            return this.requestNextChunk(transfer);
+        }
+
+        this.chunkTransfers.delete(transfer.sensorId);
+
+        // The final chunk has a trailing byte that is not part of the data.
+        const lastChunk = transfer.chunks[transfer.chunks.length - 1];
+        transfer.chunks[transfer.chunks.length - 1] = lastChunk.substring(0, lastChunk.length - 2);
+
+        const message = {
+            type: 'rs485ChunkedResponse',
+            payload: {
+                battery: chunkMessage.payload.battery,
+                rs485: transfer.chunks.join(''),
+                numChunks: transfer.numChunks,
+                chunkSize: transfer.chunkSize
+            },
+            sensorId: transfer.envelope.sensorId,
+            sequenceNumber: transfer.envelope.sequenceNumber,
+            timestamp: chunkMessage.timestamp
+        };
+
+        if (transfer.envelope.hasOwnProperty('trackingId')) {
+            message.trackingId = transfer.envelope.trackingId;
+        }
+
+        if (transfer.pendingRequest) {
+            transfer.pendingRequest.resolve(message);
+        }
+
+        this.deliverMessage(message);
+    }
+
+    failChunkedTransfer(transfer, err) {
+        clearTimeout(transfer.timer);
+        this.chunkTransfers.delete(transfer.sensorId);
+
+        if (transfer.pendingRequest) {
+            transfer.pendingRequest.reject(err);
+        } else {
+            this.reportError(err);
+        }
+    }
+
+    sendRS485ConfigMessage(params) {
+        const validationResult = Joi.validate(params, this.RS485_CONFIG_MESSAGE_SCHEMA);
+
+        if (validationResult.error) {
+            return Promise.reject(new errors.ValidationError(validationResult.error.message));
         }   
 
         let baudRate;
@@ -700,13 +1661,13 @@ const conectricUsbGateway = {
         let parity;
 
         switch (params.parity) {
-            case conectricUsbGateway.PARITY_NONE:
+            case this.PARITY_NONE:
                 parity = '00';
                 break;
-            case conectricUsbGateway.PARITY_ODD:
+            case this.PARITY_ODD:
                 parity = '01';
                 break;
-            case conectricUsbGateway.PARITY_EVEN:
+            case this.PARITY_EVEN:
                 parity = '02';
                 break;
         }
@@ -716,96 +1677,285 @@ const conectricUsbGateway = {
 
         let outboundMessage = `<0970${params.destination}01${baudRate}${parity}${stopBits}${bitMask}`;
 
-        if (conectricUsbGateway.params.debugMode) {
+        if (this.params.debugMode) {
             console.log(`Outbound RS485 config message: ${outboundMessage}`);
         }
 
-        conectricUsbGateway.serialPort.write(`${outboundMessage}\n`);
-        return true;
-    },
+        if (! params.verify) {
+            return this.queueCommand(outboundMessage);
+        }
 
-    parseMessage: (data) => {
-        const fullMessage = data;
-        let trackingId;
+        // Waits for the sensor to report its settings once it has been sent
+        // them.
+        return this.queueCommand(outboundMessage).then(() => this.waitForRS485Config(params.destination.toLowerCase(), this.RS485_CONFIG_DEFAULT_TIMEOUT_MS)).then((config) => {
+            if (! this.rs485ConfigMatches(config, params)) {
+                throw new errors.ConfigMismatchError(`Sensor ${params.destination} reported different RS485 settings to those sent.`, {
+                    destination: params.destination,
+                    expected: {
+                        baudRate: params.baudRate,
+                        parity: params.parity,
+                        stopBits: params.stopBits,
+                        bitMask: params.bitMask
+                    },
+                    actual: config
+                });
+            }
 
-        if (conectricUsbGateway.params.debugMode) {
-            console.log(fullMessage);
+            return config;
+        });
+    }
+
+    // Does not query the sensor, as sensors can't be asked for their
+    // settings.  Resolves with the baudRate, parity, stopBits and bitMask
+    // that the sensor last reported in an rs485Config message.  If it
+    // hasn't reported any, or options.waitForReport is set, waits for its
+    // next report, which can take up to options.timeoutMs (60 seconds by
+    // default), then rejects with a TimeoutError.
+    getRS485Config(destination, options = {}) {
+        const params = Object.assign({ destination }, options);
+        const validationResult = Joi.validate(params, this.RS485_CONFIG_REQUEST_SCHEMA);
+
+        if (validationResult.error) {
+            return Promise.reject(new errors.ValidationError(validationResult.error.message));
         }
 
-        if (conectricUsbGateway.params.useTrackingId) {
-            trackingId = data.substring(data.length - 4);
+        const sensorId = destination.toLowerCase();
+
+        if (! params.waitForReport && this.rs485Configs.has(sensorId)) {
+            return Promise.resolve(Object.assign({}, this.rs485Configs.get(sensorId)));
         }
 
-        // Chop off the last 4 which are CRC.
-        data = data.substring(0, data.length - 4);
+        return this.waitForRS485Config(sensorId, (params.hasOwnProperty('timeoutMs') ? params.timeoutMs : this.RS485_CONFIG_DEFAULT_TIMEOUT_MS));
+    }
 
-        if (conectricUsbGateway.params.debugMode) {
-            console.log(`Removed tracking ID from data, leaving: ${data}`);
+    waitForRS485Config(sensorId, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const request = {
+                sensorId,
+                settle: (err, config) => {
+                    clearTimeout(request.timer);
+                    this.rs485ConfigRequests.delete(request);
+
+                    return (err ? reject(err) : resolve(Object.assign({}, config)));
+                }
+            };
+
+            request.timer = setTimeout(() => {
+                request.settle(new errors.TimeoutError(`Sensor ${sensorId} did not report its RS485 settings within ${timeoutMs}ms.`, {
+                    destination: sensorId
+                }));
+            }, timeoutMs);
+
+            this.rs485ConfigRequests.add(request);
+        });
+    }
+
+    // Called for every rs485Config message, whether or not its payload is
+    // decoded.
+    observeRS485Config(sensorId, messageData) {
+        sensorId = sensorId.toLowerCase();
+        const config = this.parseRS485Config(messageData);
+
+        if (config) {
+            this.rs485Configs.set(sensorId, config);
         }
 
-        // Get to the message type value first so we can drop message
-        // types that are not intended for the end user.
-        const hexHeader = parseInt(data.substring(0, 2), 16);
+        this.rs485ConfigRequests.forEach((request) => {
+            if (request.sensorId !== sensorId) {
+                return;
+            }
+
+            if (! config) {
+                return request.settle(new errors.InvalidResponseError(`Sensor ${sensorId} reported RS485 settings that could not be decoded.`));
+            }
+
+            request.settle(undefined, config);
+        });
+    }
+
+    // Works out the settings in the data of an rs485Config message, in the
+    // same form as the parameters of sendRS485ConfigMessage.  Returns
+    // undefined if they can't be decoded.
+    parseRS485Config(messageData) {
+        if (messageData.length !== 8) {
+            return undefined;
+        }
+
+        const field = (n, values) => values[parseInt(messageData.substring(n * 2, (n * 2) + 2), 16)];
+        const config = {
+            baudRate: field(0, [ 2400, 4800, 9600, 19200 ]),
+            parity: field(1, [ this.PARITY_NONE, this.PARITY_ODD, this.PARITY_EVEN ]),
+            stopBits: field(2, [ 1, 2 ]),
+            bitMask: field(3, [ 8, 7 ])
+        };
+
+        return (Object.keys(config).some((key) => config[key] === undefined) ? undefined : config);
+    }
+
+    // Compares settings reported by a sensor with those that were sent.
+    rs485ConfigMatches(actual, expected) {
+        return (actual.baudRate === expected.baudRate && actual.parity === expected.parity && actual.stopBits === expected.stopBits && actual.bitMask === expected.bitMask);
+    }
+
+    // Works out where the parts of a frame are from its header byte.  The
+    // payload format is undefined for unsupported payload types.
+    getFrameLayout(frame) {
+        const hexHeader = parseInt(frame.substring(0, 2), 16);
+
+        const layout = {
+            headerLength: (hexHeader & 31), // 0x1F
+            headerType: (hexHeader & 128), // 0x80
+            payloadType: (hexHeader & 96) // 0x60
+        };
+
+        layout.payloadFormat = this.PAYLOAD_FORMATS[layout.payloadType];
+
+        if (layout.payloadFormat) {
+            // Offsets in hex characters.
+            layout.payloadStart = layout.headerLength * 2;
+            layout.messageTypeStart = layout.payloadStart + (layout.payloadFormat.lengthBytes * 2);
+            // Message type and battery level are a byte each.
+            layout.messageDataStart = layout.messageTypeStart + 4;
+        }
+
+        return layout;
+    }
+
+    // Checks that a frame received from the router is well formed, returns 
+    // a FRAME_ERROR_ reason code if not, or undefined if it is OK.  A frame 
+    // is a header whose length is in the first byte, a payload whose length
+    // is in its first byte, then 2 bytes that are the tracking ID for 
+    // responses to requests that had one.  What the router puts in those 2
+    // bytes otherwise is not documented, so they are not checked.
+    validateFrame(frame) {
+        if (! /^[0-9A-Fa-f]*$/.test(frame)) {
+            return this.FRAME_ERROR_INVALID_CHARACTERS;
+        }
 
-        const headerLength = (hexHeader & 31); // 0x1F
-        const headerType = (hexHeader & 128); // 0x80
-        const payloadType = (hexHeader & 96); // 0x60
+        if (frame.length % 2 !== 0) {
+            return this.FRAME_ERROR_ODD_LENGTH;
+        }
+
+        const layout = this.getFrameLayout(frame);
+
+        if (layout.headerLength < this.MIN_HEADER_LENGTH || frame.length < (layout.headerLength * 2)) {
+            return this.FRAME_ERROR_TOO_SHORT;
+        }
+
+        if (! layout.payloadFormat) {
+            // Can't check any further, parseMessage will drop it.
+            return undefined;
+        }
 
-        // Right now we don't support the extended header, and 
-        // we only support the simple payload.
-        if (headerType !== 0) {
-            if (conectricUsbGateway.params.debugMode) {
-                console.log(`Dropping message "${fullMessage}" as messages with extended headers are unsupported in this version.`);
+        // Need at least the header, payload length, message type and trailer.
+        if (frame.length < layout.messageTypeStart + 6) {
+            return this.FRAME_ERROR_TOO_SHORT;
+        }
+
+        if (this.params.verifyFrameLength) {
+            // The payload length is taken to include the length byte 
+            // itself, there is no firmware documentation to confirm this.
+            const payloadLength = parseInt(frame.substring(layout.payloadStart, layout.messageTypeStart), 16);
+
+            if (frame.length !== ((layout.headerLength + payloadLength + 2) * 2)) {
+                return this.FRAME_ERROR_LENGTH_MISMATCH;
             }
+        }
+
+        return undefined;
+    }
+
+    reportFrameError(reason, frame) {
+        if (this.params.debugMode) {
+            console.error(`Rejecting message "${frame}", reason: ${reason}.`);
+        }
+
+        if (this.params.onFrameError) {
+            this.params.onFrameError({
+                reason,
+                rawData: frame,
+                timestamp: (this.params.useMillisecondTimestamps ? moment().valueOf() : moment().unix())
+            });
+        }
+    }
+
+    parseMessage(data) {
+        data = data.trim();
+        const fullMessage = data;
+
+        if (this.params.debugMode) {
+            console.log(fullMessage);
+        }
+
+        const frameError = this.validateFrame(data);
 
+        if (frameError) {
+            this.reportFrameError(frameError, fullMessage);
             return;
         }
 
-        if (payloadType !== 32) {
-            if (conectricUsbGateway.params.debugMode) {
-                console.log(`Dropping message "${fullMessage}" as this payload type is unsupported in this version.`);
+        // Responses to requests sent with a tracking ID end with it.
+        const trackingId = data.substring(data.length - 4);
+
+        // Chop off the last 4 which are CRC or tracking ID.
+        data = data.substring(0, data.length - 4);
+
+        if (this.params.debugMode) {
+            console.log(`Removed tracking ID from data, leaving: ${data}`);
+        }
+
+        // Get to the message type value first so we can drop message
+        // types that are not intended for the end user.
+        const layout = this.getFrameLayout(data);
+
+        if (! layout.payloadFormat) {
+            if (this.params.debugMode) {
+                console.log(`Dropping message "${fullMessage}" as payload type ${layout.payloadType} is unsupported in this version.`);
             }
 
             return;
         }
 
-        const messageType = data.substring(2 + (headerLength * 2), 4 + (headerLength * 2));
+        const messageType = data.substring(layout.messageTypeStart, layout.messageTypeStart + 2);
 
-        if (conectricUsbGateway.IGNORABLE_MESSAGE_TYPES.includes(messageType)) {
+        if (this.IGNORABLE_MESSAGE_TYPES.includes(messageType)) {
             // Drop this message and do no more work on it.
-            if (conectricUsbGateway.params.debugMode) {
+            if (this.params.debugMode) {
                 console.log(`Dropping message "${fullMessage}" as it is ignorable.`);
             }
             
             return;
         }
 
-        const messageTypeString = conectricUsbGateway.MESSAGE_TYPES[messageType];
+        const messageTypeString = this.MESSAGE_TYPES[messageType];
 
         if (! messageTypeString || messageTypeString.length === 0) {
-            if (conectricUsbGateway.params.debugMode) {
+            if (this.params.debugMode) {
                 console.log(`Ignoring unknown message type "${messageType}".`);
             }
 
             return;
         }
 
+        const decoder = this.DECODERS[messageType];
         const sourceAddr = data.substring(8, 12);
         const sequenceNumber = parseInt(data.substring(2, 4), 16);
-        const payloadLength = parseInt(data.substring(0 + (headerLength * 2), 2 + (headerLength * 2)), 16);
-        const battery = parseInt(data.substring(4 + (headerLength * 2), 6 + (headerLength * 2)), 16) / 10;
-        const messageData = data.substring(6 + (headerLength * 2));
+        const messageData = data.substring(layout.messageDataStart);
+
+        // Message types such as requests sent by other gateways have 
+        // something else in the battery byte.
+        const battery = (decoder.battery === false ? undefined : parseInt(data.substring(layout.messageTypeStart + 2, layout.messageDataStart), 16) / 10);
 
         // Check if we have cached this message before
-        if (conectricUsbGateway.params.deDuplicateBursts) {
+        if (this.params.deDuplicateBursts) {
             const cacheKey = `${sourceAddr}${sequenceNumber}${messageData}`;
 
-            if (! cache.get(cacheKey)) {
+            if (! this.cache.get(cacheKey)) {
                 // We have not dealt with this burst before.
-                cache.set(cacheKey, true);
+                this.cache.set(cacheKey, true);
             } else {
                 // We have seen this recently and processed it so drop it.
-                if (conectricUsbGateway.params.debugMode) {
+                if (this.params.debugMode) {
                     console.log(`Dropping message "${data}", already processed message from this burst.`);
                 }
 
@@ -820,387 +1970,336 @@ const conectricUsbGateway = {
             sequenceNumber
         };
 
-        message.timestamp= (conectricUsbGateway.params.useMillisecondTimestamps ? moment().valueOf() : moment().unix());
+        message.timestamp= (this.params.useMillisecondTimestamps ? moment().valueOf() : moment().unix());
 
-        if (conectricUsbGateway.params.useTrackingId && conectricUsbGateway.TRACKABLE_MESSAGES.includes(messageType)) {
+        if (this.params.useTrackingId && this.TRACKABLE_MESSAGES.includes(messageType)) {
             message.trackingId = trackingId;
         }
 
-        if (conectricUsbGateway.isBroadcastMessageType(messageType)) {
+        if (this.isBroadcastMessageType(messageType)) {
             // Broadcast message detected add extra fields.
-            if (conectricUsbGateway.params.debugMode) {
+            if (this.params.debugMode) {
                 console.log(`Message type "${messageType}" is a broadcast message type.`);
             }
 
-            if (conectricUsbGateway.params.sendHopData) {
+            if (this.params.sendHopData) {
                 message.numHops = parseInt(data.substring(4, 6), 16);
                 message.maxHops = parseInt(data.substring(6, 8), 16);
             }
-        } else if (conectricUsbGateway.params.debugMode) {
+        } else if (this.params.debugMode) {
             console.log(`Message type "${messageType}" is not a broadcast message type.`);
         }
 
-        if (conectricUsbGateway.params.sendRawData) {
+        if (layout.headerType === this.EXTENDED_HEADER) {
+            // Extended headers have the same fields as standard ones, 
+            // followed by additional bytes.
+            message.extendedHeader = data.substring(this.MIN_HEADER_LENGTH * 2, layout.headerLength * 2);
+        }
+
+        // Status messages count as signs of life even if the caller 
+        // doesn't want them.
+        this.sensorRegistry.record(message, battery);
+        this.watchdog.observe(message);
+
+        // Boot message data is the reset cause, 00 being power on.
+        this.batteryMonitor.observe(message, battery, (messageTypeString === 'boot' && messageData === '00'));
+        this.configManager.observe(message, messageData);
+
+        if (messageTypeString === 'rs485Config') {
+            this.observeRS485Config(message.sensorId, messageData);
+        }
+
+        if (this.params.sendRawData) {
             message.rawData = fullMessage;
         }
 
-        if (! conectricUsbGateway.params.sendDecodedPayload) {
+        if (! this.params.sendDecodedPayload) {
             delete(message.payload);
         } else {
-            switch (messageTypeString) {
-                case 'tempHumidity':
-                    let tempRaw
-                    let humidityRaw
-
-                    if (messageData.length === 8) {
-                        // Older style
-                        tempRaw = messageData.substring(0, 4);
-                        humidityRaw = messageData.substring(4);
-                    } else {
-                        // Newer style
-                        tempRaw = messageData.substring(10, 14);
-                        humidityRaw = messageData.substring(14);
-
-                        if (conectricUsbGateway.params.sendEventCount) {
-                            message.payload.eventCount = parseInt(messageData.substring(2, 10), 16)
-                        }    
-                    }
+            if (! decoder.decode) {
+                if (this.params.debugMode) {
+                    console.log(`No decoder for message type "${messageType}"`);
+                }
+            } else {
+                let decodeResult;
+
+                // A broken custom decoder drops its messages, rather than
+                // taking the gateway down.
+                try {
+                    decodeResult = decoder.decode(message, messageData, { battery, gateway: this, rawData: data });
+                } catch(err) {
+                    this.reportFrameError(this.FRAME_ERROR_DECODE_FAILED, fullMessage);
+                    this.reportError(new errors.GatewayError(`Decoder for message type "${messageTypeString}" failed: ${err.message}`, 'EDECODE'));
+                    return;
+                }
 
-                    message.payload = { 
-                        ...message.payload, 
-                        battery,
-                        ...conectricUsbGateway.calculateTemperature(tempRaw), 
-                        humidity: conectricUsbGateway.calculateHumidity(humidityRaw)
-                    };
-
-                    break;
-                case 'tempHumidityAdc': 
-                    {
-                        message.payload.battery = battery;
-
-                        if (conectricUsbGateway.params.sendEventCount) {
-                            message.payload.eventCount = parseInt(messageData.substring(2, 10), 16)
-                        }
-
-                        const rawTemp = messageData.substring(10, 14);
-                        const rawHumidity = messageData.substring(14, 18);
-                        const rawAdcMax = messageData.substring(22, 26);
-                        const rawAdcIn = messageData.substring(26);
-
-                        message.payload = {
-                            ...message.payload,
-                            ...conectricUsbGateway.calculateTemperature(rawTemp),
-                            humidity: conectricUsbGateway.calculateHumidity(rawHumidity),
-                            adcIn: rawAdcIn,
-                            adcMax: rawAdcMax
-                        }
-
-                        if (conectricUsbGateway.params.debugMode) {
-                            console.log(`Raw adc in: ${rawAdcIn}`);
-                            console.log(`Raw adc max: ${rawAdcMax}`);
-                            console.log(`Raw battery: ${messageData.substring(18, 22)}`);
-                        }
-                    } break;
-                case 'tempHumidityLight':
-                    {
-                        message.payload.battery = battery;
-
-                        if (conectricUsbGateway.params.sendEventCount) {
-                            message.payload.eventCount = parseInt(messageData.substring(2, 10), 16);
-                        } 
-
-                        const rawTemp = messageData.substring(10, 14);
-                        const rawHumidity = messageData.substring(14, 18);
-                        const rawAdcMax = messageData.substring(22, 26);
-                        const rawAdcIn = messageData.substring(26);
-
-                        const lux = roundTo(0.003 * Math.pow(parseInt(rawAdcIn, 16),  (1.89 - (3.7 - battery) / 25)), 0);
-
-                        let bucketedLux = Math.round(lux / 100);
-
-                        if (bucketedLux > 15) { 
-                            bucketedLux = 15;
-                        }
-
-                        message.payload = {
-                            ...message.payload,
-                            ...conectricUsbGateway.calculateTemperature(rawTemp),
-                            humidity: conectricUsbGateway.calculateHumidity(rawHumidity),
-                            bucketedLux
-                        };
-
-                        if (conectricUsbGateway.params.sendRawLux) {
-                            message.payload.lux = lux;
-                        }
-
-                        if (conectricUsbGateway.params.sendAdcWithLux) {
-                            message.payload.adcIn = rawAdcIn;
-                            message.payload.adcMax = rawAdcMax;
-                        }
-
-                        if (conectricUsbGateway.params.debugMode) {
-                            console.log(`Raw adc in: ${rawAdcIn}`);
-                            console.log(`Raw adc max: ${rawAdcMax}`);
-                            console.log(`Raw battery: ${messageData.substring(18, 22)}`);
-                        }
-                    } break;
-                case 'moisture':
-                    message.payload.battery = battery;
-
-                    // This is a new protocol only sensor, so event count
-                    // data will always be present...
-
-                    if (messageData.startsWith('21') || messageData.startsWith('22')) {
-                        // This is a status report not an actual event.
-                        if (! conectricUsbGateway.params.sendStatusMessages) {
-                            // Not sending status message to callback.
-                            return;
-                        }
-
-                        message.type = 'moistureStatus';
-
-                        message.payload = { 
-                            ...message.payload, 
-                            moisture: messageData.startsWith('21'),
-                            ...conectricUsbGateway.calculateTemperature(messageData.substring(10, 14)), 
-                            humidity: conectricUsbGateway.calculateHumidity(messageData.substring(14))
-                        };
-
-                    } else {
-                        // 81 = event caused because now wet where was dry.
-                        // 82 = event caused because now dry where was wet.
-                        message.payload.moisture = messageData.startsWith('81');
-                    }
+                if (decodeResult === false) {
+                    // Decoder says not to pass this message on.
+                    return;
+                }
+            }
+        }
 
-                    if (conectricUsbGateway.params.sendEventCount) {
-                        message.payload.eventCount = parseInt(messageData.substring(2, 10), 16)
-                    }
+        if (this.TRACKABLE_MESSAGES.includes(messageType) && this.handleTrackableMessage(trackingId, message)) {
+            // Part of a chunked transfer, the caller will get the data 
+            // when all of the chunks have arrived.
+            return;
+        }
 
-                    break;
-                case 'echoStatus':
-                case 'rs485Status':
-                    message.payload.battery = battery;
+        this.deliverMessage(message);
+    }
 
-                    if (! conectricUsbGateway.params.sendStatusMessages) {
-                        // Not sending status message to callback.
-                        return;
-                    }
+    // Records a decoded message's payload in the sensor registry, then 
+    // passes it to the onSensorMessage callback and to event listeners.
+    deliverMessage(message) {
+        this.sensorRegistry.recordPayload(message);
 
-                    // Add eventCount for messages that have it.
-                    if (messageData.length === 10 && conectricUsbGateway.params.sendEventCount) {
-                        message.payload.eventCount = parseInt(messageData.substring(2), 16)
-                    }
-                    
-                    break;
-                case 'motion':
-                    message.payload.battery = battery;
-
-                    if (messageData.startsWith('20')) {
-                        // This is a status report not an actual event.
-                        if (! conectricUsbGateway.params.sendStatusMessages) {
-                            // Not sending status message to callback.
-                            return;
-                        }
-
-                        message.type = 'motionStatus';
-                    } else {
-                        // Only indicate motion for real motion events.
-                        message.payload.motion = true;
-                    }
+        if (this.messageStore) {
+            this.messageStore.append(message);
+        }
 
-                    // Add eventCount for messages that have it.
-                    if (messageData.length === 10 && conectricUsbGateway.params.sendEventCount) {
-                        message.payload.eventCount = parseInt(messageData.substring(2), 16)
-                    }
+        if (this.uplink) {
+            this.uplink.enqueue(message);
+        }
 
-                    break;
-                case 'pulse':
-                    message.payload.battery = battery;
-
-                    if (messageData.startsWith('20')) {
-                        // This is a status report not an actual event.
-                        if (! conectricUsbGateway.params.sendStatusMessages) {
-                            // Not sending status message to callback.
-                            return;
-                        }
-
-                        message.type = 'pulseStatus';
-                    } else {
-                        // Only indicate motion for real pulse events.
-                        message.payload.pulse = true;
-                    }
+        if (this.params.onSensorMessage) {
+            this.params.onSensorMessage(message);
+        }
 
-                    // Add eventCount for messages that have it.
-                    if (messageData.length === 10 && conectricUsbGateway.params.sendEventCount) {
-                        message.payload.eventCount = parseInt(messageData.substring(2), 16)
-                    }
+        this.emit('message', message);
+        this.emit(message.type, message);
+    }
 
-                    break;
-                case 'switch':
-                    message.payload.battery = battery;
+    // Passes an error to onGatewayError and emits an 'error' event if 
+    // anyone is listening, otherwise logs it, as an unhandled 'error' event 
+    // would throw.
+    reportError(err) {
+        const onGatewayError = (this.params && this.params.onGatewayError);
 
-                    // Add eventCount for messages that have it.
-                    if (messageData.length === 10 && conectricUsbGateway.params.sendEventCount) {
-                        message.payload.eventCount = parseInt(messageData.substring(2), 16)
-                    }
+        if (onGatewayError) {
+            onGatewayError(err);
+        }
 
-                    if ((messageData.startsWith('21')) || (messageData.startsWith('22'))) {
-                        // This is a status report not an actual event.
-                        if (! conectricUsbGateway.params.sendStatusMessages) {
-                            // Not sending status message to callback.
-                            return;
-                        }
-
-                        message.type = 'switchStatus';
-                        message.payload.switch = (conectricUsbGateway.params.switchOpenValue ? (messageData.startsWith('21')) : (messageData.startsWith('22')));
-                    } else {
-                        // This is an actual switch event.
-                        message.payload.switch = (conectricUsbGateway.params.switchOpenValue ? (messageData.startsWith('81')) : (messageData.startsWith('82')));
-                    }
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        } else if (! onGatewayError) {
+            console.error(err.message);
+        }
+    }
 
-                    break;
-                case 'boot': 
-                    if (conectricUsbGateway.params.sendBootMessages) {
-                        message.payload.battery = battery;
-                        
-                        switch (messageData) {
-                            case '00':
-                                message.payload.resetCause = 'powerOn';
-                                break;
-                            case '01':
-                                message.payload.resetCause = 'externalReset';
-                                break;
-                            case '02':
-                                message.payload.resetCause = 'watchdogReset';
-                                break;
-                            default:
-                                // Unknown
-                                message.payload.resetCause = 'unknown';
-
-                                if (conectricUsbGateway.params.debugMode) {
-                                    console.error(`Boot message received with unknown reset cause "${messageData}", full message was "${data}".`)
-                                }
-                        }
-                    } else {
-                        // Not sending boot message to callback.
-                        return;
-                    }
+    // Returns what is known about each sensor that has been heard from,
+    // including whether the watchdog thinks it is online and whether its 
+    // battery is low.
+    getSensors() {
+        return this.sensorRegistry.getAll().map((sensor) => this.addSensorStatus(sensor));
+    }
 
-                    break;
-                case 'rs485Config':
-                    if (messageData.length !== 7) {
-                        if (conectricUsbGateway.params.debugMode) {
-                            console.error(`Ignoring rs485Config message with payload length ${messageData.length}, was expecting length 7.`);
-                        }
+    getSensor(sensorId) {
+        const sensor = this.sensorRegistry.get(sensorId);
 
-                        return;
-                    }
+        return (sensor ? this.addSensorStatus(sensor) : undefined);
+    }
 
-                    let baudRate = messageData.substring(0, 2);
-                    let parity = messageData.substring(2, 4);
-                    let stopBits = messageData.substring(4, 6);
-                    let bitMask = messageData.substring(6);
-
-                    switch (baudRate) {
-                        case '00':
-                            message.payload.baudRate = '2400';
-                            break;
-                        case '01':
-                            message.payload.baudRate = '4800';
-                            break;
-                        case '02':
-                            message.payload.baudRate = '9600';
-                            break;
-                        case '03':
-                            message.payload.baudRate = '19200';
-                            break;
-                        default:
-                            message.payload.baudRate = '?';
-                            if (conectricUsbGateway.params.debugMode) {
-                                console.error(`Invalid baudRate received in rs485Config message, hex was "${baudRate}".`);
-                            }
-                    }
+    addSensorStatus(sensor) {
+        return Object.assign(sensor, this.watchdog.getStatus(sensor.sensorId), this.batteryMonitor.getStatus(sensor.sensorId));
+    }
 
-                    switch (parity) {
-                        case '00':
-                            message.payload.parity = conectricUsbGateway.PARITY_NONE;
-                            break;
-                        case '01':
-                            message.payload.parity = conectricUsbGateway.PARITY_ODD;
-                            break;
-                        case '02':
-                            message.payload.parity = conectricUsbGateway.PARITY_EVEN;
-                            break;
-                        default:
-                            message.payload.parity = '?';
-                            if (conectricUsbGateway.params.debugMode) {
-                                console.error(`Invalid parity received in rs485Config message, hex was "${parity}".`);
-                            }
-                    }
+    // Tells the watchdog how often a sensor, or all sensors of a type, send
+    // status messages.  sendEventConfigMessage does this itself.
+    setReportInterval(params) {
+        const validationResult = Joi.validate(params, this.REPORT_INTERVAL_SCHEMA);
 
-                    switch (stopBits) {
-                        case '00':
-                            message.payload.stopBits = 1;
-                            break;
-                        case '01':
-                            message.payload.stopBits = 2;
-                            break;
-                        default:
-                            message.payload.stopBits = -1;
-                            if (conectricUsbGateway.params.debugMode) {
-                                console.error(`Invalid stopBits received in rs485Config message, hex was "${stopBits}".`);
-                            }
-                    }
+        if (validationResult.error) {
+            console.error(validationResult.error.message);
+            return false;
+        }
 
-                    switch (bitMask) {
-                        case '00':
-                            message.payload.bitMask = 8;
-                            break;
-                        case '01':
-                            message.payload.bitMask = 7;
-                            break;
-                        default:
-                            message.payload.bitMask = -1;
-                            if (conectricUsbGateway.params.debugMode) {
-                                console.error(`Invalid bitMask received in rs485Config message, hex was "${bitMask}".`);
-                            }
-                    }
-            
-                    break;
-                case 'rs485Request':
-                    message.payload.data = messageData;
-                    break;
-                case 'rs485Response':
-                    message.payload.battery = battery;
-                    message.payload.rs485 = messageData;
-                    break;
-                case 'rs485ChunkEnvelopeResponse':
-                    message.payload.battery = battery;
-                    message.payload.numChunks = parseInt(messageData.substring(0, 2), 16);
-                    message.payload.chunkSize = parseInt(messageData.substring(2), 16);
-                    break;
-                case 'rs485ChunkResponse':
-                    message.payload.battery = battery;
-                    message.payload.data = messageData;
-                    break;
-                case 'text':
-                    message.payload.battery = battery;
-
-                    if (conectricUsbGateway.params.decodeTextMessages) {
-                        message.payload.text = conectricUsbGateway.hexDecode(messageData);
-                    } else {
-                        message.payload.text = messageData;
-                    }
-                    break;
-                default:
-                    if (conectricUsbGateway.params.debugMode) {
-                        console.log(`Ignoring unknown message type "${messageType}"`);
-                    }
+        this.watchdog.setReportInterval((params.sensorId ? params.sensorId.toLowerCase() : params.sensorType), params.sleepTime * params.reportEvery);
+        return true;
+    }
+
+    // Declares the settings that a sensor, or all sensors of a type, should
+    // have.  The gateway sends them, checks that they were applied where it
+    // can, and sends them again when a sensor boots.  Replaces any settings
+    // declared before for the same sensor or type.
+    setDesiredConfig(params) {
+        const validationResult = Joi.validate(params, this.DESIRED_CONFIG_SCHEMA);
+
+        if (validationResult.error) {
+            console.error(validationResult.error.message);
+            return false;
+        }
+
+        const deploymentLifetime = (params.hasOwnProperty('deploymentLifetime') ? params.deploymentLifetime : this.CONFIG_DEFAULT_DEPLOYMENT_LIFETIME);
+
+        // Events for a sensor are checked against its type once it has
+        // been heard from.
+        if (params.sensorType && params.events) {
+            const eventsResult = Joi.validate(Object.assign({
+                sensorType: params.sensorType,
+                broadcast: true,
+                deploymentLifetime
+            }, params.events), this.EVENT_CONFIG_MESSAGE_SCHEMA);
+
+            if (eventsResult.error) {
+                console.error(eventsResult.error.message);
+                return false;
             }
         }
 
-        conectricUsbGateway.params.onSensorMessage(message);
+        this.configManager.setDesired((params.sensorId ? params.sensorId.toLowerCase() : params.sensorType), (params.sensorId === undefined), {
+            events: params.events,
+            leds: params.leds,
+            rs485: params.rs485,
+            deploymentLifetime
+        });
+
+        return true;
+    }
+
+    // Returns the state of each desired setting for a sensor, or for all 
+    // sensors that have desired settings if sensorId is omitted.
+    getConfigStatus(sensorId) {
+        const toTimestamp = (time) => (time !== undefined ? this.fromMilliseconds(time) : undefined);
+        const statuses = (sensorId ? [ this.configManager.getStatus(sensorId) ] : this.configManager.getAllStatus()).filter((status) => status);
+
+        statuses.forEach((status) => {
+            Object.keys(status.settings).forEach((setting) => {
+                status.settings[setting].sentAt = toTimestamp(status.settings[setting].sentAt);
+                status.settings[setting].appliedAt = toTimestamp(status.settings[setting].appliedAt);
+            });
+        });
+
+        return (sensorId ? statuses[0] : statuses);
+    }
+
+    // Returns a promise of the stored messages matching filter, oldest
+    // first.  filter can contain sensorId and type, each a string or an 
+    // array of strings, from and to times, and a limit.
+    query(filter = {}) {
+        return this.scanStore(filter, (storeFilter) => this.messageStore.query(storeFilter));
+    }
+
+    // As query, but resolves with the min, max and average temperature and
+    // humidity for each sensor for each hour.
+    aggregateHourly(filter = {}) {
+        return this.scanStore(filter, async (storeFilter) => {
+            const buckets = await this.messageStore.aggregateHourly(storeFilter);
+
+            buckets.forEach((bucket) => {
+                bucket.hour = this.fromMilliseconds(bucket.hour);
+            });
+
+            return buckets;
+        });
+    }
+
+    async scanStore(filter, scan) {
+        const validationResult = Joi.validate(filter, this.QUERY_SCHEMA);
+
+        if (validationResult.error) {
+            throw new errors.ValidationError(validationResult.error.message);
+        }
+
+        if (! this.messageStore) {
+            throw new errors.GatewayError('Message storage is not enabled, use the store option.', 'ENOSTORE');
+        }
+
+        return scan({
+            sensorIds: [].concat(filter.sensorId || []).map((sensorId) => sensorId.toLowerCase()),
+            types: [].concat(filter.type || []),
+            from: (filter.from !== undefined ? this.toMilliseconds(filter.from) : undefined),
+            to: (filter.to !== undefined ? this.toMilliseconds(filter.to) : undefined),
+            limit: filter.limit
+        });
+    }
+
+    // Returns the number of messages waiting to be forwarded, the number
+    // of failed attempts since the last successful one, and when messages
+    // were last delivered, or undefined if the uplink option is not set.
+    getUplinkStatus() {
+        return (this.uplink ? this.uplink.getStatus() : undefined);
+    }
+
+    // Converts between Dates or message timestamps, which are in seconds 
+    // unless useMillisecondTimestamps is set, and milliseconds.
+    toMilliseconds(time) {
+        if (time instanceof Date) {
+            return time.getTime();
+        }
+
+        return (this.params.useMillisecondTimestamps ? time : time * 1000);
+    }
+
+    fromMilliseconds(time) {
+        return (this.params.useMillisecondTimestamps ? time : Math.floor(time / 1000));
+    }
+
+    // Returns an async iterable of decoded messages, for use with for await.
+    // filter can contain type and / or sensorId, each a string or an array 
+    // of strings, and a bufferSize.
+    messages(filter) {
+        return createMessageIterator(this, filter);
     }
 }
 
+// Adds a decoder for a message type, or replaces an existing one.  Message
+// types are shared by all gateway instances.
+const registerMessageType = (code, definition) => {
+    const codeValidationResult = Joi.validate(code, Joi.string().regex(/^[0-9A-Fa-f]{2}$/).required().label('code'));
+    const validationResult = Joi.validate(definition, constants.MESSAGE_TYPE_SCHEMA);
+
+    if (codeValidationResult.error || validationResult.error) {
+        console.error((codeValidationResult.error || validationResult.error).message);
+        return false;
+    }
+
+    code = code.toLowerCase();
+    constants.MESSAGE_TYPES[code] = definition.name;
+    constants.DECODERS[code] = definition;
+
+    const broadcastIndex = constants.BROADCAST_MESSAGE_TYPES.indexOf(code);
+
+    if (definition.broadcast && broadcastIndex === -1) {
+        constants.BROADCAST_MESSAGE_TYPES.push(code);
+    } else if (! definition.broadcast && broadcastIndex !== -1) {
+        constants.BROADCAST_MESSAGE_TYPES.splice(broadcastIndex, 1);
+    }
+
+    // Registering a type means it is no longer ignorable.
+    const ignorableIndex = constants.IGNORABLE_MESSAGE_TYPES.indexOf(code);
+
+    if (ignorableIndex !== -1) {
+        constants.IGNORABLE_MESSAGE_TYPES.splice(ignorableIndex, 1);
+    }
+
+    return true;
+};
+
+builtInDecoders.forEach((definition) => registerMessageType(definition.code, definition));
+
+Object.assign(Gateway, constants);
+Object.assign(Gateway.prototype, constants);
+Gateway.registerMessageType = registerMessageType;
+
+const createGateway = (params) => {
+    const gateway = new Gateway();
+    gateway.runGateway(params);
+    return gateway;
+};
+
+// The module itself is a gateway instance, so that applications using a
+// single USB router can carry on calling runGateway etc on it directly.
+const conectricUsbGateway = new Gateway();
+
+conectricUsbGateway.Gateway = Gateway;
+conectricUsbGateway.createGateway = createGateway;
+conectricUsbGateway.FakeRouter = FakeRouter;
+conectricUsbGateway.ReplayRouter = ReplayRouter;
+conectricUsbGateway.streamTransport = streamTransport;
+conectricUsbGateway.EkmOmnimeter = require('./lib/drivers/ekmOmnimeter');
+conectricUsbGateway.ModbusClient = require('./lib/drivers/modbus');
+conectricUsbGateway.derivedMetrics = derivedMetrics;
+Object.assign(conectricUsbGateway, errors);
+
 module.exports = conectricUsbGateway;
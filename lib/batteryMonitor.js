@@ -0,0 +1,85 @@
+const roundTo = require('round-to');
+const SensorRegistry = require('./sensorRegistry');
+
+// Watches sensor battery levels.  Calls emit with a 'lowBattery' event the
+// first time a sensor's battery drops below the threshold for its type, and
+// with a 'batteryRecovered' event once the battery has been replaced, which
+// is when the sensor boots from power on with a battery level at least
+// hysteresis above the threshold.  No more 'lowBattery' events are emitted
+// for a sensor in between, however much its reported level wanders.
+class BatteryMonitor {
+    constructor(emit) {
+        this.emit = emit;
+        this.thresholds = {};
+        this.hysteresis = 0;
+        this.sensors = new Map();
+    }
+
+    // thresholds maps sensor types to voltages, with a default for types
+    // that are not listed.
+    configure(thresholds, hysteresis) {
+        this.thresholds = thresholds;
+        this.hysteresis = hysteresis;
+    }
+
+    getThreshold(sensorType) {
+        return (this.thresholds.hasOwnProperty(sensorType) ? this.thresholds[sensorType] : this.thresholds.default);
+    }
+
+    // Called for every message received.  battery is undefined for
+    // messages that don't report it.
+    observe(message, battery, isPowerOn) {
+        const sensorId = message.sensorId.toLowerCase();
+        let sensor = this.sensors.get(sensorId);
+
+        if (! sensor) {
+            sensor = {
+                sensorId,
+                sensorType: undefined,
+                lowBattery: false
+            };
+
+            this.sensors.set(sensorId, sensor);
+        }
+
+        const sensorType = SensorRegistry.getSensorType(message.type);
+
+        if (sensorType) {
+            sensor.sensorType = sensorType;
+        }
+
+        if (battery === undefined) {
+            return;
+        }
+
+        const threshold = this.getThreshold(sensor.sensorType);
+
+        if (sensor.lowBattery) {
+            // Rounded as battery levels are reported to 0.1V.
+            if (isPowerOn && battery >= roundTo(threshold + this.hysteresis, 2)) {
+                sensor.lowBattery = false;
+                this.emit('batteryRecovered', {
+                    sensorId,
+                    sensorType: sensor.sensorType,
+                    battery
+                });
+            }
+        } else if (battery < threshold) {
+            sensor.lowBattery = true;
+            this.emit('lowBattery', {
+                sensorId,
+                sensorType: sensor.sensorType,
+                battery,
+                threshold
+            });
+        }
+    }
+
+    getStatus(sensorId) {
+        const sensor = this.sensors.get(sensorId.toLowerCase());
+
+        return (sensor ? { lowBattery: sensor.lowBattery } : undefined);
+    }
+}
+
+module.exports = BatteryMonitor;
@@ -0,0 +1,57 @@
+const fs = require('fs');
+
+const DIRECTION_IN = 'in';
+const DIRECTION_OUT = 'out';
+
+// Appends every line received from the USB router, and every command sent
+// to it, to a file.  Each line of the file holds the time as an ISO 8601
+// string, the direction ('in' or 'out') and the line itself, separated by
+// spaces, for example:
+//
+// 2018-02-16T06:19:05.243Z in >26010000a94607301c6a1c6b6c32cf
+//
+// See ReplayRouter for playing a capture back.
+class CaptureLog {
+    constructor(options) {
+        this.stream = fs.createWriteStream(options.file, { flags: 'a' });
+        this.stream.on('error', options.onError);
+    }
+
+    write(direction, line) {
+        this.stream.write(`${new Date().toISOString()} ${direction} ${line}\n`);
+    }
+
+    close(callback) {
+        this.stream.end(callback);
+    }
+}
+
+// Returns the time in milliseconds, direction and line from a line of a
+// capture file, or undefined if it isn't one.
+const parseLine = (captureLine) => {
+    const firstSpace = captureLine.indexOf(' ');
+    const secondSpace = captureLine.indexOf(' ', firstSpace + 1);
+
+    if (firstSpace === -1 || secondSpace === -1) {
+        return undefined;
+    }
+
+    const time = Date.parse(captureLine.substring(0, firstSpace));
+    const direction = captureLine.substring(firstSpace + 1, secondSpace);
+
+    if (isNaN(time) || (direction !== DIRECTION_IN && direction !== DIRECTION_OUT)) {
+        return undefined;
+    }
+
+    return {
+        time,
+        direction,
+        line: captureLine.substring(secondSpace + 1)
+    };
+};
+
+CaptureLog.DIRECTION_IN = DIRECTION_IN;
+CaptureLog.DIRECTION_OUT = DIRECTION_OUT;
+CaptureLog.parseLine = parseLine;
+
+module.exports = CaptureLog;
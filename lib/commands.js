@@ -0,0 +1,31 @@
+const errors = require('./errors');
+
+// Commands that can be sent to the gateway from outside the process, for
+// example over MQTT or HTTP, and the send methods and schemas they map to.
+const COMMANDS = {
+    text: { method: 'sendTextMessage', schema: 'TEXT_MESSAGE_SCHEMA' },
+    rs485Request: { method: 'sendRS485Request', schema: 'RS485_MESSAGE_SCHEMA' },
+    rs485Config: { method: 'sendRS485ConfigMessage', schema: 'RS485_CONFIG_MESSAGE_SCHEMA' },
+    eventConfig: { method: 'sendEventConfigMessage', schema: 'EVENT_CONFIG_MESSAGE_SCHEMA' },
+    ledConfig: { method: 'sendLEDConfigMessage', schema: 'LED_CONFIG_MESSAGE_SCHEMA' }
+};
+
+// Returns a promise that resolves once the command has been written to the
+// USB router, or rejects with a ValidationError if the command is unknown
+// or its parameters are invalid.
+const runCommand = (gateway, commandName, params) => {
+    // commandName comes from outside, and may be something like
+    // "constructor".
+    const command = (Object.prototype.hasOwnProperty.call(COMMANDS, commandName) ? COMMANDS[commandName] : undefined);
+
+    if (! command) {
+        return Promise.reject(new errors.ValidationError(`Unknown command "${commandName}".`));
+    }
+
+    return gateway[command.method](params);
+};
+
+module.exports = {
+    COMMANDS,
+    runCommand
+};
@@ -0,0 +1,608 @@
+const SensorRegistry = require('./sensorRegistry');
+const errors = require('./errors');
+
+const SETTING_EVENTS = 'events';
+const SETTING_LEDS = 'leds';
+const SETTING_RS485 = 'rs485';
+const SETTINGS = [ SETTING_EVENTS, SETTING_LEDS, SETTING_RS485 ];
+
+const STATE_PENDING = 'pending';
+const STATE_SENT = 'sent';
+const STATE_APPLIED = 'applied';
+const STATE_FAILED = 'failed';
+
+// Message types that are sent both for events and as periodic status
+// reports.  Status reports have message data starting with 2.
+const EVENT_MESSAGE_TYPES = [ 'motion', 'pulse', 'switch', 'moisture' ];
+
+// Sensor types that are configured as another type.
+const CONFIG_SENSOR_TYPES = {
+    tempHumidityAdc: 'tempHumidity'
+};
+
+// Status reports are sent after a whole number of sleep intervals, and
+// may be a little early or late.
+const REPORT_INTERVAL_TOLERANCE = 0.1;
+
+// Keeps sensors configured the way that the caller wants them.  Desired
+// settings are declared for a sensor or for a type of sensor, settings for
+// a sensor taking precedence, and are sent to each sensor that the gateway
+// hears from, then sent again whenever the sensor boots.
+//
+// Event settings (sleepTime, reportEvery etc) for a type are broadcast to
+// all sensors of the type, and those for a sensor are sent to it alone.
+// They are applied once a sensor's status reports arrive at the new
+// interval.  RS-485 settings are applied once the sensor reports them in
+// an rs485Config message.  LED settings are never confirmed, as sensors
+// don't report them.  Settings that are not confirmed in time are sent
+// again, up to maxAttempts times in all.
+//
+// Calls the gateway's emit with 'configSent', 'configApplied' and
+// 'configFailed' events.
+class ConfigManager {
+    constructor(gateway) {
+        this.gateway = gateway;
+        this.desired = new Map();
+        this.sensors = new Map();
+        this.broadcasts = new Map();
+        this.maxAttempts = 3;
+        this.bootDelayMs = 0;
+        this.rs485TimeoutMs = 0;
+        this.timer = undefined;
+
+        // Sends happen one at a time, so as not to fill the outbound queue.
+        this.sends = Promise.resolve();
+
+        gateway.on('ready', () => this.resume());
+    }
+
+    start(options) {
+        this.stop();
+        this.maxAttempts = options.maxAttempts;
+        this.bootDelayMs = options.bootDelayMs;
+        this.rs485TimeoutMs = options.rs485TimeoutMs;
+        this.timer = setInterval(() => this.check(), options.checkIntervalMs);
+
+        // Don't keep the process running just to check on sensors.
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = undefined;
+
+        this.sensors.forEach((sensor) => {
+            Object.keys(sensor.settings).forEach((setting) => {
+                clearTimeout(sensor.settings[setting].timer);
+                sensor.settings[setting].timer = undefined;
+            });
+        });
+
+        this.broadcasts.forEach((broadcast) => {
+            clearTimeout(broadcast.timer);
+            broadcast.timer = undefined;
+        });
+    }
+
+    // key is a sensor ID or a sensor type, entry holds the desired events,
+    // leds and rs485 settings and the deploymentLifetime to send them with.
+    setDesired(key, isSensorType, entry) {
+        this.desired.set(key, entry);
+
+        if (isSensorType) {
+            // Events for a type can only be broadcast.
+            const broadcast = this.broadcasts.get(key);
+
+            if (broadcast) {
+                clearTimeout(broadcast.timer);
+                this.broadcasts.delete(key);
+            }
+
+            if (entry.events) {
+                this.scheduleBroadcast(key, 0, false);
+            }
+        } else {
+            // So that the sensor shows up as pending before it is heard from.
+            this.getSensor(key);
+        }
+
+        for (const sensor of this.sensors.values()) {
+            this.reconcile(sensor, false);
+        }
+    }
+
+    getSensor(sensorId) {
+        let sensor = this.sensors.get(sensorId);
+
+        if (! sensor) {
+            sensor = {
+                sensorId,
+                sensorType: undefined,
+                lastReport: undefined,
+                settings: {}
+            };
+
+            this.sensors.set(sensorId, sensor);
+        }
+
+        return sensor;
+    }
+
+    getConfigSensorType(sensorType) {
+        return CONFIG_SENSOR_TYPES[sensorType] || sensorType;
+    }
+
+    // Returns the settings that a sensor should have, the entry that they
+    // come from and whether it is for the sensor's type.
+    getDesiredSetting(sensor, setting) {
+        const sensorEntry = this.desired.get(sensor.sensorId);
+
+        if (sensorEntry && sensorEntry[setting]) {
+            return { entry: sensorEntry, config: sensorEntry[setting], byType: false };
+        }
+
+        const typeEntry = (sensor.sensorType ? this.desired.get(sensor.sensorType) : undefined);
+
+        if (typeEntry && typeEntry[setting]) {
+            return { entry: typeEntry, config: typeEntry[setting], byType: true };
+        }
+
+        return undefined;
+    }
+
+    // Sends any settings that have changed, or all of them if force is set.
+    reconcile(sensor, force, delayMs = 0) {
+        SETTINGS.forEach((setting) => {
+            const desired = this.getDesiredSetting(sensor, setting);
+            const current = sensor.settings[setting];
+
+            if (! force && current && desired && current.byType === desired.byType && JSON.stringify(current.config) === JSON.stringify(desired.config) && current.deploymentLifetime === desired.entry.deploymentLifetime) {
+                return;
+            }
+
+            if (current) {
+                clearTimeout(current.timer);
+                delete sensor.settings[setting];
+            }
+
+            if (! desired) {
+                return;
+            }
+
+            // Sensor type is needed to address LED and event config
+            // messages to a sensor.
+            if (setting !== SETTING_RS485 && ! desired.byType && ! sensor.sensorType) {
+                return;
+            }
+
+            // A new object, so that sends already under way for the old
+            // settings don't update it.
+            sensor.settings[setting] = {
+                state: STATE_PENDING,
+                config: desired.config,
+                byType: desired.byType,
+                deploymentLifetime: desired.entry.deploymentLifetime,
+                attempts: 0,
+                sentAt: undefined,
+                appliedAt: undefined,
+                timer: undefined
+            };
+
+            if (setting === SETTING_EVENTS && desired.byType) {
+                // Waits for the broadcast to the sensor's type.
+                if (force) {
+                    this.scheduleBroadcast(sensor.sensorType, delayMs, true);
+                } else if (this.broadcasts.has(sensor.sensorType)) {
+                    const broadcast = this.broadcasts.get(sensor.sensorType);
+
+                    if (broadcast.sentAt) {
+                        // Sensor was not heard from before the broadcast,
+                        // it may have got it.
+                        this.markSent(sensor.settings[setting]);
+                    } else if (this.isUnsent(broadcast)) {
+                        // For example set before the gateway was ready.
+                        this.scheduleBroadcast(sensor.sensorType, 0, false);
+                    }
+                }
+
+                return;
+            }
+
+            this.scheduleSend(sensor, setting, delayMs);
+        });
+    }
+
+    markSent(sensorSetting) {
+        sensorSetting.state = STATE_SENT;
+        sensorSetting.sentAt = Date.now();
+    }
+
+    scheduleSend(sensor, setting, delayMs) {
+        const sensorSetting = sensor.settings[setting];
+        clearTimeout(sensorSetting.timer);
+
+        sensorSetting.timer = setTimeout(() => {
+            sensorSetting.timer = undefined;
+            this.send(sensor, setting, sensorSetting);
+        }, delayMs);
+    }
+
+    send(sensor, setting, sensorSetting) {
+        sensorSetting.state = STATE_PENDING;
+        sensorSetting.attempts++;
+
+        this.sends = this.sends.then(() => {
+            let result;
+
+            if (setting === SETTING_EVENTS) {
+                result = this.gateway.sendEventConfigMessage(Object.assign({
+                    destination: sensor.sensorId,
+                    sensorType: sensor.sensorType,
+                    deploymentLifetime: sensorSetting.deploymentLifetime
+                }, sensorSetting.config));
+            } else if (setting === SETTING_LEDS) {
+                result = this.gateway.sendLEDConfigMessage({
+                    destination: sensor.sensorId,
+                    sensorType: sensor.sensorType,
+                    leds: Object.assign({}, sensorSetting.config),
+                    deploymentLifetime: sensorSetting.deploymentLifetime
+                });
+            } else {
+                result = this.gateway.sendRS485ConfigMessage(Object.assign({
+                    destination: sensor.sensorId
+                }, sensorSetting.config));
+            }
+
+            // Settings for a sensor can't be checked against its type
+            // until it has been heard from.
+            return result.catch((err) => {
+                if (err.code === 'EVALIDATION') {
+                    throw new errors.ValidationError(`Desired ${setting} settings for sensor ${sensor.sensorId} are not valid for a ${sensor.sensorType} sensor.`);
+                }
+
+                throw err;
+            });
+        }).then(() => {
+            this.markSent(sensorSetting);
+            this.gateway.emit('configSent', {
+                sensorId: sensor.sensorId,
+                setting,
+                config: sensorSetting.config,
+                attempts: sensorSetting.attempts
+            });
+        }).catch((err) => {
+            sensorSetting.state = STATE_FAILED;
+            this.gateway.reportError(err);
+        });
+    }
+
+    // restart starts counting attempts again, for when the settings have
+    // been applied before.
+    scheduleBroadcast(sensorType, delayMs, restart) {
+        let broadcast = this.broadcasts.get(sensorType);
+
+        if (! broadcast) {
+            broadcast = {
+                attempts: 0,
+                sentAt: undefined,
+                sending: false,
+                failed: false,
+                timer: undefined
+            };
+
+            this.broadcasts.set(sensorType, broadcast);
+        } else if (restart) {
+            broadcast.attempts = 0;
+        }
+
+        // Several sensors of a type booting together only need one.
+        if (broadcast.timer) {
+            return;
+        }
+
+        // There is no router to send it to yet, resume sends it once the
+        // gateway is ready.
+        if (this.gateway.getState() === this.gateway.GATEWAY_STATE_DISCONNECTED) {
+            return;
+        }
+
+        broadcast.timer = setTimeout(() => {
+            broadcast.timer = undefined;
+            this.broadcast(sensorType, broadcast);
+        }, delayMs);
+    }
+
+    // Whether a broadcast failed, or was never sent and is not about to be.
+    isUnsent(broadcast) {
+        return (! broadcast.timer && ! broadcast.sending && (broadcast.failed || ! broadcast.sentAt));
+    }
+
+    broadcast(sensorType, broadcast) {
+        const entry = this.desired.get(sensorType);
+        broadcast.attempts++;
+        broadcast.sending = true;
+
+        // Not checked on again until this has been sent.
+        this.forEachSetting(sensorType, (sensorSetting) => {
+            sensorSetting.state = STATE_PENDING;
+        });
+
+        this.sends = this.sends.then(() => {
+            return this.gateway.sendEventConfigMessage(Object.assign({
+                sensorType,
+                broadcast: true,
+                deploymentLifetime: entry.deploymentLifetime
+            }, entry.events));
+        }).then(() => {
+            broadcast.sending = false;
+            broadcast.failed = false;
+            broadcast.sentAt = Date.now();
+
+            this.forEachSetting(sensorType, (sensorSetting) => {
+                this.markSent(sensorSetting);
+                sensorSetting.attempts = broadcast.attempts;
+            });
+
+            this.gateway.emit('configSent', {
+                sensorType,
+                setting: SETTING_EVENTS,
+                config: entry.events,
+                attempts: broadcast.attempts
+            });
+        }).catch((err) => {
+            broadcast.sending = false;
+            broadcast.failed = true;
+
+            this.forEachSetting(sensorType, (sensorSetting) => {
+                sensorSetting.state = STATE_FAILED;
+                sensorSetting.attempts = broadcast.attempts;
+            });
+
+            this.gateway.reportError(err);
+        });
+    }
+
+    // Calls fn with the events settings of each sensor of a type that come
+    // from the type and have not been applied.
+    forEachSetting(sensorType, fn) {
+        for (const sensor of this.sensors.values()) {
+            const sensorSetting = sensor.settings[SETTING_EVENTS];
+
+            if (sensor.sensorType === sensorType && sensorSetting && sensorSetting.byType && sensorSetting.state !== STATE_APPLIED) {
+                fn(sensorSetting);
+            }
+        }
+    }
+
+    // Called for every message received, including those that are not
+    // passed on to the caller, such as status messages.  message.type is
+    // the type before decoding.
+    observe(message, messageData) {
+        const sensor = this.getSensor(message.sensorId.toLowerCase());
+        const sensorType = SensorRegistry.getSensorType(message.type);
+        const wasTyped = (sensor.sensorType !== undefined);
+
+        if (sensorType) {
+            sensor.sensorType = this.getConfigSensorType(sensorType);
+        }
+
+        if (message.type === 'boot') {
+            // The sensor may have lost its settings.
+            sensor.lastReport = undefined;
+            return this.reconcile(sensor, true, this.bootDelayMs);
+        }
+
+        if (! wasTyped && sensor.sensorType) {
+            this.reconcile(sensor, false);
+        }
+
+        if (message.type === 'rs485Config') {
+            return this.checkRS485Config(sensor, this.gateway.parseRS485Config(messageData));
+        }
+
+        if (EVENT_MESSAGE_TYPES.includes(message.type) && ! messageData.startsWith('2')) {
+            // Event, not a status report.
+            return;
+        }
+
+        const now = Date.now();
+        const sensorSetting = sensor.settings[SETTING_EVENTS];
+
+        // Both reports have to have come after the settings were sent.
+        if (sensorSetting && sensorSetting.state === STATE_SENT && sensor.lastReport >= sensorSetting.sentAt && this.isReportInterval((now - sensor.lastReport) / 1000, sensorSetting.config)) {
+            this.markApplied(sensor, SETTING_EVENTS, sensorSetting);
+        }
+
+        sensor.lastReport = now;
+    }
+
+    // Moisture sensors report more often when wet.
+    isReportInterval(seconds, config) {
+        return [ config.reportEvery, config.moistureWetReportEvery ].some((reportEvery) => {
+            if (! reportEvery) {
+                return false;
+            }
+
+            const expected = config.sleepTime * reportEvery;
+
+            return Math.abs(seconds - expected) <= Math.max(expected * REPORT_INTERVAL_TOLERANCE, 1);
+        });
+    }
+
+    // reported is undefined if the settings could not be decoded.
+    checkRS485Config(sensor, reported) {
+        const sensorSetting = sensor.settings[SETTING_RS485];
+
+        if (! sensorSetting) {
+            return;
+        }
+
+        const matches = (reported !== undefined && this.gateway.rs485ConfigMatches(reported, sensorSetting.config));
+
+        if (matches && sensorSetting.state !== STATE_APPLIED) {
+            return this.markApplied(sensor, SETTING_RS485, sensorSetting);
+        }
+
+        if (! matches && sensorSetting.state !== STATE_PENDING) {
+            // Changed since, or didn't take.
+            this.retry(sensor, SETTING_RS485, sensorSetting, true);
+        }
+    }
+
+    markApplied(sensor, setting, sensorSetting) {
+        sensorSetting.state = STATE_APPLIED;
+        sensorSetting.appliedAt = Date.now();
+
+        this.gateway.emit('configApplied', {
+            sensorId: sensor.sensorId,
+            sensorType: sensor.sensorType,
+            setting,
+            config: sensorSetting.config
+        });
+    }
+
+    // Sends settings again, or gives up on them once they have been sent
+    // maxAttempts times.  Settings that were applied and have since
+    // changed start again from the first attempt.
+    retry(sensor, setting, sensorSetting, wasApplied) {
+        if (wasApplied && sensorSetting.state === STATE_APPLIED) {
+            sensorSetting.attempts = 0;
+        }
+
+        if (sensorSetting.attempts >= this.maxAttempts) {
+            sensorSetting.state = STATE_FAILED;
+
+            return this.gateway.emit('configFailed', {
+                sensorId: sensor.sensorId,
+                sensorType: sensor.sensorType,
+                setting,
+                config: sensorSetting.config,
+                attempts: sensorSetting.attempts
+            });
+        }
+
+        if (setting === SETTING_EVENTS && sensorSetting.byType) {
+            return this.scheduleBroadcast(sensor.sensorType, 0, false);
+        }
+
+        this.send(sensor, setting, sensorSetting);
+    }
+
+    getTimeoutMs(sensor, setting, sensorSetting) {
+        if (setting === SETTING_RS485) {
+            return this.rs485TimeoutMs;
+        }
+
+        // Time for the settings to spread through the mesh, then for a
+        // couple of status reports.
+        const config = sensorSetting.config;
+
+        return (sensorSetting.deploymentLifetime * 60 + config.sleepTime * config.reportEvery * 3) * 1000;
+    }
+
+    // Sends settings again that could not be written, for example because
+    // the USB router was detached or the gateway was not ready yet, once
+    // the gateway is ready.  Broadcasts are sent again whether or not any
+    // sensors of the type have been heard from.
+    resume() {
+        this.broadcasts.forEach((broadcast, sensorType) => {
+            if (this.isUnsent(broadcast) && broadcast.attempts < this.maxAttempts) {
+                this.scheduleBroadcast(sensorType, 0, false);
+            }
+        });
+
+        for (const sensor of this.sensors.values()) {
+            SETTINGS.forEach((setting) => {
+                const sensorSetting = sensor.settings[setting];
+
+                // Events for a type wait for the broadcast.
+                if (! sensorSetting || sensorSetting.state !== STATE_FAILED || sensorSetting.attempts >= this.maxAttempts || (setting === SETTING_EVENTS && sensorSetting.byType)) {
+                    return;
+                }
+
+                this.send(sensor, setting, sensorSetting);
+            });
+        }
+    }
+
+    // Sends settings again that haven't been confirmed in time.
+    check() {
+        const now = Date.now();
+        const retriedTypes = new Set();
+
+        for (const sensor of this.sensors.values()) {
+            [ SETTING_EVENTS, SETTING_RS485 ].forEach((setting) => {
+                const sensorSetting = sensor.settings[setting];
+
+                if (! sensorSetting || sensorSetting.state !== STATE_SENT || now - sensorSetting.sentAt < this.getTimeoutMs(sensor, setting, sensorSetting)) {
+                    return;
+                }
+
+                if (setting === SETTING_EVENTS && sensorSetting.byType) {
+                    // Sensors of a type share broadcasts, and attempts.
+                    if (retriedTypes.has(sensor.sensorType)) {
+                        return;
+                    }
+
+                    sensorSetting.attempts = this.broadcasts.get(sensor.sensorType).attempts;
+
+                    if (sensorSetting.attempts < this.maxAttempts) {
+                        retriedTypes.add(sensor.sensorType);
+                    }
+                }
+
+                this.retry(sensor, setting, sensorSetting, false);
+            });
+        }
+    }
+
+    // Returns the state of each setting for a sensor, or undefined if the
+    // sensor has no desired settings.
+    getStatus(sensorId) {
+        const sensor = this.sensors.get(sensorId.toLowerCase());
+
+        if (! sensor) {
+            return undefined;
+        }
+
+        const settings = {};
+
+        SETTINGS.forEach((setting) => {
+            const sensorSetting = sensor.settings[setting];
+            const desired = this.getDesiredSetting(sensor, setting);
+
+            if (sensorSetting) {
+                settings[setting] = {
+                    state: sensorSetting.state,
+                    config: sensorSetting.config,
+                    attempts: sensorSetting.attempts,
+                    sentAt: sensorSetting.sentAt,
+                    appliedAt: sensorSetting.appliedAt
+                };
+            } else if (desired) {
+                // Not sent until the sensor's type is known.
+                settings[setting] = {
+                    state: STATE_PENDING,
+                    config: desired.config,
+                    attempts: 0
+                };
+            }
+        });
+
+        if (Object.keys(settings).length === 0) {
+            return undefined;
+        }
+
+        return {
+            sensorId: sensor.sensorId,
+            sensorType: sensor.sensorType,
+            settings
+        };
+    }
+
+    getAllStatus() {
+        return Array.from(this.sensors.keys()).map((sensorId) => this.getStatus(sensorId)).filter((status) => status);
+    }
+}
+
+module.exports = ConfigManager;
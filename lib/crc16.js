@@ -0,0 +1,21 @@
+// CRC-16 as used by Modbus RTU and EKM meters (polynomial 0xA001 reflected,
+// initial value 0xFFFF).  Takes a Buffer, returns the CRC as a number.
+const crc16 = (buffer) => {
+    let crc = 0xFFFF;
+
+    for (let n = 0; n < buffer.length; n++) {
+        crc ^= buffer[n];
+
+        for (let bit = 0; bit < 8; bit++) {
+            if (crc & 1) {
+                crc = (crc >> 1) ^ 0xA001;
+            } else {
+                crc = crc >> 1;
+            }
+        }
+    }
+
+    return crc;
+};
+
+module.exports = crc16;
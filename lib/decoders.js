@@ -0,0 +1,438 @@
+const roundTo = require('round-to');
+
+// Built in message type decoders, registered with the gateway using the same
+// registerMessageType API that is available for custom sensor types.
+//
+// Each decoder is called with the message object being built, the message
+// data as a hex string, and a context containing the battery level and the
+// gateway instance.  It fills in message.payload (and may change 
+// message.type), and returns false if the message should not be passed on.
+// Types with battery set to false don't carry the sensor's battery level.
+
+// Status and event messages from motion and pulse sensors.
+const decodeEventOrStatus = (eventKey, statusType) => {
+    return (message, messageData, { battery, gateway }) => {
+        message.payload.battery = battery;
+
+        if (messageData.startsWith('20')) {
+            // This is a status report not an actual event.
+            if (! gateway.params.sendStatusMessages) {
+                // Not sending status message to callback.
+                return false;
+            }
+
+            message.type = statusType;
+        } else {
+            // Only indicate an event for real events.
+            message.payload[eventKey] = true;
+        }
+
+        // Add eventCount for messages that have it.
+        if (messageData.length === 10 && gateway.params.sendEventCount) {
+            message.payload.eventCount = parseInt(messageData.substring(2), 16)
+        }
+    };
+};
+
+const decodeRS485Config = (message, messageData, { gateway }) => {
+    if (messageData.length !== 8) {
+        if (gateway.params.debugMode) {
+            console.error(`Ignoring rs485Config message with payload length ${messageData.length}, was expecting length 8.`);
+        }
+
+        return false;
+    }
+
+    let baudRate = messageData.substring(0, 2);
+    let parity = messageData.substring(2, 4);
+    let stopBits = messageData.substring(4, 6);
+    let bitMask = messageData.substring(6);
+
+    switch (baudRate) {
+        case '00':
+            message.payload.baudRate = '2400';
+            break;
+        case '01':
+            message.payload.baudRate = '4800';
+            break;
+        case '02':
+            message.payload.baudRate = '9600';
+            break;
+        case '03':
+            message.payload.baudRate = '19200';
+            break;
+        default:
+            message.payload.baudRate = '?';
+            if (gateway.params.debugMode) {
+                console.error(`Invalid baudRate received in rs485Config message, hex was "${baudRate}".`);
+            }
+    }
+
+    switch (parity) {
+        case '00':
+            message.payload.parity = gateway.PARITY_NONE;
+            break;
+        case '01':
+            message.payload.parity = gateway.PARITY_ODD;
+            break;
+        case '02':
+            message.payload.parity = gateway.PARITY_EVEN;
+            break;
+        default:
+            message.payload.parity = '?';
+            if (gateway.params.debugMode) {
+                console.error(`Invalid parity received in rs485Config message, hex was "${parity}".`);
+            }
+    }
+
+    switch (stopBits) {
+        case '00':
+            message.payload.stopBits = 1;
+            break;
+        case '01':
+            message.payload.stopBits = 2;
+            break;
+        default:
+            message.payload.stopBits = -1;
+            if (gateway.params.debugMode) {
+                console.error(`Invalid stopBits received in rs485Config message, hex was "${stopBits}".`);
+            }
+    }
+
+    switch (bitMask) {
+        case '00':
+            message.payload.bitMask = 8;
+            break;
+        case '01':
+            message.payload.bitMask = 7;
+            break;
+        default:
+            message.payload.bitMask = -1;
+            if (gateway.params.debugMode) {
+                console.error(`Invalid bitMask received in rs485Config message, hex was "${bitMask}".`);
+            }
+    }
+};
+
+module.exports = [
+    {
+        code: '30',
+        name: 'tempHumidity',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway }) => {
+            let tempRaw
+            let humidityRaw
+
+            if (messageData.length === 8) {
+                // Older style
+                tempRaw = messageData.substring(0, 4);
+                humidityRaw = messageData.substring(4);
+            } else {
+                // Newer style
+                tempRaw = messageData.substring(10, 14);
+                humidityRaw = messageData.substring(14);
+
+                if (gateway.params.sendEventCount) {
+                    message.payload.eventCount = parseInt(messageData.substring(2, 10), 16)
+                }    
+            }
+
+            message.payload = { 
+                ...message.payload, 
+                battery,
+                ...gateway.calculateTemperature(tempRaw), 
+                humidity: gateway.calculateHumidity(humidityRaw),
+                ...gateway.calculateDerivedMetrics(tempRaw, humidityRaw)
+            };
+        }
+    },
+    {
+        code: '31',
+        name: 'switch',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway }) => {
+            message.payload.battery = battery;
+
+            // Add eventCount for messages that have it.
+            if (messageData.length === 10 && gateway.params.sendEventCount) {
+                message.payload.eventCount = parseInt(messageData.substring(2), 16)
+            }
+
+            if ((messageData.startsWith('21')) || (messageData.startsWith('22'))) {
+                // This is a status report not an actual event.
+                if (! gateway.params.sendStatusMessages) {
+                    // Not sending status message to callback.
+                    return false;
+                }
+
+                message.type = 'switchStatus';
+                message.payload.switch = (gateway.params.switchOpenValue ? (messageData.startsWith('21')) : (messageData.startsWith('22')));
+            } else {
+                // This is an actual switch event.
+                message.payload.switch = (gateway.params.switchOpenValue ? (messageData.startsWith('81')) : (messageData.startsWith('82')));
+            }
+        }
+    },
+    {
+        code: '32',
+        name: 'motion',
+        broadcast: true,
+        decode: decodeEventOrStatus('motion', 'motionStatus')
+    },
+    {
+        code: '36',
+        name: 'rs485Request',
+        broadcast: false,
+        battery: false,
+        decode: (message, messageData) => {
+            message.payload.data = messageData;
+        }
+    },
+    {
+        code: '37',
+        name: 'rs485Response',
+        broadcast: true,
+        decode: (message, messageData, { battery }) => {
+            message.payload.battery = battery;
+            message.payload.rs485 = messageData;
+        }
+    },
+    {
+        code: '38',
+        name: 'rs485ChunkRequest',
+        broadcast: false,
+        battery: false
+    },
+    {
+        code: '39',
+        name: 'rs485ChunkResponse',
+        broadcast: true,
+        decode: (message, messageData, { battery }) => {
+            message.payload.battery = battery;
+            message.payload.data = messageData;
+        }
+    },
+    {
+        code: '40',
+        name: 'pulse',
+        broadcast: true,
+        decode: decodeEventOrStatus('pulse', 'pulseStatus')
+    },
+    {
+        code: '41',
+        name: 'echoStatus',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway }) => {
+            message.payload.battery = battery;
+
+            if (! gateway.params.sendStatusMessages) {
+                // Not sending status message to callback.
+                return false;
+            }
+
+            // Add eventCount for messages that have it.
+            if (messageData.length === 10 && gateway.params.sendEventCount) {
+                message.payload.eventCount = parseInt(messageData.substring(2), 16)
+            }
+        }
+    },
+    {
+        code: '42',
+        name: 'rs485ChunkEnvelopeResponse',
+        broadcast: true,
+        decode: (message, messageData, { battery }) => {
+            message.payload.battery = battery;
+            message.payload.numChunks = parseInt(messageData.substring(0, 2), 16);
+            message.payload.chunkSize = parseInt(messageData.substring(2), 16);
+        }
+    },
+    {
+        code: '43',
+        name: 'rs485Status',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway }) => {
+            message.payload.battery = battery;
+
+            if (! gateway.params.sendStatusMessages) {
+                // Not sending status message to callback.
+                return false;
+            }
+
+            // Add eventCount for messages that have it.
+            if (messageData.length === 10 && gateway.params.sendEventCount) {
+                message.payload.eventCount = parseInt(messageData.substring(2), 16)
+            }
+        }
+    },
+    {
+        code: '44',
+        name: 'moisture',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway }) => {
+            message.payload.battery = battery;
+
+            // This is a new protocol only sensor, so event count
+            // data will always be present...
+
+            if (messageData.startsWith('21') || messageData.startsWith('22')) {
+                // This is a status report not an actual event.
+                if (! gateway.params.sendStatusMessages) {
+                    // Not sending status message to callback.
+                    return false;
+                }
+
+                message.type = 'moistureStatus';
+
+                message.payload = { 
+                    ...message.payload, 
+                    moisture: messageData.startsWith('21'),
+                    ...gateway.calculateTemperature(messageData.substring(10, 14)), 
+                    humidity: gateway.calculateHumidity(messageData.substring(14)),
+                    ...gateway.calculateDerivedMetrics(messageData.substring(10, 14), messageData.substring(14))
+                };
+
+            } else {
+                // 81 = event caused because now wet where was dry.
+                // 82 = event caused because now dry where was wet.
+                message.payload.moisture = messageData.startsWith('81');
+            }
+
+            if (gateway.params.sendEventCount) {
+                message.payload.eventCount = parseInt(messageData.substring(2, 10), 16)
+            }
+        }
+    },
+    {
+        code: '45',
+        name: 'tempHumidityLight',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway }) => {
+            message.payload.battery = battery;
+
+            if (gateway.params.sendEventCount) {
+                message.payload.eventCount = parseInt(messageData.substring(2, 10), 16);
+            } 
+
+            const rawTemp = messageData.substring(10, 14);
+            const rawHumidity = messageData.substring(14, 18);
+            const rawAdcMax = messageData.substring(22, 26);
+            const rawAdcIn = messageData.substring(26);
+
+            const lux = roundTo(0.003 * Math.pow(parseInt(rawAdcIn, 16),  (1.89 - (3.7 - battery) / 25)), 0);
+
+            let bucketedLux = Math.round(lux / 100);
+
+            if (bucketedLux > 15) { 
+                bucketedLux = 15;
+            }
+
+            message.payload = {
+                ...message.payload,
+                ...gateway.calculateTemperature(rawTemp),
+                humidity: gateway.calculateHumidity(rawHumidity),
+                ...gateway.calculateDerivedMetrics(rawTemp, rawHumidity),
+                bucketedLux
+            };
+
+            if (gateway.params.sendRawLux) {
+                message.payload.lux = lux;
+            }
+
+            if (gateway.params.sendAdcWithLux) {
+                message.payload.adcIn = rawAdcIn;
+                message.payload.adcMax = rawAdcMax;
+            }
+
+            if (gateway.params.debugMode) {
+                console.log(`Raw adc in: ${rawAdcIn}`);
+                console.log(`Raw adc max: ${rawAdcMax}`);
+                console.log(`Raw battery: ${messageData.substring(18, 22)}`);
+            }
+        }
+    },
+    {
+        code: '46',
+        name: 'tempHumidityAdc',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway }) => {
+            message.payload.battery = battery;
+
+            if (gateway.params.sendEventCount) {
+                message.payload.eventCount = parseInt(messageData.substring(2, 10), 16)
+            }
+
+            const rawTemp = messageData.substring(10, 14);
+            const rawHumidity = messageData.substring(14, 18);
+            const rawAdcMax = messageData.substring(22, 26);
+            const rawAdcIn = messageData.substring(26);
+
+            message.payload = {
+                ...message.payload,
+                ...gateway.calculateTemperature(rawTemp),
+                humidity: gateway.calculateHumidity(rawHumidity),
+                ...gateway.calculateDerivedMetrics(rawTemp, rawHumidity),
+                adcIn: rawAdcIn,
+                adcMax: rawAdcMax
+            }
+
+            if (gateway.params.debugMode) {
+                console.log(`Raw adc in: ${rawAdcIn}`);
+                console.log(`Raw adc max: ${rawAdcMax}`);
+                console.log(`Raw battery: ${messageData.substring(18, 22)}`);
+            }
+        }
+    },
+    {
+        code: '60',
+        name: 'boot',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway, rawData }) => {
+            if (! gateway.params.sendBootMessages) {
+                // Not sending boot message to callback.
+                return false;
+            }
+
+            message.payload.battery = battery;
+            
+            switch (messageData) {
+                case '00':
+                    message.payload.resetCause = 'powerOn';
+                    break;
+                case '01':
+                    message.payload.resetCause = 'externalReset';
+                    break;
+                case '02':
+                    message.payload.resetCause = 'watchdogReset';
+                    break;
+                default:
+                    // Unknown
+                    message.payload.resetCause = 'unknown';
+
+                    if (gateway.params.debugMode) {
+                        console.error(`Boot message received with unknown reset cause "${messageData}", full message was "${rawData}".`)
+                    }
+            }
+        }
+    },
+    {
+        code: '61',
+        name: 'text',
+        broadcast: true,
+        decode: (message, messageData, { battery, gateway }) => {
+            message.payload.battery = battery;
+
+            if (gateway.params.decodeTextMessages) {
+                message.payload.text = gateway.hexDecode(messageData);
+            } else {
+                message.payload.text = messageData;
+            }
+        }
+    },
+    {
+        code: '70',
+        name: 'rs485Config',
+        broadcast: false,
+        battery: false,
+        decode: decodeRS485Config
+    }
+];
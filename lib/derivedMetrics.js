@@ -0,0 +1,60 @@
+// Values worked out from a temperature in degrees Celsius and a relative
+// humidity percentage.  Saturation vapor pressure uses the Magnus formula
+// with the WMO coefficients, and heat index the US National Weather
+// Service's algorithm.
+
+const MAGNUS_A = 17.62;
+const MAGNUS_B = 243.12; // C
+const MAGNUS_C = 6.112; // hPa
+
+// J/(kg K).
+const WATER_VAPOR_GAS_CONSTANT = 461.5;
+
+// Sensors can report a little outside 0-100%.  No dew point exists at 0%.
+const clampHumidity = (humidity) => Math.min(Math.max(humidity, 0.01), 100);
+
+// hPa.
+const saturationVaporPressure = (temperature) => MAGNUS_C * Math.exp((MAGNUS_A * temperature) / (MAGNUS_B + temperature));
+
+// C.
+const dewPoint = (temperature, humidity) => {
+    const gamma = Math.log(clampHumidity(humidity) / 100) + ((MAGNUS_A * temperature) / (MAGNUS_B + temperature));
+
+    return (MAGNUS_B * gamma) / (MAGNUS_A - gamma);
+};
+
+// C.  Close to the temperature unless it is warm.
+const heatIndex = (temperature, humidity) => {
+    const rh = clampHumidity(humidity);
+    const t = (temperature * (9 / 5)) + 32;
+    let hi = 0.5 * (t + 61 + ((t - 68) * 1.2) + (rh * 0.094));
+
+    if ((hi + t) / 2 >= 80) {
+        hi = -42.379 + (2.04901523 * t) + (10.14333127 * rh) - (0.22475541 * t * rh) - (0.00683783 * t * t) - (0.05481717 * rh * rh) + (0.00122874 * t * t * rh) + (0.00085282 * t * rh * rh) - (0.00000199 * t * t * rh * rh);
+
+        if (rh < 13 && t >= 80 && t <= 112) {
+            hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+        } else if (rh > 85 && t >= 80 && t <= 87) {
+            hi += ((rh - 85) / 10) * ((87 - t) / 5);
+        }
+    }
+
+    return (hi - 32) * (5 / 9);
+};
+
+// g/m3.
+const absoluteHumidity = (temperature, humidity) => {
+    const vaporPressure = saturationVaporPressure(temperature) * 100 * (clampHumidity(humidity) / 100); // Pa
+
+    return (vaporPressure / (WATER_VAPOR_GAS_CONSTANT * (temperature + 273.15))) * 1000;
+};
+
+// kPa.
+const vaporPressureDeficit = (temperature, humidity) => (saturationVaporPressure(temperature) / 10) * (1 - (clampHumidity(humidity) / 100));
+
+module.exports = {
+    dewPoint,
+    heatIndex,
+    absoluteHumidity,
+    vaporPressureDeficit
+};
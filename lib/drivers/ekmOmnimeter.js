@@ -0,0 +1,330 @@
+const Joi = require('joi');
+const crc16 = require('../crc16');
+const errors = require('../errors');
+
+// Field layouts for EKM Omnimeter responses, from EKM's protocol 
+// documentation.  Each entry is [ name, length in bytes, type, index ],
+// where index is given for per phase (or per tariff) values which are
+// collected into arrays.  Fields named reserved are skipped.
+const HEADER_LAYOUT = [
+    [ 'stx', 1, 'skip' ],
+    [ 'model', 2, 'hex' ],
+    [ 'firmware', 1, 'hex' ],
+    [ 'meterAddress', 12, 'string' ]
+];
+
+const TRAILER_LAYOUT = [
+    [ 'reserved', 4, 'skip' ], // !\r\n followed by ETX
+    [ 'crc', 2, 'skip' ]
+];
+
+const V3_LAYOUT = [
+    ...HEADER_LAYOUT,
+    [ 'kwhTotal', 8, 'kwh' ],
+    [ 'kwhTariffs', 8, 'kwh', 0 ],
+    [ 'kwhTariffs', 8, 'kwh', 1 ],
+    [ 'kwhTariffs', 8, 'kwh', 2 ],
+    [ 'kwhTariffs', 8, 'kwh', 3 ],
+    [ 'reverseKwhTotal', 8, 'kwh' ],
+    [ 'reverseKwhTariffs', 8, 'kwh', 0 ],
+    [ 'reverseKwhTariffs', 8, 'kwh', 1 ],
+    [ 'reverseKwhTariffs', 8, 'kwh', 2 ],
+    [ 'reverseKwhTariffs', 8, 'kwh', 3 ],
+    [ 'volts', 4, 'div10', 0 ],
+    [ 'volts', 4, 'div10', 1 ],
+    [ 'volts', 4, 'div10', 2 ],
+    [ 'amps', 5, 'div10', 0 ],
+    [ 'amps', 5, 'div10', 1 ],
+    [ 'amps', 5, 'div10', 2 ],
+    [ 'watts', 7, 'int', 0 ],
+    [ 'watts', 7, 'int', 1 ],
+    [ 'watts', 7, 'int', 2 ],
+    [ 'wattsTotal', 7, 'int' ],
+    [ 'powerFactor', 4, 'powerFactor', 0 ],
+    [ 'powerFactor', 4, 'powerFactor', 1 ],
+    [ 'powerFactor', 4, 'powerFactor', 2 ],
+    [ 'maxDemand', 8, 'div10' ],
+    [ 'maxDemandPeriod', 1, 'int' ],
+    [ 'meterTime', 14, 'string' ],
+    [ 'ctRatio', 4, 'int' ],
+    [ 'pulseCounts', 8, 'int', 0 ],
+    [ 'pulseCounts', 8, 'int', 1 ],
+    [ 'pulseCounts', 8, 'int', 2 ],
+    [ 'pulseRatios', 4, 'int', 0 ],
+    [ 'pulseRatios', 4, 'int', 1 ],
+    [ 'pulseRatios', 4, 'int', 2 ],
+    [ 'stateInputs', 3, 'int' ],
+    [ 'reserved', 20, 'skip' ],
+    ...TRAILER_LAYOUT
+];
+
+const V4_A_LAYOUT = [
+    ...HEADER_LAYOUT,
+    [ 'kwhTotal', 8, 'kwh' ],
+    [ 'reactiveEnergyTotal', 8, 'kwh' ],
+    [ 'reverseKwhTotal', 8, 'kwh' ],
+    [ 'kwhPhases', 8, 'kwh', 0 ],
+    [ 'kwhPhases', 8, 'kwh', 1 ],
+    [ 'kwhPhases', 8, 'kwh', 2 ],
+    [ 'reverseKwhPhases', 8, 'kwh', 0 ],
+    [ 'reverseKwhPhases', 8, 'kwh', 1 ],
+    [ 'reverseKwhPhases', 8, 'kwh', 2 ],
+    [ 'resettableKwhTotal', 8, 'kwh' ],
+    [ 'resettableReverseKwhTotal', 8, 'kwh' ],
+    [ 'volts', 4, 'div10', 0 ],
+    [ 'volts', 4, 'div10', 1 ],
+    [ 'volts', 4, 'div10', 2 ],
+    [ 'amps', 5, 'div10', 0 ],
+    [ 'amps', 5, 'div10', 1 ],
+    [ 'amps', 5, 'div10', 2 ],
+    [ 'watts', 7, 'int', 0 ],
+    [ 'watts', 7, 'int', 1 ],
+    [ 'watts', 7, 'int', 2 ],
+    [ 'wattsTotal', 7, 'int' ],
+    [ 'powerFactor', 4, 'powerFactor', 0 ],
+    [ 'powerFactor', 4, 'powerFactor', 1 ],
+    [ 'powerFactor', 4, 'powerFactor', 2 ],
+    [ 'reactivePower', 7, 'int', 0 ],
+    [ 'reactivePower', 7, 'int', 1 ],
+    [ 'reactivePower', 7, 'int', 2 ],
+    [ 'reactivePowerTotal', 7, 'int' ],
+    [ 'frequency', 4, 'div100' ],
+    [ 'pulseCounts', 8, 'int', 0 ],
+    [ 'pulseCounts', 8, 'int', 1 ],
+    [ 'pulseCounts', 8, 'int', 2 ],
+    [ 'stateInputs', 1, 'int' ],
+    [ 'stateWattsDirection', 1, 'int' ],
+    [ 'stateOutputs', 1, 'int' ],
+    [ 'kwhScale', 1, 'int' ],
+    [ 'reserved', 2, 'skip' ],
+    [ 'meterTime', 14, 'string' ],
+    [ 'reserved', 2, 'skip' ],
+    ...TRAILER_LAYOUT
+];
+
+const V4_B_LAYOUT = [
+    ...HEADER_LAYOUT,
+    [ 'kwhTariffs', 8, 'kwh', 0 ],
+    [ 'kwhTariffs', 8, 'kwh', 1 ],
+    [ 'kwhTariffs', 8, 'kwh', 2 ],
+    [ 'kwhTariffs', 8, 'kwh', 3 ],
+    [ 'reverseKwhTariffs', 8, 'kwh', 0 ],
+    [ 'reverseKwhTariffs', 8, 'kwh', 1 ],
+    [ 'reverseKwhTariffs', 8, 'kwh', 2 ],
+    [ 'reverseKwhTariffs', 8, 'kwh', 3 ],
+    [ 'volts', 4, 'div10', 0 ],
+    [ 'volts', 4, 'div10', 1 ],
+    [ 'volts', 4, 'div10', 2 ],
+    [ 'amps', 5, 'div10', 0 ],
+    [ 'amps', 5, 'div10', 1 ],
+    [ 'amps', 5, 'div10', 2 ],
+    [ 'watts', 7, 'int', 0 ],
+    [ 'watts', 7, 'int', 1 ],
+    [ 'watts', 7, 'int', 2 ],
+    [ 'wattsTotal', 7, 'int' ],
+    [ 'powerFactor', 4, 'powerFactor', 0 ],
+    [ 'powerFactor', 4, 'powerFactor', 1 ],
+    [ 'powerFactor', 4, 'powerFactor', 2 ],
+    [ 'maxDemand', 8, 'div10' ],
+    [ 'maxDemandPeriod', 1, 'int' ],
+    [ 'pulseRatios', 4, 'int', 0 ],
+    [ 'pulseRatios', 4, 'int', 1 ],
+    [ 'pulseRatios', 4, 'int', 2 ],
+    [ 'ctRatio', 4, 'int' ],
+    [ 'maxDemandAutoReset', 1, 'int' ],
+    [ 'pulseOutputRatio', 4, 'int' ],
+    [ 'reserved', 56, 'skip' ],
+    [ 'meterTime', 14, 'string' ],
+    [ 'reserved', 2, 'skip' ],
+    ...TRAILER_LAYOUT
+];
+
+// All responses are this many bytes long.
+const RESPONSE_LENGTH = 255;
+
+const METER_SCHEMA = Joi.object().keys({
+    gateway: Joi.object().required(),
+    serialNumber: Joi.string().regex(/^[0-9]{12}$/).required(),
+    sensorId: Joi.string().length(4).required(),
+    version: Joi.number().valid(3, 4).required(),
+    timeoutMs: Joi.number().integer().min(1).optional(),
+    retries: Joi.number().integer().min(0).optional()
+}).required().options({
+    allowUnknown: false
+});
+
+const layoutLength = (layout) => layout.reduce((total, field) => total + field[1], 0);
+
+// Decodes a response (as a hex string) according to layout.  kwhScale is
+// the number of decimal places that kWh values have, if omitted it is 
+// taken from the response's kwhScale field.
+const decodeResponse = (hexResponse, layout, kwhScale) => {
+    const response = Buffer.from(hexResponse, 'hex');
+
+    if (response.length !== RESPONSE_LENGTH || layoutLength(layout) !== RESPONSE_LENGTH) {
+        throw new errors.InvalidResponseError(`EKM response was ${response.length} bytes, expected ${RESPONSE_LENGTH}.`);
+    }
+
+    // CRC covers everything but the leading STX and the CRC itself, and 
+    // the meter only uses the lower 7 bits of each byte.
+    const expectedCrc = crc16(response.slice(1, response.length - 2)) & 0x7F7F;
+    const receivedCrc = ((response[response.length - 2] << 8) | response[response.length - 1]) & 0x7F7F;
+
+    if (expectedCrc !== receivedCrc) {
+        throw new errors.CrcError(`EKM response CRC was ${receivedCrc.toString(16)}, expected ${expectedCrc.toString(16)}.`);
+    }
+
+    const reading = {};
+    const kwhFields = [];
+    let offset = 0;
+
+    layout.forEach(([ name, length, type, index ]) => {
+        const raw = response.slice(offset, offset + length);
+        const text = raw.toString('ascii').replace(/[^\x20-\x7E]/g, '').trim();
+        let value;
+
+        offset += length;
+
+        switch (type) {
+            case 'skip':
+                return;
+            case 'hex':
+                value = raw.toString('hex');
+                break;
+            case 'string':
+                value = text;
+                break;
+            case 'int':
+                value = parseInt(text, 10);
+                break;
+            case 'div10':
+                value = parseInt(text, 10) / 10;
+                break;
+            case 'div100':
+                value = parseInt(text, 10) / 100;
+                break;
+            case 'kwh':
+                // Scaled once the whole response is decoded.
+                value = parseInt(text, 10);
+                kwhFields.push([ name, index ]);
+                break;
+            case 'powerFactor':
+                // C or L for capacitive or inductive, then 3 digits. 
+                value = parseInt(text.replace(/^[CL]/, ''), 10) / 100;
+
+                if (! reading.powerFactorTypes) {
+                    reading.powerFactorTypes = [];
+                }
+
+                reading.powerFactorTypes[index] = (/^[CL]/.test(text) ? text.charAt(0) : null);
+                break;
+        }
+
+        if (index === undefined) {
+            reading[name] = value;
+        } else {
+            if (! reading[name]) {
+                reading[name] = [];
+            }
+
+            reading[name][index] = value;
+        }
+    });
+
+    const kwhDivisor = Math.pow(10, (kwhScale !== undefined ? kwhScale : reading.kwhScale));
+
+    kwhFields.forEach(([ name, index ]) => {
+        if (index === undefined) {
+            reading[name] = reading[name] / kwhDivisor;
+        } else {
+            reading[name][index] = reading[name][index] / kwhDivisor;
+        }
+    });
+
+    return reading;
+};
+
+class EkmOmnimeter {
+    constructor(params) {
+        const validationResult = Joi.validate(params, METER_SCHEMA);
+
+        if (validationResult.error) {
+            throw new errors.ValidationError(validationResult.error.message);
+        }
+
+        this.gateway = params.gateway;
+        this.serialNumber = params.serialNumber;
+        this.sensorId = params.sensorId;
+        this.version = params.version;
+        this.timeoutMs = params.timeoutMs;
+        this.retries = params.retries;
+    }
+
+    // Sends a request to the meter, and resolves with the response data
+    // as a hex string.
+    async request(requestType) {
+        const query = {
+            message: `/?${this.serialNumber}${requestType}!\r\n`,
+            destination: this.sensorId
+        };
+
+        if (this.timeoutMs !== undefined) {
+            query.timeoutMs = this.timeoutMs;
+        }
+
+        if (this.retries !== undefined) {
+            query.retries = this.retries;
+        }
+
+        const response = await this.gateway.rs485Query(query);
+        return response.payload.rs485;
+    }
+
+    checkMeterAddress(reading) {
+        if (reading.meterAddress !== this.serialNumber) {
+            throw new errors.InvalidResponseError(`EKM response was from meter ${reading.meterAddress}, expected ${this.serialNumber}.`);
+        }
+
+        return reading;
+    }
+
+    // Reads the meter, with a single request for a v3 meter and type A then
+    // type B requests for a v4 meter.  Resolves with the decoded fields.
+    async read() {
+        let reading;
+
+        if (this.version === 3) {
+            reading = this.checkMeterAddress(EkmOmnimeter.decodeV3Response(await this.request('')));
+        } else {
+            const readingA = this.checkMeterAddress(EkmOmnimeter.decodeV4ResponseA(await this.request('00')));
+            const readingB = this.checkMeterAddress(EkmOmnimeter.decodeV4ResponseB(await this.request('01'), readingA.kwhScale));
+
+            // Where both responses have a value, use the one from A.
+            reading = { ...readingB, ...readingA };
+        }
+
+        return {
+            ...reading,
+            sensorId: this.sensorId,
+            version: this.version
+        };
+    }
+
+    static decodeV3Response(hexResponse) {
+        // v3 meters always report kWh to 1 decimal place.
+        return decodeResponse(hexResponse, V3_LAYOUT, 1);
+    }
+
+    static decodeV4ResponseA(hexResponse) {
+        // kWh precision is in the response itself.
+        return decodeResponse(hexResponse, V4_A_LAYOUT);
+    }
+
+    // Type B responses don't say what precision kWh values have, so use 
+    // the kwhScale from a type A response.
+    static decodeV4ResponseB(hexResponse, kwhScale) {
+        return decodeResponse(hexResponse, V4_B_LAYOUT, kwhScale || 0);
+    }
+}
+
+module.exports = EkmOmnimeter;
@@ -0,0 +1,245 @@
+const Joi = require('joi');
+const crc16 = require('../crc16');
+const errors = require('../errors');
+
+const FUNCTION_CODES = {
+    READ_COILS: 0x01,
+    READ_DISCRETE_INPUTS: 0x02,
+    READ_HOLDING_REGISTERS: 0x03,
+    READ_INPUT_REGISTERS: 0x04,
+    WRITE_SINGLE_COIL: 0x05,
+    WRITE_SINGLE_REGISTER: 0x06,
+    WRITE_MULTIPLE_REGISTERS: 0x10
+};
+
+const EXCEPTION_NAMES = {
+    1: 'illegalFunction',
+    2: 'illegalDataAddress',
+    3: 'illegalDataValue',
+    4: 'slaveDeviceFailure',
+    5: 'acknowledge',
+    6: 'slaveDeviceBusy',
+    8: 'memoryParityError',
+    10: 'gatewayPathUnavailable',
+    11: 'gatewayTargetFailedToRespond'
+};
+
+// Requests are sent as a hex string in an RS485 request, which is limited
+// to 250 characters, so 125 bytes.  A write multiple registers frame has 
+// 9 bytes plus 2 for each register.
+const MAX_WRITE_REGISTERS = 58;
+
+const CLIENT_SCHEMA = Joi.object().keys({
+    gateway: Joi.object().required(),
+    sensorId: Joi.string().length(4).required(),
+    unitId: Joi.number().integer().min(1).max(247).required(),
+    timeoutMs: Joi.number().integer().min(1).optional(),
+    retries: Joi.number().integer().min(0).optional()
+}).required().options({
+    allowUnknown: false
+});
+
+const ADDRESS_SCHEMA = Joi.number().integer().min(0).max(65535).required();
+const REGISTER_VALUE_SCHEMA = Joi.number().integer().min(0).max(65535).required();
+
+const toHex = (value, numChars) => {
+    let hex = value.toString(16);
+
+    while (hex.length < numChars) {
+        hex = `0${hex}`;
+    }
+
+    return hex;
+};
+
+// Modbus RTU master that tunnels requests through a Conectric RS-485 
+// sensor.  The sensor must first be configured with the serial settings
+// of the Modbus device using sendRS485ConfigMessage.
+class ModbusClient {
+    constructor(params) {
+        const validationResult = Joi.validate(params, CLIENT_SCHEMA);
+
+        if (validationResult.error) {
+            throw new errors.ValidationError(validationResult.error.message);
+        }
+
+        this.gateway = params.gateway;
+        this.sensorId = params.sensorId;
+        this.unitId = params.unitId;
+        this.timeoutMs = params.timeoutMs;
+        this.retries = params.retries;
+    }
+
+    async readCoils(address, quantity) {
+        this.validate({ address, quantity }, { address: ADDRESS_SCHEMA, quantity: Joi.number().integer().min(1).max(2000).required() });
+        const data = await this.request(FUNCTION_CODES.READ_COILS, `${toHex(address, 4)}${toHex(quantity, 4)}`);
+        return ModbusClient.decodeBits(data, quantity);
+    }
+
+    async readDiscreteInputs(address, quantity) {
+        this.validate({ address, quantity }, { address: ADDRESS_SCHEMA, quantity: Joi.number().integer().min(1).max(2000).required() });
+        const data = await this.request(FUNCTION_CODES.READ_DISCRETE_INPUTS, `${toHex(address, 4)}${toHex(quantity, 4)}`);
+        return ModbusClient.decodeBits(data, quantity);
+    }
+
+    async readHoldingRegisters(address, quantity) {
+        this.validate({ address, quantity }, { address: ADDRESS_SCHEMA, quantity: Joi.number().integer().min(1).max(125).required() });
+        const data = await this.request(FUNCTION_CODES.READ_HOLDING_REGISTERS, `${toHex(address, 4)}${toHex(quantity, 4)}`);
+        return ModbusClient.decodeRegisters(data, quantity);
+    }
+
+    async readInputRegisters(address, quantity) {
+        this.validate({ address, quantity }, { address: ADDRESS_SCHEMA, quantity: Joi.number().integer().min(1).max(125).required() });
+        const data = await this.request(FUNCTION_CODES.READ_INPUT_REGISTERS, `${toHex(address, 4)}${toHex(quantity, 4)}`);
+        return ModbusClient.decodeRegisters(data, quantity);
+    }
+
+    async writeSingleCoil(address, value) {
+        this.validate({ address, value }, { address: ADDRESS_SCHEMA, value: Joi.boolean().required() });
+        await this.request(FUNCTION_CODES.WRITE_SINGLE_COIL, `${toHex(address, 4)}${value ? 'ff00' : '0000'}`);
+        return true;
+    }
+
+    async writeSingleRegister(address, value) {
+        this.validate({ address, value }, { address: ADDRESS_SCHEMA, value: REGISTER_VALUE_SCHEMA });
+        await this.request(FUNCTION_CODES.WRITE_SINGLE_REGISTER, `${toHex(address, 4)}${toHex(value, 4)}`);
+        return true;
+    }
+
+    async writeMultipleRegisters(address, values) {
+        this.validate({ address, values }, { address: ADDRESS_SCHEMA, values: Joi.array().items(REGISTER_VALUE_SCHEMA).min(1).max(MAX_WRITE_REGISTERS).required() });
+        const registers = values.map((value) => toHex(value, 4)).join('');
+        await this.request(FUNCTION_CODES.WRITE_MULTIPLE_REGISTERS, `${toHex(address, 4)}${toHex(values.length, 4)}${toHex(values.length * 2, 2)}${registers}`);
+        return true;
+    }
+
+    validate(values, schema) {
+        const validationResult = Joi.validate(values, Joi.object().keys(schema));
+
+        if (validationResult.error) {
+            throw new errors.ValidationError(validationResult.error.message);
+        }
+    }
+
+    // Sends a request frame, and resolves with the data part of the 
+    // response frame (everything after the function code and any byte
+    // count, minus the CRC) as a Buffer.
+    async request(functionCode, data) {
+        const query = {
+            message: ModbusClient.buildFrame(this.unitId, functionCode, data),
+            destination: this.sensorId,
+            hexEncodePayload: false
+        };
+
+        if (this.timeoutMs !== undefined) {
+            query.timeoutMs = this.timeoutMs;
+        }
+
+        if (this.retries !== undefined) {
+            query.retries = this.retries;
+        }
+
+        const response = await this.gateway.rs485Query(query);
+        return ModbusClient.parseFrame(this.unitId, functionCode, response.payload.rs485);
+    }
+
+    // Builds an RTU frame as a hex string, data is the hex encoded request
+    // data.
+    static buildFrame(unitId, functionCode, data) {
+        const frame = Buffer.from(`${toHex(unitId, 2)}${toHex(functionCode, 2)}${data}`, 'hex');
+        const crc = crc16(frame);
+
+        // CRC is sent low byte first.
+        return `${frame.toString('hex')}${toHex(crc & 0xFF, 2)}${toHex(crc >> 8, 2)}`;
+    }
+
+    static parseFrame(unitId, functionCode, hexResponse) {
+        const response = Buffer.from(hexResponse, 'hex');
+
+        if (response.length < 5) {
+            throw new errors.InvalidResponseError(`Modbus response was only ${response.length} bytes.`);
+        }
+
+        let frameLength;
+        let dataStart;
+        const responseFunctionCode = response[1];
+
+        if (responseFunctionCode === (functionCode | 0x80)) {
+            // Exception response, unit, function, exception code.
+            frameLength = 5;
+            dataStart = 2;
+        } else if (functionCode <= FUNCTION_CODES.READ_INPUT_REGISTERS) {
+            // Read responses have a byte count.
+            frameLength = 5 + response[2];
+            dataStart = 3;
+        } else {
+            // Write responses echo the address and value or quantity.
+            frameLength = 8;
+            dataStart = 2;
+        }
+
+        if (response.length < frameLength) {
+            throw new errors.InvalidResponseError(`Modbus response was ${response.length} bytes, expected ${frameLength}.`);
+        }
+
+        // RS485 sensor may pass on trailing bytes after the frame.
+        const frame = response.slice(0, frameLength);
+        const expectedCrc = crc16(frame.slice(0, frameLength - 2));
+        const receivedCrc = frame[frameLength - 2] | (frame[frameLength - 1] << 8);
+
+        if (expectedCrc !== receivedCrc) {
+            throw new errors.CrcError(`Modbus response CRC was ${receivedCrc.toString(16)}, expected ${expectedCrc.toString(16)}.`);
+        }
+
+        if (frame[0] !== unitId) {
+            throw new errors.InvalidResponseError(`Modbus response was from unit ${frame[0]}, expected ${unitId}.`);
+        }
+
+        if (responseFunctionCode === (functionCode | 0x80)) {
+            const exceptionCode = frame[2];
+            const exceptionName = EXCEPTION_NAMES[exceptionCode] || 'unknown';
+
+            throw new errors.ModbusError(`Modbus unit ${unitId} responded with exception ${exceptionCode} (${exceptionName}).`, {
+                unitId,
+                functionCode,
+                exceptionCode,
+                exceptionName
+            });
+        }
+
+        if (responseFunctionCode !== functionCode) {
+            throw new errors.InvalidResponseError(`Modbus response was for function ${responseFunctionCode}, expected ${functionCode}.`);
+        }
+
+        return frame.slice(dataStart, frameLength - 2);
+    }
+
+    static decodeBits(data, quantity) {
+        const bits = [];
+
+        for (let n = 0; n < quantity; n++) {
+            bits.push((data[Math.floor(n / 8)] & (1 << (n % 8))) !== 0);
+        }
+
+        return bits;
+    }
+
+    static decodeRegisters(data, quantity) {
+        if (data.length < quantity * 2) {
+            throw new errors.InvalidResponseError(`Modbus response contained ${data.length / 2} registers, expected ${quantity}.`);
+        }
+
+        const registers = [];
+
+        for (let n = 0; n < quantity; n++) {
+            registers.push(data.readUInt16BE(n * 2));
+        }
+
+        return registers;
+    }
+}
+
+ModbusClient.FUNCTION_CODES = FUNCTION_CODES;
+ModbusClient.EXCEPTION_NAMES = EXCEPTION_NAMES;
+
+module.exports = ModbusClient;
@@ -0,0 +1,82 @@
+// Errors used to reject the promises returned by the gateway's request / 
+// response style APIs.  Each has a code so that callers can tell them
+// apart without relying on the message text.
+class GatewayError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code || 'EGATEWAY';
+    }
+}
+
+// Parameters failed schema validation.
+class ValidationError extends GatewayError {
+    constructor(message) {
+        super(message, 'EVALIDATION');
+    }
+}
+
+// Gateway is not currently connected to a USB router.
+class NotConnectedError extends GatewayError {
+    constructor(message) {
+        super(message || 'Gateway is not connected to a USB router.', 'ENOTCONNECTED');
+    }
+}
+
+// No response was received from a sensor in time.
+class TimeoutError extends GatewayError {
+    constructor(message, details) {
+        super(message, 'ETIMEDOUT');
+        Object.assign(this, details);
+    }
+}
+
+// A response was received, but could not be decoded.
+class InvalidResponseError extends GatewayError {
+    constructor(message) {
+        super(message, 'EBADRESPONSE');
+    }
+}
+
+// A response was received, but its checksum was wrong.
+class CrcError extends GatewayError {
+    constructor(message) {
+        super(message, 'ECRC');
+    }
+}
+
+// A sensor reported different settings to those that it was sent.
+class ConfigMismatchError extends GatewayError {
+    constructor(message, details) {
+        super(message, 'EMISMATCH');
+        Object.assign(this, details);
+    }
+}
+
+// The USB router did not complete the startup handshake.
+class HandshakeError extends GatewayError {
+    constructor(message, details) {
+        super(message, 'EHANDSHAKE');
+        Object.assign(this, details);
+    }
+}
+
+// A Modbus device responded with an exception.
+class ModbusError extends GatewayError {
+    constructor(message, details) {
+        super(message, 'EMODBUS');
+        Object.assign(this, details);
+    }
+}
+
+module.exports = {
+    GatewayError,
+    ValidationError,
+    NotConnectedError,
+    TimeoutError,
+    InvalidResponseError,
+    CrcError,
+    ConfigMismatchError,
+    HandshakeError,
+    ModbusError
+};
@@ -0,0 +1,246 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { runCommand } = require('./commands');
+
+// Largest request body accepted, in bytes.
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Maps the type in a POST /sensors/:id/config body to a command.
+const CONFIG_COMMANDS = {
+    event: 'eventConfig',
+    led: 'ledConfig',
+    rs485: 'rs485Config'
+};
+
+// Settles a race with a command's promise if the command is still queued.
+const QUEUED = {};
+
+// Small HTTP API for inspecting and driving a running gateway, plus a
+// WebSocket endpoint at /messages that streams decoded messages as JSON.
+// If an apiKey is set, requests must send it as a bearer token, or as an
+// apiKey query parameter for WebSocket clients that can't set headers.
+class HttpApi {
+    constructor(gateway, options) {
+        this.gateway = gateway;
+        this.apiKey = options.apiKey;
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch((err) => {
+                this.gateway.reportError(err);
+
+                if (! res.headersSent) {
+                    this.sendJson(res, 500, { error: 'Internal error.' });
+                }
+            });
+        });
+        this.webSocketServer = new WebSocket.Server({
+            server: this.server,
+            path: '/messages',
+            verifyClient: (info) => this.isAuthorized(info.req)
+        });
+
+        this.webSocketServer.on('connection', (socket, req) => {
+            const url = new URL(req.url, 'http://localhost');
+
+            socket.filter = {
+                types: this.parseList(url.searchParams.get('type')),
+                sensorIds: this.parseList(url.searchParams.get('sensorId')).map((sensorId) => sensorId.toLowerCase())
+            };
+        });
+
+        // Removed on close, as the gateway may be started again with a new
+        // API.
+        this.onMessage = (message) => this.streamMessage(message);
+        gateway.on('message', this.onMessage);
+
+        this.server.on('error', gateway.reportError);
+        this.server.listen(options.port, options.host);
+    }
+
+    parseList(value) {
+        return (value ? value.split(',') : []);
+    }
+
+    isAuthorized(req) {
+        if (! this.apiKey) {
+            return true;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+
+        return (req.headers.authorization === `Bearer ${this.apiKey}` || url.searchParams.get('apiKey') === this.apiKey);
+    }
+
+    streamMessage(message) {
+        const json = JSON.stringify(message);
+
+        this.webSocketServer.clients.forEach((socket) => {
+            if (socket.readyState !== WebSocket.OPEN) {
+                return;
+            }
+
+            if (socket.filter.types.length > 0 && ! socket.filter.types.includes(message.type)) {
+                return;
+            }
+
+            if (socket.filter.sensorIds.length > 0 && ! socket.filter.sensorIds.includes(message.sensorId.toLowerCase())) {
+                return;
+            }
+
+            socket.send(json);
+        });
+    }
+
+    sendJson(res, statusCode, body) {
+        const json = JSON.stringify(body);
+
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(json)
+        });
+
+        res.end(json);
+    }
+
+    readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+
+            req.on('data', (chunk) => {
+                body = `${body}${chunk}`;
+
+                if (body.length > MAX_BODY_SIZE) {
+                    reject(new Error('Request body is too large.'));
+                    req.destroy();
+                }
+            });
+
+            req.on('end', () => {
+                let json;
+
+                try {
+                    json = (body.length > 0 ? JSON.parse(body) : {});
+                } catch(e) {
+                    return reject(new Error('Request body is not valid JSON.'));
+                }
+
+                // Commands take an object of parameters, and null, arrays
+                // etc aren't one.
+                if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+                    return reject(new Error('Request body must be a JSON object.'));
+                }
+
+                resolve(json);
+            });
+        });
+    }
+
+    async handleRequest(req, res) {
+        if (! this.isAuthorized(req)) {
+            return this.sendJson(res, 401, { error: 'Unauthorized.' });
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const pathParts = url.pathname.split('/').filter((part) => part.length > 0);
+        const gateway = this.gateway;
+
+        if (req.method === 'GET' && url.pathname === '/status') {
+            return this.sendJson(res, 200, {
+                state: gateway.getState(),
+                macAddress: gateway.macAddress,
+                contikiVersion: gateway.contikiVersion,
+                conectricVersion: gateway.conectricVersion,
+                nodeModuleVersion: gateway.nodeModuleVersion,
+                port: gateway.comName
+            });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/sensors') {
+            return this.sendJson(res, 200, gateway.getSensors());
+        }
+
+        if (pathParts[0] !== 'sensors' || pathParts.length < 2 || pathParts.length > 3) {
+            return this.sendJson(res, 404, { error: 'Not found.' });
+        }
+
+        const sensorId = pathParts[1];
+
+        if (req.method === 'GET' && pathParts.length === 2) {
+            const sensor = gateway.getSensor(sensorId);
+
+            return (sensor ? this.sendJson(res, 200, sensor) : this.sendJson(res, 404, { error: `Sensor ${sensorId} has not been heard from.` }));
+        }
+
+        if (req.method !== 'POST' || pathParts.length !== 3) {
+            return this.sendJson(res, 404, { error: 'Not found.' });
+        }
+
+        let body;
+
+        try {
+            body = await this.readJsonBody(req);
+        } catch(e) {
+            return this.sendJson(res, 400, { error: e.message });
+        }
+
+        let commandName;
+        const params = Object.assign({}, body, { destination: sensorId });
+
+        switch (pathParts[2]) {
+            case 'text':
+                commandName = 'text';
+                break;
+            case 'rs485':
+                commandName = 'rs485Request';
+                break;
+            case 'config':
+                commandName = (Object.prototype.hasOwnProperty.call(CONFIG_COMMANDS, body.type) ? CONFIG_COMMANDS[body.type] : undefined);
+                delete params.type;
+
+                if (! commandName) {
+                    return this.sendJson(res, 400, { error: `type must be one of ${Object.keys(CONFIG_COMMANDS).join(', ')}.` });
+                }
+
+                break;
+            default:
+                return this.sendJson(res, 404, { error: 'Not found.' });
+        }
+
+        return this.sendCommand(res, commandName, params);
+    }
+
+    // Responds once the command has been queued, rather than waiting for it
+    // to be written, which may be a while if the queue is long.
+    async sendCommand(res, commandName, params) {
+        const commandPromise = runCommand(this.gateway, commandName, params);
+        let queued = false;
+
+        // Failures after the 202 has been sent, for example because the USB
+        // router went away while the command was queued, can only be 
+        // reported.  Attached before the race so that none slip through.
+        commandPromise.catch((err) => {
+            if (queued) {
+                this.gateway.reportError(err);
+            }
+        });
+
+        // Invalid commands and a full queue reject straight away, so win
+        // the race.
+        try {
+            await Promise.race([ commandPromise, Promise.resolve(QUEUED) ]);
+        } catch(err) {
+            return this.sendJson(res, (err.code === 'EVALIDATION' ? 400 : 503), { error: err.message });
+        }
+
+        queued = true;
+        this.sendJson(res, 202, { queued: true });
+    }
+
+    close(callback) {
+        this.gateway.removeListener('message', this.onMessage);
+        this.webSocketServer.close();
+        this.server.close(callback);
+    }
+}
+
+module.exports = HttpApi;
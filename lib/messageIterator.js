@@ -0,0 +1,86 @@
+const Joi = require('joi');
+const errors = require('./errors');
+
+const FILTER_SCHEMA = Joi.object().keys({
+    type: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).optional(),
+    sensorId: Joi.alternatives().try(Joi.string().length(4), Joi.array().items(Joi.string().length(4))).optional(),
+    bufferSize: Joi.number().integer().min(1).optional()
+}).options({
+    allowUnknown: false
+});
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+// Returns an async iterator over the messages that the gateway emits, 
+// optionally only those of the given type(s) and / or from the given 
+// sensor(s).  Messages that arrive while the consumer is busy are buffered, 
+// dropping the oldest once bufferSize are waiting.  Stops listening when 
+// the consumer breaks out of its for await loop.
+const createMessageIterator = (gateway, filter = {}) => {
+    const validationResult = Joi.validate(filter, FILTER_SCHEMA);
+
+    if (validationResult.error) {
+        throw new errors.ValidationError(validationResult.error.message);
+    }
+
+    const types = [].concat(filter.type || []);
+    const sensorIds = [].concat(filter.sensorId || []).map((sensorId) => sensorId.toLowerCase());
+    const bufferSize = filter.bufferSize || DEFAULT_BUFFER_SIZE;
+    const buffered = [];
+    const waiting = [];
+    let finished = false;
+
+    const onMessage = (message) => {
+        if (types.length > 0 && ! types.includes(message.type)) {
+            return;
+        }
+
+        if (sensorIds.length > 0 && ! sensorIds.includes(message.sensorId.toLowerCase())) {
+            return;
+        }
+
+        if (waiting.length > 0) {
+            return waiting.shift()({ value: message, done: false });
+        }
+
+        buffered.push(message);
+
+        if (buffered.length > bufferSize) {
+            buffered.shift();
+        }
+    };
+
+    gateway.on('message', onMessage);
+
+    const iterator = {
+        next: () => {
+            if (buffered.length > 0) {
+                return Promise.resolve({ value: buffered.shift(), done: false });
+            }
+
+            if (finished) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+
+            return new Promise((resolve) => waiting.push(resolve));
+        },
+
+        return: () => {
+            finished = true;
+            buffered.length = 0;
+            gateway.removeListener('message', onMessage);
+
+            while (waiting.length > 0) {
+                waiting.shift()({ value: undefined, done: true });
+            }
+
+            return Promise.resolve({ value: undefined, done: true });
+        },
+
+        [Symbol.asyncIterator]: () => iterator
+    };
+
+    return iterator;
+};
+
+module.exports = createMessageIterator;
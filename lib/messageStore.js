@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const util = require('util');
+const moment = require('moment');
+const roundTo = require('round-to');
+
+const appendFile = util.promisify(fs.appendFile);
+const close = util.promisify(fs.close);
+const mkdir = util.promisify(fs.mkdir);
+const open = util.promisify(fs.open);
+const read = util.promisify(fs.read);
+const readdir = util.promisify(fs.readdir);
+const stat = util.promisify(fs.stat);
+const unlink = util.promisify(fs.unlink);
+
+// Newline delimited JSON, in one or more files per UTC day.  The first
+// file for a day has no part number.
+const FILE_PATTERN = /^messages-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+// A new file is started once the current one holds this fraction of
+// maxBytes, so that the older files can be deleted.
+const PARTS_PER_MAX_SIZE = 4;
+
+const HOUR_MS = 60 * 60 * 1000;
+const AGGREGATED_FIELDS = [ 'temperature', 'humidity' ];
+
+// Appends decoded messages to files in a directory, and reads them back.
+// Each line holds the time the message was stored in milliseconds, and
+// the message itself.  Files are deleted once their day is older than
+// retentionDays, or once the files take up more than maxBytes.
+class MessageStore {
+    constructor(options) {
+        this.directory = options.directory;
+        this.retentionDays = options.retentionDays;
+        this.maxBytes = options.maxBytes;
+        this.maxPartBytes = (options.maxBytes ? Math.ceil(options.maxBytes / PARTS_PER_MAX_SIZE) : undefined);
+        this.onError = options.onError;
+
+        // The file being written to, as returned by listFiles, plus its
+        // size in bytes.
+        this.currentFile = undefined;
+
+        // Writes happen one at a time and in order.
+        this.pendingWrites = mkdir(this.directory, { recursive: true }).catch(this.onError);
+    }
+
+    append(message) {
+        const now = Date.now();
+        const day = moment.utc(now).format(DAY_FORMAT);
+        const line = `${JSON.stringify({ time: now, message })}\n`;
+
+        this.pendingWrites = this.pendingWrites.then(() => {
+            if (! this.currentFile || day !== this.currentFile.day) {
+                return this.startFile(day);
+            }
+
+            if (this.maxPartBytes && this.currentFile.size >= this.maxPartBytes) {
+                return this.startFile(day, this.currentFile.part + 1);
+            }
+        }).then(() => {
+            // Starts a new line after one that was left partly written.
+            const text = (this.currentFile.endsMidLine ? `\n${line}` : line);
+
+            return appendFile(this.getFilePath(this.currentFile), text).then(() => {
+                this.currentFile.size += Buffer.byteLength(text);
+                this.currentFile.endsMidLine = false;
+            });
+        }).catch(this.onError);
+
+        return this.pendingWrites;
+    }
+
+    // Switches to writing to a new file, then deletes any that are no
+    // longer needed.  With no part, carries on with the last file for the
+    // day if there is one, for example after a restart.
+    async startFile(day, part) {
+        if (part === undefined) {
+            const existing = (await this.listFiles()).filter((file) => file.day === day).pop();
+
+            if (existing) {
+                const filePath = this.getFilePath(existing);
+                const size = (await stat(filePath)).size;
+
+                this.currentFile = Object.assign(existing, { size, endsMidLine: await this.endsMidLine(filePath, size) });
+            } else {
+                this.currentFile = { day, part: 0, size: 0 };
+            }
+        } else {
+            this.currentFile = { day, part, size: 0 };
+        }
+
+        await this.applyRetention();
+    }
+
+    // Whether a file ends part way through a line, for example after a
+    // power cut.
+    async endsMidLine(filePath, size) {
+        if (size === 0) {
+            return false;
+        }
+
+        const fd = await open(filePath, 'r');
+
+        try {
+            const lastByte = Buffer.alloc(1);
+
+            await read(fd, lastByte, 0, 1, size - 1);
+            return lastByte.toString() !== '\n';
+        } finally {
+            await close(fd);
+        }
+    }
+
+    // Resolves once everything appended so far has been written.
+    close() {
+        return this.pendingWrites;
+    }
+
+    getFilePath(file) {
+        return path.join(this.directory, (file.part > 0 ? `messages-${file.day}.${file.part}.jsonl` : `messages-${file.day}.jsonl`));
+    }
+
+    // Returns { day, part } for each file, oldest first.
+    async listFiles() {
+        const fileNames = await readdir(this.directory);
+
+        return fileNames.map((fileName) => FILE_PATTERN.exec(fileName)).filter((match) => match).map((match) => ({
+            day: match[1],
+            part: (match[2] ? parseInt(match[2], 10) : 0)
+        })).sort((a, b) => a.day.localeCompare(b.day) || (a.part - b.part));
+    }
+
+    async applyRetention() {
+        const files = await this.listFiles();
+        const oldestDayToKeep = moment.utc().subtract(this.retentionDays - 1, 'days').format(DAY_FORMAT);
+        const sizes = await Promise.all(files.map((file) => stat(this.getFilePath(file)).then((stats) => stats.size)));
+        let totalBytes = sizes.reduce((total, size) => total + size, 0);
+
+        // Leaves room for the current file to grow until the next file is
+        // started.
+        const maxBytes = (this.maxBytes ? this.maxBytes - this.maxPartBytes : undefined);
+
+        for (let n = 0; n < files.length; n++) {
+            if (files[n].day >= oldestDayToKeep && (! maxBytes || totalBytes <= maxBytes)) {
+                break;
+            }
+
+            // Never delete the file that is being written to.
+            if (files[n].day === this.currentFile.day && files[n].part === this.currentFile.part) {
+                break;
+            }
+
+            await unlink(this.getFilePath(files[n]));
+            totalBytes -= sizes[n];
+        }
+    }
+
+    // Calls onRecord with each stored record matching filter, in the order
+    // they were stored, stopping early if it returns false.  from and to
+    // are milliseconds.
+    async scan(filter, onRecord) {
+        await this.pendingWrites;
+
+        const fromDay = (filter.from !== undefined ? moment.utc(filter.from).format(DAY_FORMAT) : undefined);
+        const toDay = (filter.to !== undefined ? moment.utc(filter.to).format(DAY_FORMAT) : undefined);
+        const files = (await this.listFiles()).filter((file) => (! fromDay || file.day >= fromDay) && (! toDay || file.day <= toDay));
+
+        for (const file of files) {
+            const keepGoing = await this.scanFile(this.getFilePath(file), (record) => {
+                if (filter.from !== undefined && record.time < filter.from) {
+                    return true;
+                }
+
+                if (filter.to !== undefined && record.time > filter.to) {
+                    return true;
+                }
+
+                if (filter.sensorIds.length > 0 && ! filter.sensorIds.includes(record.message.sensorId.toLowerCase())) {
+                    return true;
+                }
+
+                if (filter.types.length > 0 && ! filter.types.includes(record.message.type)) {
+                    return true;
+                }
+
+                return onRecord(record);
+            });
+
+            if (! keepGoing) {
+                break;
+            }
+        }
+    }
+
+    scanFile(filePath, onRecord) {
+        return new Promise((resolve, reject) => {
+            const input = fs.createReadStream(filePath);
+            const lines = readline.createInterface({ input });
+            let keepGoing = true;
+
+            lines.on('line', (line) => {
+                if (! keepGoing || line.length === 0) {
+                    return;
+                }
+
+                let record;
+
+                try {
+                    record = JSON.parse(line);
+                } catch(e) {
+                    // Partly written line, for example after a power cut.
+                    return;
+                }
+
+                if (onRecord(record) === false) {
+                    keepGoing = false;
+                    lines.close();
+                    input.destroy();
+                }
+            });
+
+            lines.on('close', () => resolve(keepGoing));
+            input.on('error', reject);
+        });
+    }
+
+    async query(filter) {
+        const messages = [];
+
+        await this.scan(filter, (record) => {
+            messages.push(record.message);
+            return (! filter.limit || messages.length < filter.limit);
+        });
+
+        return messages;
+    }
+
+    // Returns the min, max and average temperature and humidity for each
+    // sensor for each hour that it sent them.
+    async aggregateHourly(filter) {
+        const buckets = new Map();
+
+        await this.scan(filter, (record) => {
+            const payload = record.message.payload;
+
+            if (! payload || ! AGGREGATED_FIELDS.some((field) => typeof payload[field] === 'number')) {
+                return;
+            }
+
+            const hour = Math.floor(record.time / HOUR_MS) * HOUR_MS;
+            const sensorId = record.message.sensorId.toLowerCase();
+            const key = `${sensorId}${hour}`;
+            let bucket = buckets.get(key);
+
+            if (! bucket) {
+                bucket = {
+                    sensorId,
+                    hour,
+                    count: 0
+                };
+
+                buckets.set(key, bucket);
+            }
+
+            bucket.count++;
+
+            AGGREGATED_FIELDS.forEach((field) => {
+                const value = payload[field];
+
+                if (typeof value !== 'number') {
+                    return;
+                }
+
+                if (! bucket[field]) {
+                    bucket[field] = {
+                        min: value,
+                        max: value,
+                        total: 0,
+                        count: 0
+                    };
+                }
+
+                const stats = bucket[field];
+                stats.min = Math.min(stats.min, value);
+                stats.max = Math.max(stats.max, value);
+                stats.total += value;
+                stats.count++;
+            });
+        });
+
+        return Array.from(buckets.values()).map((bucket) => {
+            AGGREGATED_FIELDS.forEach((field) => {
+                const stats = bucket[field];
+
+                if (stats) {
+                    bucket[field] = {
+                        min: stats.min,
+                        max: stats.max,
+                        avg: roundTo(stats.total / stats.count, 2)
+                    };
+                }
+            });
+
+            return bucket;
+        }).sort((a, b) => (a.hour - b.hour) || a.sensorId.localeCompare(b.sensorId));
+    }
+}
+
+module.exports = MessageStore;
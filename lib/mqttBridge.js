@@ -0,0 +1,159 @@
+const { runCommand } = require('./commands');
+
+// Bridges a gateway to an MQTT broker.  Once the gateway knows its USB
+// router's MAC address, connects and:
+//
+// * Publishes each decoded message as JSON to <prefix>/<mac>/<sensorId>/<type>.
+// * Publishes 'online' or 'offline' to <prefix>/<mac>/status, retained,
+//   with 'offline' as the last will so that the broker publishes it if the
+//   gateway goes away without saying so.
+// * Runs commands (see commands.js) published to 
+//   <prefix>/<mac>/commands/<command>, whose payload is a JSON object of 
+//   parameters for the matching send method, and publishes the outcome to 
+//   <prefix>/<mac>/commands/<command>/result.
+class MqttBridge {
+    constructor(gateway, options) {
+        this.gateway = gateway;
+        this.url = options.url;
+        this.clientOptions = options.clientOptions || {};
+        this.topicPrefix = options.topicPrefix;
+        this.qos = options.qos;
+        this.client = undefined;
+        this.macAddress = undefined;
+        this.closed = false;
+
+        // Kept so that they can be removed on close, as the gateway may be
+        // started again with a new bridge.
+        this.listeners = {
+            ready: () => this.connect(),
+            message: (message) => this.publishMessage(message),
+            stateChange: (state) => {
+                if (state === gateway.GATEWAY_STATE_DISCONNECTED) {
+                    this.publishStatus('offline');
+                }
+            }
+        };
+
+        Object.keys(this.listeners).forEach((eventName) => gateway.on(eventName, this.listeners[eventName]));
+    }
+
+    getTopic(suffix) {
+        return `${this.topicPrefix}/${this.macAddress}/${suffix}`;
+    }
+
+    connect() {
+        if (this.closed) {
+            return;
+        }
+
+        if (this.client && this.macAddress === this.gateway.macAddress) {
+            // Router was reattached.
+            return this.publishStatus('online');
+        }
+
+        if (this.client) {
+            // A different router, whose topics are different.
+            this.publishStatus('offline');
+            this.client.end();
+        }
+
+        this.macAddress = this.gateway.macAddress;
+
+        // Loaded here so that gateways without the mqtt option don't pay
+        // for it.
+        const mqtt = require('mqtt');
+        const client = mqtt.connect(this.url, Object.assign({}, this.clientOptions, {
+            will: {
+                topic: this.getTopic('status'),
+                payload: 'offline',
+                qos: 1,
+                retain: true
+            }
+        }));
+
+        const commandsTopic = this.getTopic('commands/+');
+
+        client.on('connect', () => {
+            this.publishStatus('online');
+            client.subscribe(commandsTopic, { qos: this.qos });
+        });
+
+        client.on('message', (topic, payload) => {
+            this.runCommand(topic, payload).catch(this.gateway.reportError);
+        });
+
+        client.on('error', (err) => {
+            this.gateway.reportError(err);
+        });
+
+        this.client = client;
+    }
+
+    // Publishes 'offline' and disconnects from the broker.  Resolves once
+    // disconnected.
+    close() {
+        this.closed = true;
+        Object.keys(this.listeners).forEach((eventName) => this.gateway.removeListener(eventName, this.listeners[eventName]));
+
+        if (! this.client) {
+            return Promise.resolve();
+        }
+
+        const client = this.client;
+
+        this.publishStatus('offline');
+        this.client = undefined;
+
+        return new Promise((resolve) => client.end(false, {}, resolve));
+    }
+
+    publishStatus(status) {
+        if (this.client) {
+            this.client.publish(this.getTopic('status'), status, { qos: 1, retain: true });
+        }
+    }
+
+    publishMessage(message) {
+        if (this.client) {
+            this.client.publish(this.getTopic(`${message.sensorId}/${message.type}`), JSON.stringify(message), { qos: this.qos });
+        }
+    }
+
+    async runCommand(topic, payload) {
+        const commandName = topic.substring(topic.lastIndexOf('/') + 1);
+        const resultTopic = `${topic}/result`;
+        let params;
+
+        const publishResult = (result) => {
+            // The bridge was closed while the command was queued.
+            if (! this.client) {
+                return;
+            }
+
+            // Lets callers match results to the commands they sent.
+            if (params && params.requestId !== undefined) {
+                result.requestId = params.requestId;
+            }
+
+            this.client.publish(resultTopic, JSON.stringify(result), { qos: this.qos });
+        };
+
+        try {
+            params = JSON.parse(payload.toString());
+        } catch(e) {
+            return publishResult({ ok: false, error: 'Command payload is not valid JSON.' });
+        }
+
+        const commandParams = Object.assign({}, params);
+        delete commandParams.requestId;
+
+        try {
+            await runCommand(this.gateway, commandName, commandParams);
+            publishResult({ ok: true });
+        } catch(err) {
+            publishResult({ ok: false, error: err.message });
+        }
+    }
+}
+
+module.exports = MqttBridge;
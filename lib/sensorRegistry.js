@@ -0,0 +1,129 @@
+// Message rates are worked out over this window.
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+// Message types that don't say what kind of sensor sent them.
+const UNTYPED_MESSAGES = [ 'boot', 'text' ];
+
+// Works out the kind of sensor from a message type, so that for example
+// motion and motionStatus messages both come from a motion sensor.
+const getSensorType = (messageType) => {
+    if (UNTYPED_MESSAGES.includes(messageType)) {
+        return undefined;
+    }
+
+    if (messageType.startsWith('rs485')) {
+        return 'rs485';
+    }
+
+    if (messageType.endsWith('Status')) {
+        return messageType.substring(0, messageType.length - 6);
+    }
+
+    return messageType;
+};
+
+// Remembers what was last heard from each sensor, keyed by sensor ID.
+class SensorRegistry {
+    constructor() {
+        this.sensors = new Map();
+    }
+
+    // Updates the sensor that sent a message, adding it if it has not been
+    // heard from before.  Called for every message received, before it is
+    // decoded or filtered out.
+    record(message, battery) {
+        const sensorId = message.sensorId.toLowerCase();
+        const now = Date.now();
+        let sensor = this.sensors.get(sensorId);
+
+        if (! sensor) {
+            sensor = {
+                sensorId,
+                sensorType: undefined,
+                firstSeen: message.timestamp,
+                messageCount: 0,
+                recentMessageTimes: []
+            };
+
+            this.sensors.set(sensorId, sensor);
+        }
+
+        const sensorType = getSensorType(message.type);
+
+        if (sensorType) {
+            sensor.sensorType = sensorType;
+        }
+
+        sensor.lastSeen = message.timestamp;
+        sensor.sequenceNumber = message.sequenceNumber;
+        sensor.messageCount++;
+
+        if (battery !== undefined) {
+            sensor.battery = battery;
+        }
+
+        // Only present when the sendHopData option is on.
+        if (message.numHops !== undefined) {
+            sensor.numHops = message.numHops;
+            sensor.maxHops = message.maxHops;
+        }
+
+        sensor.recentMessageTimes.push(now);
+        this.pruneMessageTimes(sensor, now);
+
+        return sensor;
+    }
+
+    // Updates the sensor with a decoded message that is being passed on to
+    // the caller.
+    recordPayload(message) {
+        const sensor = this.sensors.get(message.sensorId.toLowerCase());
+
+        if (! sensor) {
+            return;
+        }
+
+        sensor.lastMessageType = message.type;
+
+        if (message.payload) {
+            sensor.lastPayload = Object.assign({}, message.payload);
+
+            if (message.type === 'boot') {
+                sensor.resetCause = message.payload.resetCause;
+            }
+        }
+    }
+
+    pruneMessageTimes(sensor, now) {
+        while (sensor.recentMessageTimes.length > 0 && sensor.recentMessageTimes[0] <= now - RATE_WINDOW_MS) {
+            sensor.recentMessageTimes.shift();
+        }
+    }
+
+    // Returns a copy of a sensor's state, so that callers can't change the
+    // registry by accident.
+    describe(sensor) {
+        this.pruneMessageTimes(sensor, Date.now());
+
+        const description = Object.assign({}, sensor, {
+            messagesPerHour: sensor.recentMessageTimes.length
+        });
+
+        delete description.recentMessageTimes;
+        return description;
+    }
+
+    get(sensorId) {
+        const sensor = this.sensors.get(sensorId.toLowerCase());
+
+        return (sensor ? this.describe(sensor) : undefined);
+    }
+
+    getAll() {
+        return Array.from(this.sensors.values()).map((sensor) => this.describe(sensor));
+    }
+}
+
+SensorRegistry.getSensorType = getSensorType;
+
+module.exports = SensorRegistry;
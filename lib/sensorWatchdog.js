@@ -0,0 +1,146 @@
+const SensorRegistry = require('./sensorRegistry');
+
+// Sequence numbers are a single byte.
+const SEQUENCE_NUMBER_RANGE = 256;
+
+// Watches for sensors that stop reporting, and for gaps in the sequence
+// numbers of the messages that they send.  Sensors are only watched once
+// their report interval is known, either for the individual sensor or for
+// its type.  Calls emit with 'sensorOffline', 'sensorOnline' and
+// 'packetLoss' events.
+class SensorWatchdog {
+    constructor(emit) {
+        this.emit = emit;
+        this.reportIntervals = new Map();
+        this.sensors = new Map();
+        this.missedReports = 2;
+        this.timer = undefined;
+    }
+
+    start(checkIntervalMs, missedReports) {
+        this.stop();
+        this.missedReports = missedReports;
+        this.timer = setInterval(() => this.check(), checkIntervalMs);
+
+        // Don't keep the process running just to watch sensors.
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = undefined;
+    }
+
+    // key is a sensor ID or a sensor type, sensor IDs take precedence.
+    setReportInterval(key, seconds) {
+        this.reportIntervals.set(key, seconds);
+    }
+
+    getReportInterval(sensor) {
+        return this.reportIntervals.get(sensor.sensorId) || this.reportIntervals.get(sensor.sensorType);
+    }
+
+    // Called for every message received, including those that are not
+    // passed on to the caller, such as status messages.
+    observe(message) {
+        const sensorId = message.sensorId.toLowerCase();
+        let sensor = this.sensors.get(sensorId);
+
+        if (! sensor) {
+            sensor = {
+                sensorId,
+                sensorType: undefined,
+                online: true,
+                lostMessages: 0
+            };
+
+            this.sensors.set(sensorId, sensor);
+        }
+
+        const sensorType = SensorRegistry.getSensorType(message.type);
+
+        if (sensorType) {
+            sensor.sensorType = sensorType;
+        }
+
+        sensor.lastHeard = Date.now();
+        sensor.lastSeen = message.timestamp;
+
+        this.checkSequenceNumber(sensor, message);
+
+        if (! sensor.online) {
+            sensor.online = true;
+            this.emit('sensorOnline', {
+                sensorId,
+                sensorType: sensor.sensorType,
+                lastSeen: sensor.lastSeen
+            });
+        }
+    }
+
+    checkSequenceNumber(sensor, message) {
+        const lastSequenceNumber = sensor.sequenceNumber;
+        sensor.sequenceNumber = message.sequenceNumber;
+
+        // Sensors start counting again when they reboot.
+        if (lastSequenceNumber === undefined || message.type === 'boot') {
+            return;
+        }
+
+        const lost = (message.sequenceNumber - lastSequenceNumber - 1 + SEQUENCE_NUMBER_RANGE) % SEQUENCE_NUMBER_RANGE;
+
+        // A repeat of the last message is not a gap.
+        if (message.sequenceNumber === lastSequenceNumber || lost === 0) {
+            return;
+        }
+
+        sensor.lostMessages += lost;
+        this.emit('packetLoss', {
+            sensorId: sensor.sensorId,
+            sensorType: sensor.sensorType,
+            lastSequenceNumber,
+            sequenceNumber: message.sequenceNumber,
+            lostMessages: lost
+        });
+    }
+
+    // Marks sensors offline once they have missed missedReports reports.
+    check() {
+        const now = Date.now();
+
+        for (const sensor of this.sensors.values()) {
+            const reportInterval = this.getReportInterval(sensor);
+
+            if (! sensor.online || ! reportInterval) {
+                continue;
+            }
+
+            if (now - sensor.lastHeard > reportInterval * 1000 * this.missedReports) {
+                sensor.online = false;
+                this.emit('sensorOffline', {
+                    sensorId: sensor.sensorId,
+                    sensorType: sensor.sensorType,
+                    lastSeen: sensor.lastSeen,
+                    reportInterval
+                });
+            }
+        }
+    }
+
+    // Returns online, undefined if the sensor is not being watched, and
+    // the number of messages lost.
+    getStatus(sensorId) {
+        const sensor = this.sensors.get(sensorId.toLowerCase());
+
+        if (! sensor) {
+            return undefined;
+        }
+
+        return {
+            online: (this.getReportInterval(sensor) ? sensor.online : undefined),
+            lostMessages: sensor.lostMessages
+        };
+    }
+}
+
+module.exports = SensorWatchdog;
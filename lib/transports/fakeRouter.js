@@ -0,0 +1,146 @@
+const { Duplex } = require('stream');
+
+// In memory stand in for a Conectric USB router.  Answers the DP, VER, MR 
+// and SS commands that the gateway sends at startup the way that the real 
+// router does, records outbound '<' messages, and can be made to deliver
+// sensor messages to the gateway.  Use it with the gateway's port or 
+// transport options to run without any USB hardware attached.
+class FakeRouter extends Duplex {
+    constructor(options = {}) {
+        super();
+
+        this.path = options.path || 'fake-router';
+        this.macAddress = options.macAddress || '00124b000513da40';
+        this.contikiVersion = options.contikiVersion || '3.x';
+        this.conectricVersion = options.conectricVersion || '1.0.2';
+        this.responseDelay = (options.hasOwnProperty('responseDelay') ? options.responseDelay : 5);
+        this.sentMessages = [];
+        this.commands = [];
+        this.isOpen = false;
+        this._lineBuffer = '';
+
+        process.nextTick(() => {
+            this.isOpen = true;
+            this.emit('open');
+        });
+    }
+
+    _read() {
+        // Data is pushed as responses and sensor messages are produced.
+    }
+
+    _write(chunk, encoding, callback) {
+        this._lineBuffer = `${this._lineBuffer}${chunk.toString()}`;
+
+        let newlinePos = this._lineBuffer.indexOf('\n');
+
+        while (newlinePos !== -1) {
+            const line = this._lineBuffer.substring(0, newlinePos).trim();
+            this._lineBuffer = this._lineBuffer.substring(newlinePos + 1);
+
+            if (line.length > 0) {
+                this._handleLine(line);
+            }
+
+            newlinePos = this._lineBuffer.indexOf('\n');
+        }
+
+        callback();
+    }
+
+    _handleLine(line) {
+        if (line.startsWith('<')) {
+            // Outbound message to the mesh network.
+            this.sentMessages.push(line.substring(1));
+            this.emit('sentMessage', line.substring(1));
+            return;
+        }
+
+        this.commands.push(line);
+        this.emit('command', line);
+
+        // The router echoes each command before answering it.
+        const responses = [ line ];
+
+        switch (line) {
+            case 'DP':
+                responses.push('DP:Ok');
+                break;
+            case 'VER':
+                responses.push(`VER:Contiki-${this.contikiVersion}`);
+                responses.push(`VER:Conectric-v${this.conectricVersion}`);
+                break;
+            case 'MR':
+                responses.push(`MR:${this.macAddress}`);
+                break;
+            case 'SS':
+                responses.push('SS:Ok');
+                break;
+        }
+
+        setTimeout(() => {
+            responses.forEach((response) => this.sendLine(response));
+        }, this.responseDelay);
+    }
+
+    // Send a raw line to the gateway, as if the router had output it.
+    sendLine(line) {
+        if (this.isOpen) {
+            this.push(`${line}\n`);
+        }
+    }
+
+    // Send a hex encoded mesh network message to the gateway, as if it 
+    // had just been received over the air.
+    receiveFrame(frame) {
+        this.sendLine(`>${frame}`);
+    }
+
+    // Simulate the router being unplugged.
+    close(callback) {
+        if (this.isOpen) {
+            this.isOpen = false;
+            this.push(null);
+            this.emit('close');
+        }
+
+        if (callback) {
+            callback();
+        }
+    }
+
+    // Builds a hex frame in the format the router outputs for a message 
+    // received from a sensor, minus the leading '>'.
+    static buildFrame(params) {
+        const toHex = (value, numChars) => {
+            let hex = value.toString(16);
+
+            while (hex.length < numChars) {
+                hex = `0${hex}`;
+            }
+
+            return hex;
+        };
+
+        const data = params.data || '';
+        const battery = (params.hasOwnProperty('battery') ? params.battery : 3);
+        const payloadType = (params.hasOwnProperty('payloadType') ? params.payloadType : 32);
+        const extendedHeader = params.extendedHeader || '';
+
+        // Header is header byte, sequence number, hop count, max hops and 
+        // the 2 byte source address, plus any extended header bytes.
+        const headerLength = 6 + (extendedHeader.length / 2);
+        const headerByte = (extendedHeader.length > 0 ? 128 : 0) + payloadType + headerLength;
+        const header = `${toHex(headerByte, 2)}${toHex(params.sequenceNumber || 0, 2)}${toHex(params.numHops || 0, 2)}${toHex(params.maxHops || 0, 2)}${params.sensorId}${extendedHeader}`;
+
+        // Payload is length, message type, battery and the message data.
+        const payloadLength = 3 + (data.length / 2);
+        const payload = `${toHex(payloadLength, 2)}${params.messageType}${toHex(Math.round(battery * 10), 2)}${data}`;
+
+        // Then a tracking ID for responses to requests that had one.  The 
+        // gateway ignores these 2 bytes for other messages.
+        return `${header}${payload}${params.trackingId || '0000'}`;
+    }
+}
+
+module.exports = FakeRouter;
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const CaptureLog = require('../captureLog');
+const FakeRouter = require('./fakeRouter');
+
+// Plays back a file written by the gateway's captureFile option.  Answers
+// the gateway's startup commands using the MAC address and versions found
+// in the capture, then delivers the sensor messages that were received,
+// with the same gaps between them divided by speed.  A speed of 0 delivers
+// them as fast as possible.  Emits 'replayEnd' once all of them have been
+// delivered.  Commands sent by the gateway are recorded as for FakeRouter,
+// but otherwise ignored.
+class ReplayRouter extends FakeRouter {
+    constructor(options) {
+        const records = fs.readFileSync(options.file, 'utf8').split('\n').map(CaptureLog.parseLine).filter((record) => record);
+        const inbound = records.filter((record) => record.direction === CaptureLog.DIRECTION_IN);
+        const findLine = (prefix) => inbound.find((record) => record.line.toLowerCase().startsWith(prefix));
+        const macAddressRecord = findLine('mr:');
+        const contikiVersionRecord = findLine('ver:contiki');
+        const conectricVersionRecord = findLine('ver:conectric-v');
+
+        super(Object.assign({
+            path: options.file,
+            macAddress: (macAddressRecord ? macAddressRecord.line.substring(3) : undefined),
+            contikiVersion: (contikiVersionRecord ? contikiVersionRecord.line.substring(12) : undefined),
+            conectricVersion: (conectricVersionRecord ? conectricVersionRecord.line.substring(15) : undefined)
+        }, options));
+
+        this.speed = (options.hasOwnProperty('speed') ? options.speed : 1);
+        this.records = inbound.filter((record) => record.line.startsWith('>'));
+        this.replayStarted = false;
+        this.replayTimer = undefined;
+    }
+
+    _handleLine(line) {
+        super._handleLine(line);
+
+        // SS is the last startup command.  Its response is sent after
+        // responseDelay, and this timer fires after that one.
+        if (line === 'SS' && ! this.replayStarted) {
+            this.replayStarted = true;
+            this.replayTimer = setTimeout(() => this.replayNext(0), this.responseDelay);
+        }
+    }
+
+    replayNext(index) {
+        if (index >= this.records.length) {
+            this.replayTimer = undefined;
+            return this.emit('replayEnd');
+        }
+
+        this.sendLine(this.records[index].line);
+
+        const next = this.records[index + 1];
+        const delay = (next && this.speed > 0 ? (next.time - this.records[index].time) / this.speed : 0);
+
+        this.replayTimer = setTimeout(() => this.replayNext(index + 1), delay);
+    }
+
+    close(callback) {
+        clearTimeout(this.replayTimer);
+        super.close(callback);
+    }
+}
+
+module.exports = ReplayRouter;
@@ -0,0 +1,85 @@
+const usb = require('usb');
+const SerialPort = require('serialport');
+
+// Default transport, talks to a physical Conectric USB router (an FTDI
+// serial device) using serialport, and watches for it being plugged in 
+// or removed using usb.
+const serialTransport = {
+    BAUD_RATE: 230400,
+    FTDI_VENDOR_ID: 1027,
+    FTDI_PRODUCT_ID: 24597,
+
+    isConectricRouter: (device) => {
+        const descriptor = device.deviceDescriptor;
+        if (descriptor) {
+            return (descriptor.idVendor && descriptor.idVendor === serialTransport.FTDI_VENDOR_ID && descriptor.idProduct && descriptor.idProduct === serialTransport.FTDI_PRODUCT_ID);
+        }
+
+        return false;
+    },
+
+    // Resolves with the names of all FTDI serial devices that look like 
+    // USB routers, there may be several plugged in.
+    listDevices: () => {
+        return new Promise((resolve, reject) => {
+            SerialPort.list((err, ports) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                const routerPorts = ports.filter((port) => {
+                    const lowerPortName = port.comName.toLowerCase();
+
+                    return (port.manufacturer && port.manufacturer === 'FTDI' && (
+                        lowerPortName.indexOf('usbserial-') !== -1 || 
+                        lowerPortName.indexOf('ttyusb') !== -1 ||
+                        lowerPortName.indexOf('com') !== -1)
+                    );
+                });
+
+                return resolve(routerPorts.map((port) => port.comName));
+            });
+        });
+    },
+
+    findDevice: async () => {
+        const devices = await serialTransport.listDevices();
+
+        if (devices.length === 0) {
+            // No suitable port found.
+            throw new Error('No USB router device found.');
+        }
+
+        return devices[0];
+    },
+
+    open: (comName) => {
+        return new SerialPort(comName, {
+            baudRate: serialTransport.BAUD_RATE
+        });
+    },
+
+    // Returns a function that stops watching.
+    watch: (onAttach, onDetach) => {
+        const attachListener = function(device) {
+            if (serialTransport.isConectricRouter(device)) {
+                onAttach(device);
+            }
+        };
+        const detachListener = function(device) {
+            if (serialTransport.isConectricRouter(device)) {
+                onDetach(device);
+            }
+        };
+
+        usb.on('attach', attachListener);
+        usb.on('detach', detachListener);
+
+        return () => {
+            usb.removeListener('attach', attachListener);
+            usb.removeListener('detach', detachListener);
+        };
+    }
+};
+
+module.exports = serialTransport;
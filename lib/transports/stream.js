@@ -0,0 +1,12 @@
+// Wraps an already open duplex stream (for example a FakeRouter, or a
+// socket connected to a remote router) so that it can be used as a 
+// gateway transport.  There is no device discovery, and no attach or 
+// detach events.
+const streamTransport = (stream, name) => {
+    return {
+        findDevice: () => Promise.resolve(name || stream.path || 'injected stream'),
+        open: () => stream
+    };
+};
+
+module.exports = streamTransport;
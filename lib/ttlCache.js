@@ -0,0 +1,57 @@
+// Minimal key/value cache whose entries expire after a number of seconds.
+// Each gateway instance has its own, so that bursts seen by one USB router 
+// don't cause the same message to be dropped by another.
+class TtlCache {
+    constructor(ttl, interval) {
+        this.ttl = ttl * 1000;
+        this.interval = interval * 1000;
+        this.entries = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (! entry) {
+            return undefined;
+        }
+
+        if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    set(key, value) {
+        this.sweep();
+        this.entries.set(key, {
+            value,
+            expires: Date.now() + this.ttl
+        });
+    }
+
+    // Drop expired entries, at most once every interval.
+    sweep() {
+        const now = Date.now();
+
+        if (now - this.lastSweep < this.interval) {
+            return;
+        }
+
+        this.lastSweep = now;
+
+        for (const [ key, entry ] of this.entries) {
+            if (entry.expires <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = TtlCache;
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const util = require('util');
+const errors = require('./errors');
+
+const appendFile = util.promisify(fs.appendFile);
+const mkdir = util.promisify(fs.mkdir);
+const readFile = util.promisify(fs.readFile);
+const rename = util.promisify(fs.rename);
+const writeFile = util.promisify(fs.writeFile);
+
+const readFileIfExists = async (filePath) => {
+    try {
+        return await readFile(filePath, 'utf8');
+    } catch(e) {
+        if (e.code === 'ENOENT') {
+            return '';
+        }
+
+        throw e;
+    }
+};
+
+// Replaces the file only once the new one has been written in full.
+const replaceFile = async (filePath, contents) => {
+    const tempFilePath = `${filePath}.tmp`;
+
+    await writeFile(tempFilePath, contents);
+    await rename(tempFilePath, filePath);
+};
+
+// Messages are appended to the queue file as they are queued, each with a
+// sequence number.  The offset file holds the sequence number of the last
+// message removed from the queue, so removing messages doesn't rewrite
+// the queue file.
+const QUEUE_FILE_NAME = 'uplink-queue.jsonl';
+const OFFSET_FILE_NAME = 'uplink-queue.offset';
+
+// The queue file is rewritten without the removed messages once there are
+// at least this many of them, and more of them than queued messages.
+const COMPACT_MIN_REMOVED = 1000;
+
+// Responses that mean the endpoint will never accept a batch, so it is 
+// dropped rather than blocking everything behind it.  Anything else, such
+// as a 401 while credentials are being fixed, is retried.
+const PERMANENT_STATUS_CODES = [ 400, 413, 422 ];
+
+// Forwards decoded messages to an HTTP(S) endpoint in batches.  Messages
+// are queued in a file first, so that they survive restarts and are not
+// lost while the endpoint is unreachable.  Batches are sent one at a time,
+// oldest first, and a batch that fails is retried with exponential backoff
+// before anything newer is sent, so messages from each sensor arrive in
+// order.  The request body is a JSON object containing the gateway's
+// macAddress and an array of messages.
+class Uplink {
+    constructor(options) {
+        this.url = new URL(options.url);
+        this.headers = options.headers;
+        this.batchSize = options.batchSize;
+        this.retryMs = options.retryMs;
+        this.maxRetryMs = options.maxRetryMs;
+        this.timeoutMs = options.timeoutMs;
+        this.maxQueued = options.maxQueued;
+        this.getMacAddress = options.getMacAddress;
+        this.onError = options.onError;
+        this.debugMode = options.debugMode;
+        this.queueFilePath = path.join(options.directory, QUEUE_FILE_NAME);
+        this.offsetFilePath = path.join(options.directory, OFFSET_FILE_NAME);
+
+        // Holds { seq, message } for each queued message, oldest first.
+        this.queue = [];
+        this.lastSeq = 0;
+        this.removedSeq = 0;
+
+        // Lines in the queue file for messages that have been removed.
+        this.removedLines = 0;
+
+        this.sending = false;
+        this.request = undefined;
+        this.retryTimer = undefined;
+        this.stopped = false;
+        this.failures = 0;
+        this.lastDelivered = undefined;
+
+        // Changes to the queue and its files happen one at a time, in order.
+        this.fileOperations = mkdir(options.directory, { recursive: true }).then(() => this.load()).catch(this.onError);
+    }
+
+    // Reads back messages that were queued before a restart.
+    async load() {
+        const offset = await readFileIfExists(this.offsetFilePath);
+        const contents = await readFileIfExists(this.queueFilePath);
+
+        this.removedSeq = parseInt(offset, 10) || 0;
+        this.lastSeq = this.removedSeq;
+
+        contents.split('\n').forEach((line) => {
+            let entry;
+
+            try {
+                entry = JSON.parse(line);
+            } catch(e) {
+                // Empty or partly written line.
+                return;
+            }
+
+            this.lastSeq = Math.max(this.lastSeq, entry.seq);
+
+            if (entry.seq > this.removedSeq) {
+                this.queue.push(entry);
+            } else {
+                this.removedLines++;
+            }
+        });
+
+        if (this.debugMode) {
+            console.log(`Uplink loaded ${this.queue.length} queued message(s).`);
+        }
+    }
+
+    // Delivery is not itself one of the queue operations, as it waits for
+    // them.
+    start() {
+        this.stopped = false;
+        this.fileOperations.then(() => this.deliver());
+    }
+
+    // Stops delivering, abandoning any request in progress, which is sent
+    // again after a restart.  Resolves once queued messages are in the
+    // file.
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = undefined;
+
+        if (this.request) {
+            this.request.abort();
+        }
+
+        return this.fileOperations;
+    }
+
+    enqueue(message) {
+        this.fileOperations = this.fileOperations.then(async () => {
+            const entry = {
+                seq: ++this.lastSeq,
+                message
+            };
+
+            this.queue.push(entry);
+            await appendFile(this.queueFilePath, `${JSON.stringify(entry)}\n`);
+
+            if (this.queue.length > this.maxQueued) {
+                // Oldest messages go first.
+                await this.removeThrough(this.queue[this.queue.length - this.maxQueued - 1].seq);
+            }
+        }).catch(this.onError);
+
+        this.fileOperations.then(() => this.deliver());
+    }
+
+    // Removes a batch of messages once it has been delivered.  Some of them
+    // may already have been dropped to keep the queue within maxQueued.
+    dequeue(batch) {
+        this.fileOperations = this.fileOperations.then(() => {
+            const lastSeq = batch[batch.length - 1].seq;
+
+            if (lastSeq > this.removedSeq) {
+                return this.removeThrough(lastSeq);
+            }
+        }).catch(this.onError);
+
+        return this.fileOperations;
+    }
+
+    // Removes messages from the front of the queue, up to and including
+    // the one with sequence number seq.
+    async removeThrough(seq) {
+        const remaining = this.queue.filter((entry) => entry.seq > seq);
+
+        this.removedLines += this.queue.length - remaining.length;
+        this.queue = remaining;
+        this.removedSeq = seq;
+        await replaceFile(this.offsetFilePath, `${seq}\n`);
+
+        if (this.removedLines >= COMPACT_MIN_REMOVED && this.removedLines > this.queue.length) {
+            await replaceFile(this.queueFilePath, this.queue.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+            this.removedLines = 0;
+        }
+    }
+
+    async deliver() {
+        if (this.stopped || this.sending || this.retryTimer || this.queue.length === 0) {
+            return;
+        }
+
+        this.sending = true;
+        const batch = this.queue.slice(0, this.batchSize);
+
+        try {
+            await this.post(batch.map((entry) => entry.message));
+        } catch(err) {
+            if (this.stopped) {
+                this.sending = false;
+                return;
+            }
+
+            if (err.permanent) {
+                // Retrying won't help, so drop the batch rather than let it
+                // block everything behind it.
+                this.onError(err);
+                await this.dequeue(batch);
+                this.sending = false;
+                return this.deliver();
+            }
+
+            this.sending = false;
+            return this.scheduleRetry(err);
+        }
+
+        this.failures = 0;
+        this.lastDelivered = Date.now();
+
+        if (this.debugMode) {
+            console.log(`Uplink delivered ${batch.length} message(s).`);
+        }
+
+        // Still sending until the batch is out of the queue, so that it
+        // isn't sent again.
+        await this.dequeue(batch);
+        this.sending = false;
+        return this.deliver();
+    }
+
+    scheduleRetry(err) {
+        const delay = Math.min(this.retryMs * Math.pow(2, this.failures), this.maxRetryMs);
+        this.failures++;
+
+        // Only report the first failure, rather than every retry.
+        if (this.failures === 1) {
+            this.onError(err);
+        }
+
+        if (this.debugMode) {
+            console.log(`Uplink delivery failed (${err.message}), retrying in ${delay}ms.`);
+        }
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = undefined;
+            this.deliver();
+        }, delay);
+    }
+
+    post(messages) {
+        return new Promise((resolve, reject) => {
+            const body = JSON.stringify({
+                macAddress: this.getMacAddress(),
+                messages
+            });
+
+            const client = (this.url.protocol === 'https:' ? https : http);
+            const request = client.request(this.url, {
+                method: 'POST',
+                headers: Object.assign({
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                }, this.headers),
+                timeout: this.timeoutMs
+            }, (response) => {
+                // Response body is not used.
+                response.resume();
+
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    return resolve();
+                }
+
+                const err = new errors.GatewayError(`Uplink endpoint responded with HTTP ${response.statusCode}.`, 'EUPLINK');
+                err.statusCode = response.statusCode;
+
+                err.permanent = PERMANENT_STATUS_CODES.includes(response.statusCode);
+                reject(err);
+            });
+
+            request.on('timeout', () => {
+                request.abort();
+            });
+
+            request.on('error', (err) => {
+                reject(new errors.GatewayError(`Uplink request failed: ${err.message}`, 'EUPLINK'));
+            });
+
+            request.on('close', () => {
+                if (this.request === request) {
+                    this.request = undefined;
+                }
+            });
+
+            this.request = request;
+            request.end(body);
+        });
+    }
+
+    getStatus() {
+        return {
+            queued: this.queue.length,
+            failures: this.failures,
+            lastDelivered: this.lastDelivered
+        };
+    }
+}
+
+module.exports = Uplink;
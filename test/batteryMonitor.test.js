@@ -0,0 +1,118 @@
+const assert = require('assert');
+const { Gateway, FakeRouter } = require('..');
+const BatteryMonitor = require('../lib/batteryMonitor');
+const { startGateway, nextEvent, delay } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+describe('BatteryMonitor', function() {
+    let events;
+    let monitor;
+
+    const observe = (type, battery, isPowerOn = false) => monitor.observe({ type, sensorId: 'A946' }, battery, isPowerOn);
+
+    beforeEach(function() {
+        events = [];
+        monitor = new BatteryMonitor((eventName, details) => events.push([ eventName, details ]));
+        monitor.configure({ default: 2.5, motion: 2.3 }, 0.2);
+    });
+
+    it('emits lowBattery once when the battery drops below the threshold for the type', function() {
+        observe('motion', 2.4);
+        observe('motion', 2.2);
+        observe('motion', 2.1);
+        observe('motion', 2.4);
+
+        assert.deepStrictEqual(events, [
+            [ 'lowBattery', { sensorId: 'a946', sensorType: 'motion', battery: 2.2, threshold: 2.3 } ]
+        ]);
+        assert.deepStrictEqual(monitor.getStatus('a946'), { lowBattery: true });
+    });
+
+    it('uses the default threshold for other types, and until the type is known', function() {
+        observe('boot', 2.4);
+
+        assert.deepStrictEqual(events, [
+            [ 'lowBattery', { sensorId: 'a946', sensorType: undefined, battery: 2.4, threshold: 2.5 } ]
+        ]);
+    });
+
+    it('emits batteryRecovered when the sensor powers on with a new battery', function() {
+        observe('motion', 2.2);
+
+        // Not a power on, or not far enough above the threshold.
+        observe('motion', 3);
+        observe('boot', 2.4, true);
+        assert.strictEqual(events.length, 1);
+
+        observe('boot', 2.5, true);
+        assert.deepStrictEqual(events[1], [ 'batteryRecovered', { sensorId: 'a946', sensorType: 'motion', battery: 2.5 } ]);
+        assert.deepStrictEqual(monitor.getStatus('a946'), { lowBattery: false });
+    });
+
+    it('ignores messages without a battery level', function() {
+        observe('motion', undefined);
+
+        assert.deepStrictEqual(events, []);
+        assert.deepStrictEqual(monitor.getStatus('a946'), { lowBattery: false });
+    });
+});
+
+describe('Battery levels in the gateway', function() {
+    let gateway;
+    let router;
+
+    before(async function() {
+        ({ gateway, router } = await startGateway({ lowBatteryThresholds: { motion: 2.4 } }));
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    it('emits lowBattery for status messages that are not passed on', async function() {
+        const lowBattery = nextEvent(gateway, 'lowBattery');
+
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'b0b0', sequenceNumber: 1, battery: 2.3, data: '20' }));
+
+        assert.deepStrictEqual(await lowBattery, { sensorId: 'b0b0', sensorType: 'motion', battery: 2.3, threshold: 2.4 });
+        assert.strictEqual(gateway.getSensor('b0b0').lowBattery, true);
+    });
+
+    it('does not read a battery level from message types that do not carry one', async function() {
+        let lowBattery = false;
+
+        gateway.on('lowBattery', () => {
+            lowBattery = true;
+        });
+
+        router.receiveFrame(buildFrame({ messageType: '37', sensorId: 'dfbc', sequenceNumber: 1, battery: 3.1, data: '01' }));
+
+        // The byte after the message type in these is not a battery level.
+        router.receiveFrame(buildFrame({ messageType: '36', sensorId: 'dfbc', sequenceNumber: 2, battery: 0.1, data: '6869' }));
+        router.receiveFrame(buildFrame({ messageType: '38', sensorId: 'dfbc', sequenceNumber: 3, battery: 0, data: '0004' }));
+        router.receiveFrame(buildFrame({ messageType: '70', sensorId: 'dfbc', sequenceNumber: 4, battery: 0.2, data: '02000008' }));
+        await delay(50);
+
+        assert.strictEqual(lowBattery, false);
+        assert.strictEqual(gateway.getSensor('dfbc').battery, 3.1);
+        assert.strictEqual(gateway.getSensor('dfbc').messageCount, 4);
+    });
+
+    it('passes an undefined battery to decoders of registered types without one', async function() {
+        Gateway.registerMessageType('4a', {
+            name: 'noBattery',
+            battery: false,
+            decode: (message, messageData, { battery }) => {
+                message.payload.battery = battery;
+            }
+        });
+
+        const received = nextEvent(gateway, 'noBattery');
+
+        router.receiveFrame(buildFrame({ messageType: '4a', sensorId: 'dfbc', sequenceNumber: 5, battery: 0.1, data: '00' }));
+
+        assert.strictEqual((await received).payload.battery, undefined);
+        assert.strictEqual(gateway.getSensor('dfbc').battery, 3.1);
+    });
+});
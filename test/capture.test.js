@@ -0,0 +1,139 @@
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { Gateway, FakeRouter, ReplayRouter } = require('..');
+const CaptureLog = require('../lib/captureLog');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+const { createTempDirectory, removeDirectory } = require('./helpers/files');
+
+const buildFrame = FakeRouter.buildFrame;
+
+const MOTION_FRAME = buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 1, data: '81' });
+const TEMP_HUMIDITY_FRAME = buildFrame({ messageType: '30', sensorId: 'b33f', sequenceNumber: 2, data: '0802168c' });
+
+describe('CaptureLog', function() {
+    it('parses lines of a capture file', function() {
+        assert.deepStrictEqual(CaptureLog.parseLine('2018-02-16T06:19:05.243Z in >26010000a946'), {
+            time: Date.parse('2018-02-16T06:19:05.243Z'),
+            direction: 'in',
+            line: '>26010000a946'
+        });
+
+        assert.strictEqual(CaptureLog.parseLine('2018-02-16T06:19:05.243Z out <0761da40016869').line, '<0761da40016869');
+    });
+
+    it('ignores lines that are not from a capture', function() {
+        assert.strictEqual(CaptureLog.parseLine(''), undefined);
+        assert.strictEqual(CaptureLog.parseLine('2018-02-16T06:19:05.243Z in'), undefined);
+        assert.strictEqual(CaptureLog.parseLine('yesterday in >26010000a946'), undefined);
+        assert.strictEqual(CaptureLog.parseLine('2018-02-16T06:19:05.243Z sideways MR'), undefined);
+    });
+});
+
+describe('Recording and replaying serial traffic', function() {
+    let directory;
+    let captureFile;
+
+    const writeCapture = (lines) => fs.writeFileSync(captureFile, lines.map((line) => `${line}\n`).join(''));
+
+    // Replays a capture into a new gateway, and resolves with the messages
+    // that it emitted and the router.  The first message can arrive as
+    // soon as the gateway is ready, so is listened for from the start.
+    const replay = async (options) => {
+        const gateway = new Gateway();
+        const router = new ReplayRouter(Object.assign({ file: captureFile }, options));
+        const messages = [];
+        const replayEnd = nextEvent(router, 'replayEnd');
+
+        gateway.on('message', (message) => messages.push(message));
+        gateway.runGateway({ port: router, sendStatusMessages: true });
+        await replayEnd;
+        await gateway.stop();
+
+        return { gateway, router, messages };
+    };
+
+    beforeEach(function() {
+        directory = createTempDirectory('capture-test-');
+        captureFile = path.join(directory, 'capture.log');
+    });
+
+    afterEach(function() {
+        removeDirectory(directory);
+    });
+
+    it('writes the lines read from and written to the router to captureFile', async function() {
+        const { gateway, router } = await startGateway({ captureFile });
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(MOTION_FRAME);
+        await received;
+        await gateway.sendTextMessage({ message: 'hi', destination: 'da40' });
+        await gateway.stop();
+
+        const records = fs.readFileSync(captureFile, 'utf8').trim().split('\n').map(CaptureLog.parseLine);
+
+        assert.ok(records.every((record) => record && Math.abs(record.time - Date.now()) < 60000));
+        assert.deepStrictEqual(records.filter((record) => record.direction === 'out').map((record) => record.line).slice(-1), [ '<0761da40016869' ]);
+        assert.ok(records.some((record) => record.direction === 'out' && record.line === 'MR'));
+        assert.ok(records.some((record) => record.direction === 'in' && record.line === 'MR:00124b000513da40'));
+        assert.ok(records.some((record) => record.direction === 'in' && record.line === `>${MOTION_FRAME}`));
+    });
+
+    it('plays back a capture written by the gateway', async function() {
+        const { gateway, router } = await startGateway({ captureFile }, new FakeRouter({ macAddress: '00124b0005aabbcc', conectricVersion: '1.0.3' }));
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(MOTION_FRAME);
+        const original = await received;
+        await gateway.stop();
+
+        const replayed = await replay({ speed: 0 });
+
+        assert.strictEqual(replayed.gateway.macAddress, '00124b0005aabbcc');
+        assert.strictEqual(replayed.gateway.conectricVersion, '1.0.3');
+        assert.strictEqual(replayed.messages.length, 1);
+        assert.deepStrictEqual(replayed.messages[0].payload, original.payload);
+        assert.strictEqual(replayed.messages[0].sensorId, 'a946');
+    });
+
+    it('keeps the gaps between messages, divided by speed', async function() {
+        writeCapture([
+            `2018-02-16T06:19:05.000Z in >${MOTION_FRAME}`,
+            '2018-02-16T06:19:05.100Z out <0761da40016869',
+            `2018-02-16T06:19:06.000Z in >${TEMP_HUMIDITY_FRAME}`
+        ]);
+
+        const startTime = Date.now();
+        const { router, messages } = await replay({ speed: 10 });
+
+        assert.ok(Date.now() - startTime >= 100);
+        assert.deepStrictEqual(messages.map((message) => message.type), [ 'motion', 'tempHumidity' ]);
+
+        // Captured commands are not replayed, and commands sent to the
+        // router are recorded but get no response.
+        assert.deepStrictEqual(router.sentMessages, []);
+        assert.deepStrictEqual(router.commands.slice(-1), [ 'SS' ]);
+    });
+
+    it('is used by the command-line tool\'s monitor --replay', function(done) {
+        writeCapture([
+            `2018-02-16T06:19:05.000Z in >${MOTION_FRAME}`,
+            `2018-02-16T06:19:06.000Z in >${TEMP_HUMIDITY_FRAME}`
+        ]);
+
+        const args = [ path.join(__dirname, '..', 'bin', 'conectric-gateway.js'), 'monitor', '--json', '--replay', captureFile, '--speed', '0' ];
+
+        childProcess.execFile(process.execPath, args, (err, stdout) => {
+            if (err) {
+                return done(err);
+            }
+
+            const messages = stdout.trim().split('\n').map((line) => JSON.parse(line));
+
+            assert.deepStrictEqual(messages.map((message) => [ message.type, message.sensorId ]), [ [ 'motion', 'a946' ], [ 'tempHumidity', 'b33f' ] ]);
+            done();
+        });
+    });
+});
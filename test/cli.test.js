@@ -0,0 +1,80 @@
+const assert = require('assert');
+const childProcess = require('child_process');
+const path = require('path');
+
+const CLI_PATH = path.join(__dirname, '..', 'bin', 'conectric-gateway.js');
+
+// Runs the command-line tool, and resolves with its exit code and output.
+const run = (args) => new Promise((resolve) => {
+    childProcess.execFile(process.execPath, [ CLI_PATH ].concat(args), (err, stdout, stderr) => {
+        resolve({
+            code: (err ? err.code : 0),
+            stdout,
+            stderr
+        });
+    });
+});
+
+describe('Command-line tool', function() {
+    it('prints usage for every command with --help', async function() {
+        const result = await run([ '--help' ]);
+
+        assert.strictEqual(result.code, 0);
+
+        [ 'monitor', 'info', 'send-text', 'rs485 config', 'rs485 get-config', 'rs485 request', 'config events', 'config leds', 'sensors' ].forEach((name) => {
+            assert.ok(result.stdout.includes(`  ${name}`), name);
+        });
+    });
+
+    it('prints usage for a single command with --help', async function() {
+        const result = await run([ 'config', 'leds', '--help' ]);
+
+        assert.strictEqual(result.code, 0);
+        assert.ok(result.stdout.startsWith('Usage: conectric-gateway config leds <destination>'));
+    });
+
+    it('exits with 2 for an unknown command', async function() {
+        const result = await run([ 'commission' ]);
+
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.startsWith('Unknown command "commission".'));
+    });
+
+    it('exits with 2 for unknown options and bad option values', async function() {
+        let result = await run([ 'info', '--verbose' ]);
+
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.startsWith('Unknown option --verbose.\nUsage: conectric-gateway info'));
+
+        result = await run([ 'sensors', '--duration', 'long' ]);
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.startsWith('Option --duration must be a number.'));
+
+        result = await run([ 'config', 'leds', '1234', '--tx', 'maybe' ]);
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.startsWith('Option --tx must be on or off.'));
+    });
+
+    it('checks arguments before starting the gateway', async function() {
+        let result = await run([ 'send-text', '1234' ]);
+
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.startsWith('Destination and message are required.'));
+
+        result = await run([ 'send-text', '12345', 'hello' ]);
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.includes('"destination" length must be 4 characters long'));
+
+        result = await run([ 'config', 'events', '1234', '--broadcast' ]);
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.startsWith('Exactly one of a destination or --broadcast is required.'));
+
+        result = await run([ 'config', 'leds', '1234', '--sensor-type', 'motion', '--tx', 'on' ]);
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.startsWith('Missing --rx, --activity, --deployment-lifetime.'));
+
+        result = await run([ 'monitor', '--sensor', 'a946,b33' ]);
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stderr.includes('length must be 4 characters long'));
+    });
+});
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const { Gateway, FakeRouter, NotConnectedError } = require('..');
+const ConfigManager = require('../lib/configManager');
+const { startGateway, nextEvent, delay } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+const MOTION_EVENTS = { sleepTime: 60, reportEvery: 10, eventConfig: '00' };
+
+// Stands in for the gateway, recording the event config messages sent and
+// rejecting them while failing is set.
+class TestGateway extends EventEmitter {
+    constructor() {
+        super();
+
+        this.GATEWAY_STATE_DISCONNECTED = 'disconnected';
+        this.state = 'ready';
+        this.failing = false;
+        this.sent = [];
+        this.errors = [];
+        this.reportError = (err) => this.errors.push(err);
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    sendEventConfigMessage(params) {
+        if (this.failing) {
+            return Promise.reject(new NotConnectedError());
+        }
+
+        this.sent.push(params);
+        return Promise.resolve();
+    }
+}
+
+describe('ConfigManager', function() {
+    let gateway;
+    let manager;
+
+    beforeEach(function() {
+        gateway = new TestGateway();
+        manager = new ConfigManager(gateway);
+        manager.start({ checkIntervalMs: 60000, maxAttempts: 3, bootDelayMs: 0, rs485TimeoutMs: 0 });
+    });
+
+    afterEach(function() {
+        manager.stop();
+    });
+
+    it('broadcasts settings for a type declared before the gateway is ready, once it is', async function() {
+        gateway.state = 'disconnected';
+        manager.setDesired('motion', true, { events: MOTION_EVENTS, deploymentLifetime: 10 });
+        await delay(10);
+
+        assert.deepStrictEqual(gateway.sent, []);
+        assert.deepStrictEqual(gateway.errors, []);
+
+        gateway.state = 'ready';
+        gateway.emit('ready');
+        await delay(10);
+
+        assert.deepStrictEqual(gateway.sent, [ Object.assign({ sensorType: 'motion', broadcast: true, deploymentLifetime: 10 }, MOTION_EVENTS) ]);
+    });
+
+    it('broadcasts again once the gateway is ready if a broadcast failed', async function() {
+        const configSent = [];
+
+        gateway.on('configSent', (details) => configSent.push(details));
+        gateway.failing = true;
+        manager.setDesired('motion', true, { events: MOTION_EVENTS, deploymentLifetime: 10 });
+        await delay(10);
+
+        assert.strictEqual(gateway.errors.length, 1);
+
+        gateway.failing = false;
+        gateway.emit('ready');
+        await delay(10);
+
+        assert.strictEqual(gateway.sent.length, 1);
+        assert.deepStrictEqual(configSent, [ { sensorType: 'motion', setting: 'events', config: MOTION_EVENTS, attempts: 2 } ]);
+
+        // Nothing left to send.
+        gateway.emit('ready');
+        await delay(10);
+        assert.strictEqual(gateway.sent.length, 1);
+    });
+
+    it('broadcasts when a sensor of the type is heard from if the broadcast was never sent', async function() {
+        gateway.failing = true;
+        manager.setDesired('motion', true, { events: MOTION_EVENTS, deploymentLifetime: 10 });
+        await delay(10);
+
+        gateway.failing = false;
+        manager.observe({ type: 'motion', sensorId: 'A946' }, '81');
+        manager.observe({ type: 'motion', sensorId: 'b33f' }, '81');
+        await delay(10);
+
+        assert.strictEqual(gateway.sent.length, 1);
+        assert.strictEqual(manager.getStatus('a946').settings.events.state, 'sent');
+        assert.strictEqual(manager.getStatus('b33f').settings.events.state, 'sent');
+
+        // Already sent, so the next sensor is assumed to have got it.
+        manager.observe({ type: 'motion', sensorId: 'c0de' }, '81');
+        await delay(10);
+
+        assert.strictEqual(gateway.sent.length, 1);
+        assert.strictEqual(manager.getStatus('c0de').settings.events.state, 'sent');
+    });
+});
+
+describe('Sensor configuration in the gateway', function() {
+    it('broadcasts settings for a type declared before runGateway', async function() {
+        const gateway = new Gateway();
+        const router = new FakeRouter();
+        const errors = [];
+
+        assert.strictEqual(gateway.setDesiredConfig({ sensorType: 'motion', events: MOTION_EVENTS }), true);
+
+        const configSent = nextEvent(gateway, 'configSent');
+
+        gateway.runGateway({ port: router, onGatewayError: (err) => errors.push(err) });
+
+        assert.deepStrictEqual(await configSent, { sensorType: 'motion', setting: 'events', config: MOTION_EVENTS, attempts: 1 });
+        assert.strictEqual(router.sentMessages.length, 1);
+        assert.deepStrictEqual(errors, []);
+
+        await gateway.stop();
+    });
+
+    it('sends settings for a sensor once it is heard from, and confirms RS-485 settings', async function() {
+        const { gateway, router } = await startGateway();
+        const rs485 = { baudRate: 9600, parity: gateway.PARITY_NONE, stopBits: 1, bitMask: 8 };
+
+        gateway.setDesiredConfig({ sensorId: 'DFBC', rs485 });
+        assert.strictEqual(gateway.getConfigStatus('dfbc').settings.rs485.state, 'pending');
+
+        const configSent = nextEvent(gateway, 'configSent');
+
+        router.receiveFrame(buildFrame({ messageType: '37', sensorId: 'dfbc', sequenceNumber: 1, data: '01' }));
+
+        assert.deepStrictEqual(await configSent, { sensorId: 'dfbc', setting: 'rs485', config: rs485, attempts: 1 });
+        assert.strictEqual(router.sentMessages.length, 1);
+        assert.strictEqual(gateway.getConfigStatus('dfbc').settings.rs485.state, 'sent');
+
+        const configApplied = nextEvent(gateway, 'configApplied');
+
+        router.receiveFrame(buildFrame({ messageType: '70', sensorId: 'dfbc', sequenceNumber: 2, data: '02000000' }));
+
+        assert.deepStrictEqual(await configApplied, { sensorId: 'dfbc', sensorType: 'rs485', setting: 'rs485', config: rs485 });
+        assert.strictEqual(gateway.getConfigStatus('dfbc').settings.rs485.state, 'applied');
+
+        await gateway.stop();
+    });
+});
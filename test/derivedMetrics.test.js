@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { FakeRouter } = require('..');
+const derivedMetrics = require('../lib/derivedMetrics');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+const toCelsius = (fahrenheit) => (fahrenheit - 32) * (5 / 9);
+
+const toFahrenheit = (celsius) => (celsius * (9 / 5)) + 32;
+
+const assertClose = (actual, expected, tolerance) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+describe('derivedMetrics', function() {
+    it('works out dew points', function() {
+        assertClose(derivedMetrics.dewPoint(20, 50), 9.3, 0.05);
+        assertClose(derivedMetrics.dewPoint(25, 60), 16.7, 0.05);
+        assertClose(derivedMetrics.dewPoint(30, 80), 26.2, 0.05);
+
+        // Saturated air is at its dew point.
+        assertClose(derivedMetrics.dewPoint(0, 100), 0, 0.001);
+        assertClose(derivedMetrics.dewPoint(15, 100), 15, 0.001);
+    });
+
+    it('works out heat indexes that match the National Weather Service\'s table', function() {
+        // Degrees Fahrenheit and relative humidity, and the heat index.
+        [
+            [ 80, 40, 80 ],
+            [ 90, 70, 106 ],
+            [ 100, 40, 109 ],
+            [ 86, 90, 105 ],
+            [ 94, 55, 106 ]
+        ].forEach(([ temperature, humidity, expected ]) => {
+            assertClose(toFahrenheit(derivedMetrics.heatIndex(toCelsius(temperature), humidity)), expected, 1);
+        });
+    });
+
+    it('works out absolute humidity and vapor pressure deficit', function() {
+        assertClose(derivedMetrics.absoluteHumidity(20, 50), 8.6, 0.1);
+        assertClose(derivedMetrics.vaporPressureDeficit(25, 50), 1.58, 0.01);
+        assert.strictEqual(derivedMetrics.vaporPressureDeficit(25, 100), 0);
+    });
+});
+
+describe('Derived metrics in the gateway', function() {
+    // 41.01 degrees Celsius and 44% relative humidity.
+    const receive = async (params) => {
+        const { gateway, router } = await startGateway(params);
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(buildFrame({ messageType: '30', sensorId: 'b33f', sequenceNumber: 1, data: '7fff6666' }));
+
+        const message = await received;
+
+        await gateway.stop();
+        return message.payload;
+    };
+
+    it('adds them to payloads with sendDerivedMetrics', async function() {
+        const payload = await receive({ sendDerivedMetrics: true });
+
+        assert.strictEqual(payload.dewPoint, 26.33);
+        assert.strictEqual(payload.heatIndex, 53.63);
+        assert.strictEqual(payload.absoluteHumidity, 23.59);
+        assert.strictEqual(payload.vaporPressureDeficit, 4.35);
+    });
+
+    it('uses degrees Fahrenheit with useFahrenheitTemps', async function() {
+        const payload = await receive({ sendDerivedMetrics: true, useFahrenheitTemps: true });
+
+        assert.strictEqual(payload.dewPoint, 79.4);
+        assert.strictEqual(payload.heatIndex, 128.54);
+        assert.strictEqual(payload.absoluteHumidity, 23.59);
+        assert.strictEqual(payload.vaporPressureDeficit, 4.35);
+    });
+
+    it('leaves them out by default', async function() {
+        const payload = await receive({});
+
+        assert.deepStrictEqual(Object.keys(payload).filter((key) => [ 'dewPoint', 'heatIndex', 'absoluteHumidity', 'vaporPressureDeficit' ].includes(key)), []);
+    });
+});
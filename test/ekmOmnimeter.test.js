@@ -0,0 +1,191 @@
+const assert = require('assert');
+const { EkmOmnimeter, CrcError, InvalidResponseError, ValidationError } = require('..');
+const crc16 = require('../lib/crc16');
+
+const SERIAL_NUMBER = '000300002255';
+
+// Builds a meter response from [ length, text ] fields, adding the STX
+// and the !\r\n ETX trailer and CRC that the meter sends.  Numbers are
+// zero padded to the field's length.
+const buildResponse = (fields) => {
+    const body = Buffer.concat([
+        Buffer.from([ 0x02 ]),
+        ...fields.map(([ length, text ]) => Buffer.from(String(text).padStart(length, '0'), 'ascii')),
+        Buffer.from('!\r\n\x03', 'ascii')
+    ]);
+    const crc = crc16(body.slice(1)) & 0x7F7F;
+
+    return Buffer.concat([ body, Buffer.from([ crc >> 8, crc & 0xFF ]) ]).toString('hex');
+};
+
+const repeat = (length, values) => values.map((value) => [ length, value ]);
+
+const header = (meterAddress = SERIAL_NUMBER) => [ [ 2, '\x17\x10' ], [ 1, '\x15' ], [ 12, meterAddress ] ];
+
+const v3Response = (meterAddress) => buildResponse([
+    ...header(meterAddress),
+    [ 8, 123456 ], // kwhTotal
+    ...repeat(8, [ 100, 200, 300, 400 ]), // kwhTariffs
+    [ 8, 15 ], // reverseKwhTotal
+    ...repeat(8, [ 1, 2, 3, 4 ]), // reverseKwhTariffs
+    ...repeat(4, [ 1203, 1198, 1210 ]), // volts
+    ...repeat(5, [ 152, 36, 0 ]), // amps
+    ...repeat(7, [ 1800, 420, 0 ]), // watts
+    [ 7, 2220 ], // wattsTotal
+    ...repeat(4, [ 'C095', 'L088', ' 100' ]), // powerFactor
+    [ 8, 25 ], // maxDemand
+    [ 1, 1 ], // maxDemandPeriod
+    [ 14, '20161017143000' ], // meterTime
+    [ 4, 200 ], // ctRatio
+    ...repeat(8, [ 7, 8, 9 ]), // pulseCounts
+    ...repeat(4, [ 1, 1, 1 ]), // pulseRatios
+    [ 3, 0 ], // stateInputs
+    [ 20, 0 ] // reserved
+]);
+
+const v4ResponseA = (meterAddress) => buildResponse([
+    ...header(meterAddress),
+    [ 8, 1234567 ], // kwhTotal
+    [ 8, 5000 ], // reactiveEnergyTotal
+    [ 8, 20 ], // reverseKwhTotal
+    ...repeat(8, [ 1000, 2000, 3000 ]), // kwhPhases
+    ...repeat(8, [ 1, 2, 3 ]), // reverseKwhPhases
+    [ 8, 0 ], // resettableKwhTotal
+    [ 8, 0 ], // resettableReverseKwhTotal
+    ...repeat(4, [ 1203, 1198, 1210 ]), // volts
+    ...repeat(5, [ 152, 36, 0 ]), // amps
+    ...repeat(7, [ 1800, 420, 0 ]), // watts
+    [ 7, 2220 ], // wattsTotal
+    ...repeat(4, [ 'C095', 'L088', ' 100' ]), // powerFactor
+    ...repeat(7, [ 10, 20, 30 ]), // reactivePower
+    [ 7, 60 ], // reactivePowerTotal
+    [ 4, 5998 ], // frequency
+    ...repeat(8, [ 7, 8, 9 ]), // pulseCounts
+    [ 1, 1 ], // stateInputs
+    [ 1, 1 ], // stateWattsDirection
+    [ 1, 1 ], // stateOutputs
+    [ 1, 2 ], // kwhScale
+    [ 2, 0 ], // reserved
+    [ 14, '20161017143000' ], // meterTime
+    [ 2, 0 ] // reserved
+]);
+
+const v4ResponseB = () => buildResponse([
+    ...header(),
+    ...repeat(8, [ 100, 200, 300, 400 ]), // kwhTariffs
+    ...repeat(8, [ 1, 2, 3, 4 ]), // reverseKwhTariffs
+    ...repeat(4, [ 1204, 1199, 1211 ]), // volts
+    ...repeat(5, [ 150, 35, 0 ]), // amps
+    ...repeat(7, [ 1790, 410, 0 ]), // watts
+    [ 7, 2200 ], // wattsTotal
+    ...repeat(4, [ 'C095', 'L088', ' 100' ]), // powerFactor
+    [ 8, 25 ], // maxDemand
+    [ 1, 1 ], // maxDemandPeriod
+    ...repeat(4, [ 1, 1, 1 ]), // pulseRatios
+    [ 4, 200 ], // ctRatio
+    [ 1, 0 ], // maxDemandAutoReset
+    [ 4, 1 ], // pulseOutputRatio
+    [ 56, 0 ], // reserved
+    [ 14, '20161017143000' ], // meterTime
+    [ 2, 0 ] // reserved
+]);
+
+// Stands in for the gateway, answering each query with the next response.
+const createGateway = (responses) => ({
+    queries: [],
+    rs485Query(query) {
+        this.queries.push(query);
+        return Promise.resolve({ type: 'rs485ChunkedResponse', payload: { rs485: responses.shift() } });
+    }
+});
+
+describe('EkmOmnimeter', function() {
+    it('reads a v3 meter', async function() {
+        const gateway = createGateway([ v3Response() ]);
+        const meter = new EkmOmnimeter({ gateway, serialNumber: SERIAL_NUMBER, sensorId: 'dfbc', version: 3, timeoutMs: 8000 });
+        const reading = await meter.read();
+
+        assert.deepStrictEqual(gateway.queries, [ { message: `/?${SERIAL_NUMBER}!\r\n`, destination: 'dfbc', timeoutMs: 8000 } ]);
+        assert.strictEqual(reading.model, '1710');
+        assert.strictEqual(reading.firmware, '15');
+        assert.strictEqual(reading.meterAddress, SERIAL_NUMBER);
+        assert.strictEqual(reading.kwhTotal, 12345.6);
+        assert.deepStrictEqual(reading.kwhTariffs, [ 10, 20, 30, 40 ]);
+        assert.strictEqual(reading.reverseKwhTotal, 1.5);
+        assert.deepStrictEqual(reading.volts, [ 120.3, 119.8, 121 ]);
+        assert.deepStrictEqual(reading.amps, [ 15.2, 3.6, 0 ]);
+        assert.deepStrictEqual(reading.watts, [ 1800, 420, 0 ]);
+        assert.strictEqual(reading.wattsTotal, 2220);
+        assert.deepStrictEqual(reading.powerFactor, [ 0.95, 0.88, 1 ]);
+        assert.deepStrictEqual(reading.powerFactorTypes, [ 'C', 'L', null ]);
+        assert.strictEqual(reading.maxDemand, 2.5);
+        assert.strictEqual(reading.meterTime, '20161017143000');
+        assert.strictEqual(reading.ctRatio, 200);
+        assert.deepStrictEqual(reading.pulseCounts, [ 7, 8, 9 ]);
+        assert.strictEqual(reading.sensorId, 'dfbc');
+        assert.strictEqual(reading.version, 3);
+    });
+
+    it('reads a v4 meter with type A then type B requests', async function() {
+        const gateway = createGateway([ v4ResponseA(), v4ResponseB() ]);
+        const meter = new EkmOmnimeter({ gateway, serialNumber: SERIAL_NUMBER, sensorId: 'dfbc', version: 4 });
+        const reading = await meter.read();
+
+        assert.deepStrictEqual(gateway.queries.map((query) => query.message), [ `/?${SERIAL_NUMBER}00!\r\n`, `/?${SERIAL_NUMBER}01!\r\n` ]);
+
+        // kWh values are scaled by the kwhScale from the type A response.
+        assert.strictEqual(reading.kwhScale, 2);
+        assert.strictEqual(reading.kwhTotal, 12345.67);
+        assert.deepStrictEqual(reading.kwhPhases, [ 10, 20, 30 ]);
+        assert.deepStrictEqual(reading.kwhTariffs, [ 1, 2, 3, 4 ]);
+        assert.strictEqual(reading.frequency, 59.98);
+        assert.deepStrictEqual(reading.reactivePower, [ 10, 20, 30 ]);
+
+        // Type A values win where both responses have them.
+        assert.deepStrictEqual(reading.volts, [ 120.3, 119.8, 121 ]);
+        assert.strictEqual(reading.wattsTotal, 2220);
+
+        // Values only in type B.
+        assert.strictEqual(reading.ctRatio, 200);
+        assert.strictEqual(reading.pulseOutputRatio, 1);
+    });
+
+    it('rejects responses with a bad CRC', async function() {
+        const response = v3Response();
+        const corrupted = `${response.substring(0, 40)}39${response.substring(42)}`;
+        const meter = new EkmOmnimeter({ gateway: createGateway([ corrupted ]), serialNumber: SERIAL_NUMBER, sensorId: 'dfbc', version: 3 });
+
+        await assert.rejects(meter.read(), CrcError);
+    });
+
+    it('ignores the top bit of each CRC byte', function() {
+        const response = v3Response();
+        const crc = parseInt(response.substring(response.length - 4), 16) | 0x8080;
+
+        assert.strictEqual(EkmOmnimeter.decodeV3Response(`${response.substring(0, response.length - 4)}${crc.toString(16)}`).kwhTotal, 12345.6);
+    });
+
+    it('rejects responses of the wrong length', async function() {
+        const meter = new EkmOmnimeter({ gateway: createGateway([ v3Response().substring(2) ]), serialNumber: SERIAL_NUMBER, sensorId: 'dfbc', version: 3 });
+
+        await assert.rejects(meter.read(), InvalidResponseError);
+    });
+
+    it('rejects responses from another meter', async function() {
+        const meter = new EkmOmnimeter({ gateway: createGateway([ v3Response('000300009999') ]), serialNumber: SERIAL_NUMBER, sensorId: 'dfbc', version: 3 });
+
+        await assert.rejects(meter.read(), { code: 'EBADRESPONSE', message: `EKM response was from meter 000300009999, expected ${SERIAL_NUMBER}.` });
+    });
+
+    it('passes on rs485Query errors', async function() {
+        const err = new Error('No response.');
+        const meter = new EkmOmnimeter({ gateway: { rs485Query: () => Promise.reject(err) }, serialNumber: SERIAL_NUMBER, sensorId: 'dfbc', version: 4 });
+
+        await assert.rejects(meter.read(), (thrown) => thrown === err);
+    });
+
+    it('throws a ValidationError for invalid parameters', function() {
+        assert.throws(() => new EkmOmnimeter({ gateway: createGateway([]), serialNumber: '1234', sensorId: 'dfbc', version: 4 }), ValidationError);
+        assert.throws(() => new EkmOmnimeter({ gateway: createGateway([]), serialNumber: SERIAL_NUMBER, sensorId: 'dfbc', version: 5 }), ValidationError);
+    });
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { FakeRouter, ValidationError } = require('..');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+describe('Event config messages', function() {
+    let gateway;
+    let router;
+
+    const lastSentMessage = () => router.sentMessages[router.sentMessages.length - 1];
+
+    before(async function() {
+        ({ gateway, router } = await startGateway({ commandIntervalMs: 10 }));
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    it('sends to a single sensor', async function() {
+        await gateway.sendEventConfigMessage({
+            sensorType: 'motion',
+            destination: 'A946',
+            sleepTime: 60,
+            reportEvery: 10,
+            eventConfig: gateway.MOTION_ENABLE_ALL_EVENTS,
+            deploymentLifetime: 10
+        });
+
+        assert.strictEqual(lastSentMessage(), '111cA946010ac208043c0000000a000000');
+        assert.strictEqual(gateway.watchdog.getReportInterval({ sensorId: 'a946', sensorType: 'motion' }), 600);
+    });
+
+    it('broadcasts to all sensors of a type', async function() {
+        await gateway.sendEventConfigMessage({
+            sensorType: 'moisture',
+            broadcast: true,
+            sleepTime: 30,
+            reportEvery: 10,
+            eventConfig: '02',
+            moistureWetReportEvery: 5,
+            deploymentLifetime: 10
+        });
+
+        assert.strictEqual(lastSentMessage(), '111c0000010ac208591e0002000a000500');
+        assert.strictEqual(gateway.watchdog.getReportInterval({ sensorId: 'b33f', sensorType: 'moisture' }), 300);
+    });
+
+    it('needs exactly one of destination or broadcast', async function() {
+        const params = { sensorType: 'motion', sleepTime: 60, reportEvery: 10, eventConfig: '00', deploymentLifetime: 10 };
+        const sentCount = router.sentMessages.length;
+
+        await assert.rejects(gateway.sendEventConfigMessage(params), ValidationError);
+        await assert.rejects(gateway.sendEventConfigMessage(Object.assign({ destination: 'a946', broadcast: true }, params)), ValidationError);
+        await assert.rejects(gateway.sendEventConfigMessage(Object.assign({ broadcast: false }, params)), ValidationError);
+        assert.strictEqual(router.sentMessages.length, sentCount);
+    });
+
+    it('checks eventConfig and moistureWetReportEvery against the sensor type', async function() {
+        const send = (params) => gateway.sendEventConfigMessage(Object.assign({ destination: 'a946', sleepTime: 60, reportEvery: 10, deploymentLifetime: 10 }, params));
+
+        await assert.rejects(send({ sensorType: 'motion', eventConfig: '02' }), ValidationError);
+        await assert.rejects(send({ sensorType: 'tempHumidity', eventConfig: '01' }), ValidationError);
+        await assert.rejects(send({ sensorType: 'moisture', eventConfig: '03' }), ValidationError);
+        await assert.rejects(send({ sensorType: 'switch', eventConfig: '03', moistureWetReportEvery: 5 }), ValidationError);
+
+        await send({ sensorType: 'switch', eventConfig: '03' });
+        await send({ sensorType: 'pulse', eventConfig: '01' });
+        await send({ sensorType: 'tempHumidityLight', eventConfig: '00' });
+    });
+
+    it('are sent to a single sensor for settings desired for it', async function() {
+        const events = { sleepTime: 60, reportEvery: 10, eventConfig: gateway.MOTION_DISABLE_ALL_EVENTS };
+
+        gateway.setDesiredConfig({ sensorId: 'c0de', events });
+
+        const configSent = nextEvent(gateway, 'configSent');
+
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'c0de', sequenceNumber: 1, data: '81' }));
+
+        assert.deepStrictEqual(await configSent, { sensorId: 'c0de', setting: 'events', config: events, attempts: 1 });
+        assert.strictEqual(lastSentMessage(), '111cc0de010ac208043c0001000a000000');
+    });
+});
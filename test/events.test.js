@@ -0,0 +1,101 @@
+const assert = require('assert');
+const { FakeRouter, ValidationError } = require('..');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+describe('Gateway events', function() {
+    let gateway;
+    let router;
+    let sequenceNumber = 0;
+
+    const receive = (messageType, sensorId, data) => {
+        sequenceNumber += 1;
+        router.receiveFrame(buildFrame({ messageType, sensorId, sequenceNumber, data }));
+    };
+
+    before(async function() {
+        ({ gateway, router } = await startGateway());
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    it('emits each message as message and as its type', async function() {
+        const message = nextEvent(gateway, 'message');
+        const motion = nextEvent(gateway, 'motion');
+
+        receive('32', 'a946', '81');
+
+        assert.strictEqual(await message, await motion);
+        assert.strictEqual((await motion).sensorId, 'a946');
+    });
+
+    describe('messages', function() {
+        it('iterates over messages that match the filter', async function() {
+            const iterator = gateway.messages({ type: [ 'motion', 'tempHumidity' ], sensorId: 'B33F' });
+
+            receive('32', 'a946', '81');
+            receive('30', 'b33f', '6a1c6b6c');
+            receive('31', 'b33f', '00');
+            receive('32', 'b33f', '81');
+
+            const received = [];
+
+            for await (const message of iterator) {
+                received.push(message.type);
+
+                if (received.length === 2) {
+                    break;
+                }
+            }
+
+            assert.deepStrictEqual(received, [ 'tempHumidity', 'motion' ]);
+        });
+
+        it('waits for messages that have not arrived yet', async function() {
+            const iterator = gateway.messages({ sensorId: 'c0de' });
+            const next = iterator.next();
+
+            receive('32', 'c0de', '81');
+
+            const { value, done } = await next;
+
+            assert.strictEqual(done, false);
+            assert.strictEqual(value.sensorId, 'c0de');
+            await iterator.return();
+        });
+
+        it('drops the oldest messages once bufferSize are waiting', async function() {
+            const iterator = gateway.messages({ sensorId: 'c0de', bufferSize: 2 });
+
+            receive('32', 'c0de', '81');
+            receive('32', 'c0de', '82');
+            receive('32', 'c0de', '81');
+
+            const sequenceNumbers = [ (await iterator.next()).value.sequenceNumber, (await iterator.next()).value.sequenceNumber ];
+
+            assert.deepStrictEqual(sequenceNumbers, [ sequenceNumber - 1, sequenceNumber ]);
+            await iterator.return();
+        });
+
+        it('stops listening when it is returned', async function() {
+            const listeners = gateway.listenerCount('message');
+            const iterator = gateway.messages();
+            const next = iterator.next();
+
+            assert.strictEqual(gateway.listenerCount('message'), listeners + 1);
+            await iterator.return();
+
+            assert.strictEqual(gateway.listenerCount('message'), listeners);
+            assert.deepStrictEqual(await next, { value: undefined, done: true });
+            assert.deepStrictEqual(await iterator.next(), { value: undefined, done: true });
+        });
+
+        it('throws a ValidationError for an invalid filter', function() {
+            assert.throws(() => gateway.messages({ sensorId: 'abc' }), ValidationError);
+            assert.throws(() => gateway.messages({ colour: 'red' }), { code: 'EVALIDATION' });
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const conectricUsbGateway = require('..');
+const { Gateway, FakeRouter, NotConnectedError, createGateway } = conectricUsbGateway;
+const { startGateway, nextEvent } = require('./helpers/gateway');
+
+// Transport with several routers plugged in, as a site controller has.
+const createTransport = (devices) => {
+    const routers = {};
+
+    devices.forEach((device, n) => {
+        routers[device] = new FakeRouter({ path: device, macAddress: `00124b00051300${n}0` });
+    });
+
+    return {
+        routers,
+        listDevices: () => Promise.resolve(devices),
+        findDevice: () => Promise.resolve(devices[0]),
+        open: (comName) => routers[comName]
+    };
+};
+
+describe('Gateway', function() {
+    it('is what the module exports, for applications with one router', function() {
+        assert.ok(conectricUsbGateway instanceof Gateway);
+        assert.strictEqual(typeof conectricUsbGateway.runGateway, 'function');
+    });
+
+    it('gives each instance its own router, state and callbacks', async function() {
+        const transport = createTransport([ '/dev/ttyUSB0', '/dev/ttyUSB1' ]);
+        const first = [];
+        const second = [];
+        const gateways = [
+            createGateway({ transport, onSensorMessage: (message) => first.push(message) }),
+            createGateway({ transport, onSensorMessage: (message) => second.push(message) })
+        ];
+
+        await Promise.all(gateways.map((gateway) => nextEvent(gateway, 'ready')));
+
+        assert.deepStrictEqual(gateways.map((gateway) => gateway.comName).sort(), [ '/dev/ttyUSB0', '/dev/ttyUSB1' ]);
+        assert.notStrictEqual(gateways[0].macAddress, gateways[1].macAddress);
+        assert.notStrictEqual(gateways[0].cache, gateways[1].cache);
+
+        // The same frame from each router is not a duplicate of the other.
+        const frame = FakeRouter.buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 1, data: '81' });
+        const received = gateways.map((gateway) => nextEvent(gateway, 'message'));
+
+        transport.routers[gateways[0].comName].receiveFrame(frame);
+        transport.routers[gateways[1].comName].receiveFrame(frame);
+        await Promise.all(received);
+
+        assert.strictEqual(first.length, 1);
+        assert.strictEqual(second.length, 1);
+
+        await Promise.all(gateways.map((gateway) => gateway.stop()));
+    });
+
+    it('uses the router at devicePath', async function() {
+        const transport = createTransport([ '/dev/ttyUSB0', '/dev/ttyUSB1' ]);
+        const gateway = createGateway({ transport, devicePath: '/dev/ttyUSB1' });
+
+        await nextEvent(gateway, 'ready');
+
+        assert.strictEqual(gateway.comName, '/dev/ttyUSB1');
+        assert.strictEqual(gateway.macAddress, '00124b0005130010');
+
+        await gateway.stop();
+    });
+
+    it('waits when every router is in use', async function() {
+        const transport = createTransport([ '/dev/ttyUSB0' ]);
+        const gateways = [ createGateway({ transport }), createGateway({ transport }) ];
+
+        await Promise.race(gateways.map((gateway) => nextEvent(gateway, 'ready')));
+
+        assert.deepStrictEqual(gateways.map((gateway) => gateway.getState()).sort(), [ 'disconnected', 'ready' ]);
+        assert.deepStrictEqual(await gateways[0].listRouterDevices(), [ '/dev/ttyUSB0' ]);
+
+        await Promise.all(gateways.map((gateway) => gateway.stop()));
+    });
+
+    describe('stop', function() {
+        it('closes the router and rejects outstanding commands', async function() {
+            const { gateway, router } = await startGateway({ commandIntervalMs: 1000 });
+            let detached = false;
+
+            gateway.on('detached', () => {
+                detached = true;
+            });
+
+            gateway.sendTextMessage({ message: 'one', destination: 'da40' });
+
+            const queued = gateway.sendTextMessage({ message: 'two', destination: 'da40' });
+            const query = gateway.rs485Query({ destination: 'dfbc', message: 'hi', timeoutMs: 1000 });
+
+            await gateway.stop();
+
+            assert.strictEqual(gateway.getState(), gateway.GATEWAY_STATE_DISCONNECTED);
+            assert.strictEqual(router.isOpen, false);
+            assert.strictEqual(detached, false);
+            await assert.rejects(queued, NotConnectedError);
+            await assert.rejects(query, NotConnectedError);
+        });
+
+        it('leaves no listeners behind when the gateway is started again', async function() {
+            const gateway = new Gateway();
+            const run = () => {
+                const ready = nextEvent(gateway, 'ready');
+
+                gateway.runGateway({ port: new FakeRouter(), httpApi: { port: 0, host: '127.0.0.1' } });
+                return ready;
+            };
+
+            await run();
+
+            const listeners = gateway.listenerCount('message');
+
+            await gateway.stop();
+            assert.strictEqual(gateway.listenerCount('message'), listeners - 1);
+
+            await run();
+            assert.strictEqual(gateway.listenerCount('message'), listeners);
+
+            await gateway.stop();
+        });
+    });
+});
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const { Gateway, FakeRouter, HandshakeError } = require('..');
+const { nextEvent } = require('./helpers/gateway');
+
+// Ignores everything, as a USB router that has locked up would.
+class SilentRouter extends FakeRouter {
+    _handleLine(line) {
+        this.commands.push(line);
+    }
+}
+
+// Ignores the first of each command that it is sent.
+class ForgetfulRouter extends FakeRouter {
+    _handleLine(line) {
+        if (this.commands.includes(line)) {
+            return super._handleLine(line);
+        }
+
+        this.commands.push(line);
+    }
+}
+
+describe('Handshake', function() {
+    it('sends the startup commands in order and becomes ready', async function() {
+        const router = new FakeRouter({ macAddress: '00124b0005aabbcc' });
+        const states = [];
+        const gateway = new Gateway();
+
+        gateway.on('stateChange', (state) => states.push(state));
+        gateway.runGateway({ port: router });
+        await nextEvent(gateway, 'ready');
+
+        assert.deepStrictEqual(router.commands, [ 'DP', 'VER', 'MR', 'SS' ]);
+        assert.deepStrictEqual(states, [ 'connecting', 'handshaking', 'ready' ]);
+        assert.strictEqual(gateway.getState(), gateway.GATEWAY_STATE_READY);
+        assert.strictEqual(gateway.macAddress, '00124b0005aabbcc');
+        assert.strictEqual(gateway.conectricVersion, '1.0.2');
+
+        await gateway.stop();
+    });
+
+    it('resends commands that are not acknowledged', async function() {
+        const router = new ForgetfulRouter();
+        const gateway = new Gateway();
+
+        gateway.runGateway({ port: router, handshakeTimeoutMs: 20, handshakeRetries: 1 });
+        await nextEvent(gateway, 'ready');
+
+        assert.deepStrictEqual(router.commands, [ 'DP', 'DP', 'VER', 'VER', 'MR', 'MR', 'SS', 'SS' ]);
+
+        await gateway.stop();
+    });
+
+    it('emits handshakeFailed rather than detached if the router does not answer', async function() {
+        const router = new SilentRouter();
+        const gateway = new Gateway();
+        let detached = false;
+
+        gateway.on('error', () => {});
+        gateway.on('detached', () => {
+            detached = true;
+        });
+
+        gateway.runGateway({ port: router, handshakeTimeoutMs: 20, handshakeRetries: 1 });
+
+        const query = gateway.rs485Query({ destination: 'dfbc', message: 'hi' });
+        const err = await nextEvent(gateway, 'handshakeFailed');
+
+        assert.ok(err instanceof HandshakeError);
+        assert.strictEqual(err.code, 'EHANDSHAKE');
+        assert.strictEqual(err.command, 'DP');
+        assert.deepStrictEqual(router.commands, [ 'DP', 'DP' ]);
+        assert.strictEqual(gateway.getState(), gateway.GATEWAY_STATE_DISCONNECTED);
+        await assert.rejects(query, { code: 'ENOTCONNECTED' });
+        assert.strictEqual(gateway.outboundQueue.length, 0);
+        assert.strictEqual(router.isOpen, false);
+        assert.strictEqual(detached, false);
+
+        await gateway.stop();
+    });
+});
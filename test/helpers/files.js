@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Creates an empty directory for a test to write to.
+const createTempDirectory = (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+
+// Deletes a directory and everything in it.  fs.rmSync is not available
+// in all supported versions of Node.js.
+const removeDirectory = (directory) => {
+    if (! fs.existsSync(directory)) {
+        return;
+    }
+
+    fs.readdirSync(directory).forEach((fileName) => {
+        const filePath = path.join(directory, fileName);
+
+        if (fs.statSync(filePath).isDirectory()) {
+            removeDirectory(filePath);
+        } else {
+            fs.unlinkSync(filePath);
+        }
+    });
+
+    fs.rmdirSync(directory);
+};
+
+module.exports = {
+    createTempDirectory,
+    removeDirectory
+};
@@ -0,0 +1,23 @@
+const { Gateway, FakeRouter } = require('../..');
+
+// Runs a new gateway on a FakeRouter, and resolves with both once the
+// gateway is ready.
+const startGateway = (params = {}, router = new FakeRouter()) => {
+    const gateway = new Gateway();
+
+    return new Promise((resolve) => {
+        gateway.once('ready', () => resolve({ gateway, router }));
+        gateway.runGateway(Object.assign({ port: router }, params));
+    });
+};
+
+// Resolves with the arguments of the next emitted event.
+const nextEvent = (emitter, eventName) => new Promise((resolve) => emitter.once(eventName, resolve));
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = {
+    startGateway,
+    nextEvent,
+    delay
+};
@@ -0,0 +1,150 @@
+const assert = require('assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { FakeRouter } = require('..');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+
+const API_KEY = 'secret';
+
+describe('HttpApi', function() {
+    let gateway;
+    let router;
+
+    // Resolves with the status code and parsed JSON body of the response.
+    const request = (method, path, body, apiKey = API_KEY, target = gateway) => new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: target.httpApi.server.address().port,
+            method,
+            path,
+            headers: (apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        }, (res) => {
+            let json = '';
+
+            res.on('data', (chunk) => {
+                json = `${json}${chunk}`;
+            });
+
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(json) }));
+        });
+
+        req.on('error', reject);
+        req.end(body);
+    });
+
+    before(async function() {
+        ({ gateway, router } = await startGateway({ httpApi: { port: 0, apiKey: API_KEY }, commandIntervalMs: 10 }));
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    it('requires the API key', async function() {
+        const { statusCode } = await request('GET', '/status', undefined, 'wrong');
+
+        assert.strictEqual(statusCode, 401);
+    });
+
+    it('reports the gateway status', async function() {
+        const { statusCode, body } = await request('GET', '/status');
+
+        assert.strictEqual(statusCode, 200);
+        assert.strictEqual(body.state, 'ready');
+        assert.strictEqual(body.macAddress, '00124b000513da40');
+    });
+
+    it('queues commands', async function() {
+        const sent = nextEvent(router, 'sentMessage');
+        const { statusCode, body } = await request('POST', '/sensors/da40/text', JSON.stringify({ message: 'hi' }));
+
+        assert.strictEqual(statusCode, 202);
+        assert.deepStrictEqual(body, { queued: true });
+        assert.strictEqual(await sent, '0761da40016869');
+    });
+
+    it('rejects bodies that are not JSON objects', async function() {
+        for (const body of [ 'null', '[]', '"hi"', '5', '{' ]) {
+            const response = await request('POST', '/sensors/da40/config', body);
+
+            assert.strictEqual(response.statusCode, 400, body);
+            assert.strictEqual(typeof response.body.error, 'string');
+        }
+
+        // Still running.
+        assert.strictEqual((await request('GET', '/status')).statusCode, 200);
+    });
+
+    it('rejects config types that are not commands', async function() {
+        for (const type of [ 'constructor', '__proto__', 'toString', 'bogus' ]) {
+            const { statusCode, body } = await request('POST', '/sensors/da40/config', JSON.stringify({ type }));
+
+            assert.strictEqual(statusCode, 400, type);
+            assert.strictEqual(body.error, 'type must be one of event, led, rs485.');
+        }
+    });
+
+    it('rejects invalid parameters', async function() {
+        const { statusCode } = await request('POST', '/sensors/da40/config', JSON.stringify({ type: 'rs485', baudRate: 1 }));
+
+        assert.strictEqual(statusCode, 400);
+    });
+
+    it('responds with 404 for unknown paths', async function() {
+        assert.strictEqual((await request('GET', '/bogus')).statusCode, 404);
+        assert.strictEqual((await request('POST', '/sensors/da40/bogus', '{}')).statusCode, 404);
+        assert.strictEqual((await request('GET', '/sensors/ffff')).statusCode, 404);
+    });
+
+    it('responds with 500 and reports unexpected errors', async function() {
+        const getSensors = gateway.getSensors;
+        const reported = nextEvent(gateway, 'error');
+
+        gateway.getSensors = () => {
+            throw new Error('Registry broken.');
+        };
+
+        try {
+            const { statusCode } = await request('GET', '/sensors');
+
+            assert.strictEqual(statusCode, 500);
+            assert.strictEqual((await reported).message, 'Registry broken.');
+        } finally {
+            gateway.getSensors = getSensors;
+        }
+    });
+
+    it('streams messages matching the filter over a WebSocket', async function() {
+        const socket = new WebSocket(`ws://127.0.0.1:${gateway.httpApi.server.address().port}/messages?type=motion&sensorId=A946&apiKey=${API_KEY}`);
+
+        await nextEvent(socket, 'open');
+
+        const received = nextEvent(socket, 'message');
+
+        router.receiveFrame(FakeRouter.buildFrame({ messageType: '30', sensorId: 'a946', sequenceNumber: 1, data: '6a1c6b6c' }));
+        router.receiveFrame(FakeRouter.buildFrame({ messageType: '32', sensorId: 'b33f', sequenceNumber: 1, data: '81' }));
+        router.receiveFrame(FakeRouter.buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 2, data: '81' }));
+
+        const message = JSON.parse(await received);
+
+        assert.strictEqual(message.type, 'motion');
+        assert.strictEqual(message.sensorId, 'a946');
+
+        socket.close();
+    });
+
+    it('reports commands that fail after they were queued', async function() {
+        const { gateway: slow, router: slowRouter } = await startGateway({ httpApi: { port: 0, host: '127.0.0.1' }, commandIntervalMs: 1000 });
+        const reported = nextEvent(slow, 'error');
+
+        assert.strictEqual((await request('POST', '/sensors/da40/text', JSON.stringify({ message: 'one' }), undefined, slow)).statusCode, 202);
+        assert.strictEqual((await request('POST', '/sensors/da40/text', JSON.stringify({ message: 'two' }), undefined, slow)).statusCode, 202);
+
+        slowRouter.close();
+
+        assert.strictEqual((await reported).code, 'ENOTCONNECTED');
+        assert.strictEqual((await request('POST', '/sensors/da40/text', JSON.stringify({ message: 'three' }), undefined, slow)).statusCode, 503);
+
+        await slow.stop();
+    });
+});
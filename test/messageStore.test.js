@@ -0,0 +1,163 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { FakeRouter, ValidationError } = require('..');
+const MessageStore = require('../lib/messageStore');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+const { createTempDirectory, removeDirectory } = require('./helpers/files');
+
+const buildFrame = FakeRouter.buildFrame;
+
+const ALL = { sensorIds: [], types: [] };
+
+describe('MessageStore', function() {
+    let directory;
+    let errors;
+
+    const createStore = (options = {}) => new MessageStore(Object.assign({
+        directory,
+        retentionDays: 30,
+        onError: (err) => errors.push(err)
+    }, options));
+
+    const today = () => moment.utc().format('YYYY-MM-DD');
+
+    beforeEach(function() {
+        directory = createTempDirectory('store-test-');
+        errors = [];
+    });
+
+    afterEach(function() {
+        removeDirectory(directory);
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it('appends messages to a file for the day and reads them back in order', async function() {
+        const store = createStore();
+
+        store.append({ type: 'motion', sensorId: 'a946', sequenceNumber: 1 });
+        store.append({ type: 'tempHumidity', sensorId: 'B33F', sequenceNumber: 2 });
+        store.append({ type: 'motion', sensorId: 'b33f', sequenceNumber: 3 });
+        await store.close();
+
+        assert.deepStrictEqual(fs.readdirSync(directory), [ `messages-${today()}.jsonl` ]);
+        assert.deepStrictEqual((await store.query(ALL)).map((message) => message.sequenceNumber), [ 1, 2, 3 ]);
+        assert.deepStrictEqual((await store.query({ sensorIds: [ 'b33f' ], types: [] })).map((message) => message.sequenceNumber), [ 2, 3 ]);
+        assert.deepStrictEqual((await store.query({ sensorIds: [], types: [ 'motion' ] })).map((message) => message.sequenceNumber), [ 1, 3 ]);
+        assert.deepStrictEqual((await store.query({ sensorIds: [], types: [], limit: 2 })).map((message) => message.sequenceNumber), [ 1, 2 ]);
+        assert.deepStrictEqual(await store.query({ sensorIds: [], types: [], from: Date.now() + 1000 }), []);
+    });
+
+    it('carries on with the day\'s file after a restart, skipping partly written lines', async function() {
+        const store = createStore();
+
+        await store.append({ type: 'motion', sensorId: 'a946', sequenceNumber: 1 });
+        fs.appendFileSync(path.join(directory, `messages-${today()}.jsonl`), '{"time":');
+
+        const restarted = createStore();
+
+        await restarted.append({ type: 'motion', sensorId: 'a946', sequenceNumber: 2 });
+
+        assert.deepStrictEqual(fs.readdirSync(directory), [ `messages-${today()}.jsonl` ]);
+        assert.deepStrictEqual((await restarted.query(ALL)).map((message) => message.sequenceNumber), [ 1, 2 ]);
+    });
+
+    it('deletes files older than retentionDays when a file is started', async function() {
+        const oldDay = moment.utc().subtract(7, 'days').format('YYYY-MM-DD');
+        const recentDay = moment.utc().subtract(6, 'days').format('YYYY-MM-DD');
+
+        fs.writeFileSync(path.join(directory, `messages-${oldDay}.jsonl`), '');
+        fs.writeFileSync(path.join(directory, `messages-${recentDay}.jsonl`), '');
+        fs.writeFileSync(path.join(directory, 'other.txt'), '');
+
+        await createStore({ retentionDays: 7 }).append({ type: 'motion', sensorId: 'a946', sequenceNumber: 1 });
+
+        assert.deepStrictEqual(fs.readdirSync(directory).sort(), [ `messages-${recentDay}.jsonl`, `messages-${today()}.jsonl`, 'other.txt' ]);
+    });
+
+    it('starts new files within the day to keep within maxBytes', async function() {
+        const store = createStore({ maxBytes: 800 });
+
+        for (let n = 1; n <= 12; n++) {
+            await store.append({ type: 'motion', sensorId: 'a946', sequenceNumber: n, payload: { motion: true } });
+        }
+
+        const fileNames = fs.readdirSync(directory);
+        const totalBytes = fileNames.reduce((total, fileName) => total + fs.statSync(path.join(directory, fileName)).size, 0);
+        const sequenceNumbers = (await store.query(ALL)).map((message) => message.sequenceNumber);
+
+        assert.ok(fileNames.length > 1);
+        assert.ok(! fileNames.includes(`messages-${today()}.jsonl`));
+        assert.ok(totalBytes <= 800);
+        assert.strictEqual(sequenceNumbers[sequenceNumbers.length - 1], 12);
+        assert.deepStrictEqual(sequenceNumbers, sequenceNumbers.slice().sort((a, b) => a - b));
+    });
+
+    it('aggregates temperature and humidity for each sensor for each hour', async function() {
+        const store = createStore();
+
+        store.append({ type: 'tempHumidity', sensorId: 'a946', payload: { temperature: 20, humidity: 40 } });
+        store.append({ type: 'tempHumidity', sensorId: 'A946', payload: { temperature: 23, humidity: 45 } });
+        store.append({ type: 'tempHumidity', sensorId: 'a946', payload: { temperature: 21.5 } });
+        store.append({ type: 'motion', sensorId: 'a946', payload: { motion: true } });
+        store.append({ type: 'tempHumidity', sensorId: 'b33f', payload: { temperature: 10, humidity: 50 } });
+
+        const hours = await store.aggregateHourly(ALL);
+        const hour = Math.floor(Date.now() / 3600000) * 3600000;
+
+        assert.deepStrictEqual(hours, [ {
+            sensorId: 'a946',
+            hour,
+            count: 3,
+            temperature: { min: 20, max: 23, avg: 21.5 },
+            humidity: { min: 40, max: 45, avg: 42.5 }
+        }, {
+            sensorId: 'b33f',
+            hour,
+            count: 1,
+            temperature: { min: 10, max: 10, avg: 10 },
+            humidity: { min: 50, max: 50, avg: 50 }
+        } ]);
+    });
+});
+
+describe('Storing messages in the gateway', function() {
+    let directory;
+    let gateway;
+    let router;
+
+    before(async function() {
+        directory = createTempDirectory('store-test-');
+        ({ gateway, router } = await startGateway({ store: { directory } }));
+    });
+
+    after(async function() {
+        await gateway.stop();
+        removeDirectory(directory);
+    });
+
+    it('stores the messages that are passed on, and queries them', async function() {
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 1, data: '20' }));
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 2, data: '81' }));
+
+        const message = await received;
+        const stored = await gateway.query({ sensorId: 'A946', from: new Date(Date.now() - 60000) });
+
+        assert.deepStrictEqual(stored, [ message ]);
+    });
+
+    it('rejects invalid filters with a ValidationError', async function() {
+        await assert.rejects(gateway.query({ sensorId: 'a9' }), ValidationError);
+        await assert.rejects(gateway.aggregateHourly({ limit: 0 }), ValidationError);
+    });
+
+    it('rejects with ENOSTORE if the store option was not set', async function() {
+        const { gateway: storeless } = await startGateway();
+
+        await assert.rejects(storeless.query(), { code: 'ENOSTORE' });
+        await storeless.stop();
+    });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { ModbusClient, ModbusError, CrcError, InvalidResponseError, ValidationError } = require('..');
+
+// Stands in for the gateway, answering each query with the next response.
+const createGateway = (responses) => ({
+    queries: [],
+    rs485Query(query) {
+        this.queries.push(query);
+        return Promise.resolve({ type: 'rs485Response', payload: { rs485: responses.shift() } });
+    }
+});
+
+const createClient = (responses, options = {}) => new ModbusClient(Object.assign({ gateway: createGateway(responses), sensorId: 'dfbc', unitId: 1 }, options));
+
+describe('ModbusClient', function() {
+    describe('buildFrame', function() {
+        it('appends the CRC low byte first', function() {
+            // Examples from the Modbus over serial line specification.
+            assert.strictEqual(ModbusClient.buildFrame(1, 3, '0000000a'), '01030000000ac5cd');
+            assert.strictEqual(ModbusClient.buildFrame(1, 3, '00000001'), '010300000001840a');
+        });
+    });
+
+    it('reads holding registers', async function() {
+        const client = createClient([ '0103020001798400' ], { timeoutMs: 2000, retries: 0 });
+
+        assert.deepStrictEqual(await client.readHoldingRegisters(0, 1), [ 1 ]);
+        assert.deepStrictEqual(client.gateway.queries, [ {
+            message: '010300000001840a',
+            destination: 'dfbc',
+            hexEncodePayload: false,
+            timeoutMs: 2000,
+            retries: 0
+        } ]);
+    });
+
+    it('reads several input registers', async function() {
+        const response = ModbusClient.buildFrame(1, 4, '06000a0102ffff');
+        const client = createClient([ response ]);
+
+        assert.deepStrictEqual(await client.readInputRegisters(8, 3), [ 10, 258, 65535 ]);
+        assert.strictEqual(client.gateway.queries[0].message, ModbusClient.buildFrame(1, 4, '00080003'));
+    });
+
+    it('reads coils', async function() {
+        const client = createClient([ ModbusClient.buildFrame(1, 1, '02cd01') ]);
+
+        assert.deepStrictEqual(await client.readCoils(19, 10), [ true, false, true, true, false, false, true, true, true, false ]);
+    });
+
+    it('writes registers and coils', async function() {
+        const client = createClient([
+            ModbusClient.buildFrame(1, 6, '00010003'),
+            ModbusClient.buildFrame(1, 16, '00010002'),
+            ModbusClient.buildFrame(1, 5, '00acff00')
+        ]);
+
+        assert.strictEqual(await client.writeSingleRegister(1, 3), true);
+        assert.strictEqual(await client.writeMultipleRegisters(1, [ 10, 258 ]), true);
+        assert.strictEqual(await client.writeSingleCoil(172, true), true);
+        assert.deepStrictEqual(client.gateway.queries.map((query) => query.message), [
+            ModbusClient.buildFrame(1, 6, '00010003'),
+            ModbusClient.buildFrame(1, 16, '0001000204000a0102'),
+            ModbusClient.buildFrame(1, 5, '00acff00')
+        ]);
+    });
+
+    it('rejects exception responses with a ModbusError', async function() {
+        const client = createClient([ '018302c0f1' ]);
+
+        await assert.rejects(client.readHoldingRegisters(0, 1), (err) => {
+            assert.ok(err instanceof ModbusError);
+            assert.strictEqual(err.code, 'EMODBUS');
+            assert.strictEqual(err.exceptionCode, 2);
+            assert.strictEqual(err.exceptionName, 'illegalDataAddress');
+            return true;
+        });
+    });
+
+    it('rejects responses with a bad CRC', async function() {
+        await assert.rejects(createClient([ '0103020001797400' ]).readHoldingRegisters(0, 1), CrcError);
+    });
+
+    it('rejects responses that are short, or from another unit or function', async function() {
+        await assert.rejects(createClient([ '01030200' ]).readHoldingRegisters(0, 1), InvalidResponseError);
+        await assert.rejects(createClient([ ModbusClient.buildFrame(2, 3, '020001') ]).readHoldingRegisters(0, 1), { message: 'Modbus response was from unit 2, expected 1.' });
+        await assert.rejects(createClient([ ModbusClient.buildFrame(1, 4, '020001') ]).readHoldingRegisters(0, 1), { message: 'Modbus response was for function 4, expected 3.' });
+        await assert.rejects(createClient([ ModbusClient.buildFrame(1, 3, '020001') ]).readHoldingRegisters(0, 2), InvalidResponseError);
+    });
+
+    it('rejects invalid parameters with a ValidationError', async function() {
+        const client = createClient([]);
+
+        await assert.rejects(client.readHoldingRegisters(0, 126), ValidationError);
+        await assert.rejects(client.writeSingleRegister(65536, 1), ValidationError);
+        await assert.rejects(client.writeMultipleRegisters(0, new Array(59).fill(0)), ValidationError);
+        assert.throws(() => new ModbusClient({ gateway: createGateway([]), sensorId: 'dfbc', unitId: 248 }), ValidationError);
+        assert.deepStrictEqual(client.gateway.queries, []);
+    });
+});
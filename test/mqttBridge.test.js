@@ -0,0 +1,159 @@
+const assert = require('assert');
+const net = require('net');
+const Aedes = require('aedes');
+const mqtt = require('mqtt');
+const { FakeRouter } = require('..');
+const { startGateway, nextEvent, delay } = require('./helpers/gateway');
+
+const MAC_ADDRESS = '00124b000513da40';
+
+describe('MqttBridge', function() {
+    let broker;
+    let server;
+    let client;
+    let gateway;
+    let router;
+
+    // Resolves with the JSON payload of the next message on topic.
+    const nextMessage = (topic) => new Promise((resolve) => {
+        const onMessage = (messageTopic, payload) => {
+            if (messageTopic === topic) {
+                client.removeListener('message', onMessage);
+                resolve(JSON.parse(payload.toString()));
+            }
+        };
+
+        client.on('message', onMessage);
+    });
+
+    before(async function() {
+        broker = new Aedes();
+        server = net.createServer(broker.handle);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+        client = mqtt.connect(url);
+        await nextEvent(client, 'connect');
+        await new Promise((resolve) => client.subscribe(`conectric/${MAC_ADDRESS}/#`, resolve));
+
+        const online = new Promise((resolve) => {
+            client.on('message', (topic, payload) => {
+                if (topic === `conectric/${MAC_ADDRESS}/status` && payload.toString() === 'online') {
+                    resolve();
+                }
+            });
+        });
+
+        ({ gateway, router } = await startGateway({ mqtt: { url, qos: 1 }, commandIntervalMs: 10 }));
+        await online;
+    });
+
+    after(async function() {
+        await gateway.stop();
+        await new Promise((resolve) => client.end(false, {}, resolve));
+        await new Promise((resolve) => broker.close(resolve));
+        server.close();
+    });
+
+    it('publishes decoded messages', async function() {
+        const published = nextMessage(`conectric/${MAC_ADDRESS}/a946/motion`);
+
+        router.receiveFrame(FakeRouter.buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 5, data: '81' }));
+
+        const message = await published;
+
+        assert.strictEqual(message.type, 'motion');
+        assert.strictEqual(message.sensorId, 'a946');
+        assert.strictEqual(message.sequenceNumber, 5);
+    });
+
+    it('runs commands and publishes the result', async function() {
+        const topic = `conectric/${MAC_ADDRESS}/commands/text`;
+        const result = nextMessage(`${topic}/result`);
+        const sent = nextEvent(router, 'sentMessage');
+
+        client.publish(topic, JSON.stringify({ destination: 'da40', message: 'hi', requestId: 7 }));
+
+        assert.deepStrictEqual(await result, { ok: true, requestId: 7 });
+        assert.strictEqual(await sent, '0761da40016869');
+    });
+
+    it('publishes an error for invalid parameters', async function() {
+        const topic = `conectric/${MAC_ADDRESS}/commands/ledConfig`;
+        const result = nextMessage(`${topic}/result`);
+
+        client.publish(topic, JSON.stringify({ destination: 'x' }));
+
+        const { ok, error } = await result;
+
+        assert.strictEqual(ok, false);
+        assert.strictEqual(typeof error, 'string');
+    });
+
+    it('publishes an error for unknown commands', async function() {
+        for (const command of [ 'bogus', 'constructor' ]) {
+            const topic = `conectric/${MAC_ADDRESS}/commands/${command}`;
+            const result = nextMessage(`${topic}/result`);
+
+            client.publish(topic, '{}');
+
+            assert.deepStrictEqual(await result, { ok: false, error: `Unknown command "${command}".` });
+        }
+    });
+
+    it('publishes an error for payloads that are not JSON', async function() {
+        const topic = `conectric/${MAC_ADDRESS}/commands/text`;
+        const result = nextMessage(`${topic}/result`);
+
+        client.publish(topic, 'hi');
+
+        assert.deepStrictEqual(await result, { ok: false, error: 'Command payload is not valid JSON.' });
+    });
+
+    it('drops the results of commands still queued when the gateway stops', async function() {
+        const url = `mqtt://127.0.0.1:${server.address().port}`;
+        const macAddress = '00124b0005aabbcc';
+        const topic = `conectric/${macAddress}/commands/text`;
+        const unhandled = [];
+        const reported = [];
+        const onUnhandledRejection = (reason) => unhandled.push(reason);
+
+        await new Promise((resolve) => client.subscribe(`conectric/${macAddress}/status`, resolve));
+
+        const online = new Promise((resolve) => {
+            client.on('message', (messageTopic) => {
+                if (messageTopic === `conectric/${macAddress}/status`) {
+                    resolve();
+                }
+            });
+        });
+
+        const { gateway: stopping, router: stoppingRouter } = await startGateway({ mqtt: { url }, commandIntervalMs: 1000 }, new FakeRouter({ macAddress }));
+        const listeners = stopping.listenerCount('message');
+
+        process.on('unhandledRejection', onUnhandledRejection);
+        stopping.on('error', (err) => reported.push(err));
+
+        try {
+            await online;
+
+            const sent = nextEvent(stoppingRouter, 'sentMessage');
+
+            client.publish(topic, JSON.stringify({ destination: 'da40', message: 'one' }));
+            client.publish(topic, JSON.stringify({ destination: 'da40', message: 'two' }));
+            await sent;
+            await delay(50);
+
+            await stopping.stop();
+            await delay(50);
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandledRejection);
+        }
+
+        assert.deepStrictEqual(unhandled, []);
+        assert.deepStrictEqual(reported, []);
+        assert.strictEqual(stoppingRouter.sentMessages.length, 1);
+        assert.strictEqual(stopping.listenerCount('message'), listeners - 1);
+    });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { Gateway, FakeRouter, NotConnectedError, ValidationError } = require('..');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+
+describe('Outbound command queue', function() {
+    it('holds messages until the gateway is ready, then writes them in order', async function() {
+        const router = new FakeRouter();
+        const gateway = new Gateway();
+
+        gateway.runGateway({ port: router, commandIntervalMs: 10 });
+
+        const sent = Promise.all([
+            gateway.sendTextMessage({ message: 'one', destination: 'da40' }),
+            gateway.sendTextMessage({ message: 'two', destination: 'da40' })
+        ]);
+
+        assert.strictEqual(gateway.getState(), gateway.GATEWAY_STATE_CONNECTING);
+        await sent;
+
+        assert.deepStrictEqual(router.sentMessages, [ '0861da40016f6e65', '0861da400174776f' ]);
+        assert.deepStrictEqual(router.commands, [ 'DP', 'VER', 'MR', 'SS' ]);
+
+        await gateway.stop();
+    });
+
+    it('writes at most one message every commandIntervalMs', async function() {
+        const { gateway, router } = await startGateway({ commandIntervalMs: 100 });
+        const writtenAt = [];
+
+        router.on('sentMessage', () => writtenAt.push(Date.now()));
+
+        await Promise.all([ 1, 2, 3 ].map((n) => gateway.sendTextMessage({ message: `${n}`, destination: 'da40' })));
+
+        assert.strictEqual(writtenAt.length, 3);
+        assert.ok(writtenAt[1] - writtenAt[0] >= 90);
+        assert.ok(writtenAt[2] - writtenAt[1] >= 90);
+
+        await gateway.stop();
+    });
+
+    it('rejects with EQUEUEFULL once maxQueuedCommands are waiting', async function() {
+        const { gateway } = await startGateway({ commandIntervalMs: 50, maxQueuedCommands: 1 });
+
+        // The first is written straight away, the second waits.
+        const first = gateway.sendTextMessage({ message: 'one', destination: 'da40' });
+        const second = gateway.sendTextMessage({ message: 'two', destination: 'da40' });
+
+        await assert.rejects(gateway.sendTextMessage({ message: 'three', destination: 'da40' }), { code: 'EQUEUEFULL' });
+        await Promise.all([ first, second ]);
+
+        await gateway.stop();
+    });
+
+    it('rejects queued messages with a NotConnectedError when the router goes away', async function() {
+        const { gateway, router } = await startGateway({ commandIntervalMs: 1000 });
+
+        gateway.sendTextMessage({ message: 'one', destination: 'da40' });
+
+        const queued = gateway.sendTextMessage({ message: 'two', destination: 'da40' });
+        const detached = nextEvent(gateway, 'detached');
+
+        router.close();
+        await detached;
+
+        await assert.rejects(queued, NotConnectedError);
+        await assert.rejects(gateway.sendTextMessage({ message: 'three', destination: 'da40' }), { code: 'ENOTCONNECTED' });
+        assert.strictEqual(router.sentMessages.length, 1);
+
+        await gateway.stop();
+    });
+
+    it('rejects invalid parameters with a ValidationError', async function() {
+        const gateway = new Gateway();
+        const leds = { tx: true, rx: true, activity: true };
+
+        await assert.rejects(gateway.sendTextMessage({ message: 'hi' }), ValidationError);
+        await assert.rejects(gateway.sendRS485Request({ message: 'hi', destination: 'dfbcd' }), ValidationError);
+        await assert.rejects(gateway.sendRS485ChunkRequest({ chunkNumber: 0, destination: 'dfbc' }), ValidationError);
+        await assert.rejects(gateway.sendRS485ConfigMessage({ baudRate: 1, parity: 'none', stopBits: 1, bitMask: 8, destination: 'dfbc' }), ValidationError);
+        await assert.rejects(gateway.sendEventConfigMessage({ sensorType: 'motion', broadcast: true }), ValidationError);
+        await assert.rejects(gateway.sendLEDConfigMessage({ destination: '3b8e', sensorType: 'fridge', leds, deploymentLifetime: 30 }), { code: 'EVALIDATION' });
+    });
+});
@@ -0,0 +1,134 @@
+const assert = require('assert');
+const { Gateway, FakeRouter } = require('..');
+const { startGateway, nextEvent, delay } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+describe('parseMessage', function() {
+    let gateway;
+    let router;
+    const messages = [];
+    const frameErrors = [];
+
+    before(async function() {
+        ({ gateway, router } = await startGateway({
+            onSensorMessage: (message) => messages.push(message),
+            onFrameError: (frameError) => frameErrors.push(frameError.reason)
+        }));
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    beforeEach(function() {
+        messages.length = 0;
+        frameErrors.length = 0;
+    });
+
+    it('decodes simple payloads with a standard header', async function() {
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(buildFrame({ messageType: '30', sensorId: 'a946', sequenceNumber: 1, battery: 2.9, data: '6a1c6b6c' }));
+
+        const { type, sensorId, sequenceNumber, payload, extendedHeader } = await received;
+
+        assert.strictEqual(type, 'tempHumidity');
+        assert.strictEqual(sensorId, 'a946');
+        assert.strictEqual(sequenceNumber, 1);
+        assert.strictEqual(payload.battery, 2.9);
+        assert.strictEqual(extendedHeader, undefined);
+    });
+
+    it('decodes simple payloads with an extended header', async function() {
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 2, extendedHeader: '0102', data: '81' }));
+
+        const { type, sensorId, payload, extendedHeader } = await received;
+
+        assert.strictEqual(type, 'motion');
+        assert.strictEqual(sensorId, 'a946');
+        assert.strictEqual(payload.battery, 3);
+        assert.strictEqual(extendedHeader, '0102');
+    });
+
+    it('drops messages with other payload types', async function() {
+        [ 0, 64, 96 ].forEach((payloadType, n) => {
+            router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 10 + n, payloadType, data: '81' }));
+        });
+
+        await delay(50);
+
+        assert.deepStrictEqual(messages, []);
+    });
+
+    describe('registered message types', function() {
+        it('decodes messages of a registered type', async function() {
+            assert.strictEqual(Gateway.registerMessageType('4d', {
+                name: 'co2',
+                decode: (message, messageData, { battery }) => {
+                    message.payload.battery = battery;
+                    message.payload.co2 = parseInt(messageData.substring(0, 4), 16);
+                }
+            }), true);
+
+            const received = nextEvent(gateway, 'message');
+
+            router.receiveFrame(buildFrame({ messageType: '4d', sensorId: 'a946', sequenceNumber: 20, data: '01f4' }));
+
+            const { type, payload } = await received;
+
+            assert.strictEqual(type, 'co2');
+            assert.deepStrictEqual(payload, { battery: 3, co2: 500 });
+        });
+
+        it('drops messages that the decoder returns false for', async function() {
+            Gateway.registerMessageType('4e', {
+                name: 'filtered',
+                decode: () => false
+            });
+
+            router.receiveFrame(buildFrame({ messageType: '4e', sensorId: 'a946', sequenceNumber: 21, data: '00' }));
+            await delay(50);
+
+            assert.deepStrictEqual(messages, []);
+            assert.deepStrictEqual(frameErrors, []);
+        });
+
+        it('drops messages whose decoder throws and reports decodeFailed', async function() {
+            Gateway.registerMessageType('4f', {
+                name: 'broken',
+                decode: () => {
+                    throw new Error('bad');
+                }
+            });
+
+            const error = nextEvent(gateway, 'error');
+
+            router.receiveFrame(buildFrame({ messageType: '4f', sensorId: 'a946', sequenceNumber: 22, data: '00' }));
+
+            const err = await error;
+
+            assert.strictEqual(err.code, 'EDECODE');
+            assert.strictEqual(err.message, 'Decoder for message type "broken" failed: bad');
+            assert.deepStrictEqual(frameErrors, [ gateway.FRAME_ERROR_DECODE_FAILED ]);
+            assert.deepStrictEqual(messages, []);
+        });
+
+        it('returns false for invalid registrations', function() {
+            const consoleError = console.error;
+
+            console.error = () => {};
+
+            try {
+                assert.strictEqual(Gateway.registerMessageType('4', { name: 'short' }), false);
+                assert.strictEqual(Gateway.registerMessageType('4c', { decode: () => {} }), false);
+            } finally {
+                console.error = consoleError;
+            }
+
+            assert.strictEqual(Gateway.MESSAGE_TYPES['4c'], undefined);
+        });
+    });
+});
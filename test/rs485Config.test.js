@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { FakeRouter, ValidationError, TimeoutError, InvalidResponseError, ConfigMismatchError } = require('..');
+const { startGateway, delay } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+const CONFIG_9600_8N1 = { baudRate: 9600, parity: 'none', stopBits: 1, bitMask: 8 };
+
+describe('RS-485 configuration', function() {
+    let gateway;
+    let router;
+    let sequenceNumber = 0;
+
+    const reportConfig = (sensorId, data) => router.receiveFrame(buildFrame({ messageType: '70', sensorId, sequenceNumber: ++sequenceNumber, data }));
+
+    before(async function() {
+        ({ gateway, router } = await startGateway({ commandIntervalMs: 10 }));
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    describe('getRS485Config', function() {
+        it('waits for the sensor to report its settings, without sending anything', async function() {
+            const sentCount = router.sentMessages.length;
+            const config = gateway.getRS485Config('DFBC');
+
+            reportConfig('dfbc', '02000000');
+
+            assert.deepStrictEqual(await config, CONFIG_9600_8N1);
+            assert.strictEqual(router.sentMessages.length, sentCount);
+        });
+
+        it('resolves with the settings last reported straight away', async function() {
+            reportConfig('dfbc', '03020101');
+            await delay(50);
+
+            assert.deepStrictEqual(await gateway.getRS485Config('dfbc', { timeoutMs: 1 }), { baudRate: 19200, parity: 'even', stopBits: 2, bitMask: 7 });
+        });
+
+        it('waits for the next report with waitForReport', async function() {
+            const config = gateway.getRS485Config('dfbc', { waitForReport: true, timeoutMs: 1000 });
+
+            reportConfig('dfbc', '02000000');
+
+            assert.deepStrictEqual(await config, CONFIG_9600_8N1);
+        });
+
+        it('rejects with a TimeoutError if the sensor does not report in time', async function() {
+            await assert.rejects(gateway.getRS485Config('c0de', { timeoutMs: 50 }), (err) => {
+                return (err instanceof TimeoutError && err.code === 'ETIMEDOUT' && err.destination === 'c0de');
+            });
+        });
+
+        it('rejects with an InvalidResponseError for settings that can\'t be decoded', async function() {
+            const config = gateway.getRS485Config('c0de', { timeoutMs: 1000 });
+
+            reportConfig('c0de', '09000000');
+
+            await assert.rejects(config, InvalidResponseError);
+        });
+
+        it('rejects with a ValidationError for invalid parameters', async function() {
+            await assert.rejects(gateway.getRS485Config('c0d'), ValidationError);
+            await assert.rejects(gateway.getRS485Config('c0de', { timeoutMs: 0 }), ValidationError);
+        });
+    });
+
+    describe('sendRS485ConfigMessage with verify', function() {
+        // Reports data as the sensor's settings a little after they have
+        // been sent, as they would arrive through the mesh.
+        const reportOnceSent = (sensorId, data) => router.once('sentMessage', () => setTimeout(() => reportConfig(sensorId, data), 50));
+
+        it('resolves with the settings that the sensor reports', async function() {
+            reportOnceSent('dfbc', '02000000');
+
+            const config = await gateway.sendRS485ConfigMessage(Object.assign({ destination: 'dfbc', verify: true }, CONFIG_9600_8N1));
+
+            assert.deepStrictEqual(config, CONFIG_9600_8N1);
+            assert.strictEqual(router.sentMessages[router.sentMessages.length - 1], '0970dfbc0102000000');
+        });
+
+        it('rejects with a ConfigMismatchError if the sensor reports other settings', async function() {
+            reportOnceSent('dfbc', '01000000');
+
+            await assert.rejects(gateway.sendRS485ConfigMessage(Object.assign({ destination: 'dfbc', verify: true }, CONFIG_9600_8N1)), (err) => {
+                assert.ok(err instanceof ConfigMismatchError);
+                assert.strictEqual(err.code, 'EMISMATCH');
+                assert.deepStrictEqual(err.expected, CONFIG_9600_8N1);
+                assert.deepStrictEqual(err.actual, Object.assign({}, CONFIG_9600_8N1, { baudRate: 4800 }));
+
+                return true;
+            });
+        });
+    });
+});
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const { FakeRouter, TimeoutError } = require('..');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+// Answers RS485 requests to destination the way that the sensor there
+// would, with response as the data.  If chunkSize is given, responds with
+// a chunk envelope and then answers chunk requests.  The final chunk ends
+// with a byte that is not part of the response.  Chunks listed in drop
+// are not answered the first time they are requested.
+const answerRS485Requests = (router, destination, response, chunkSize, drop = []) => {
+    const numChunks = (chunkSize ? Math.ceil(response.length / (chunkSize * 2)) : 0);
+
+    router.on('sentMessage', (message) => {
+        const messageType = message.substring(2, 4);
+        const trackingId = message.substring(message.length - 4);
+
+        if (message.substring(4, 8) !== destination) {
+            return;
+        }
+
+        const reply = (replyType, data) => router.receiveFrame(buildFrame({
+            messageType: replyType,
+            sensorId: destination,
+            sequenceNumber: router.sentMessages.length,
+            data,
+            trackingId
+        }));
+
+        if (messageType === '36' && ! chunkSize) {
+            reply('37', response);
+        } else if (messageType === '36') {
+            reply('42', `0${numChunks}0${chunkSize}`);
+        } else if (messageType === '38') {
+            const chunk = parseInt(message.substring(10, 12), 16);
+            const trailer = (chunk === numChunks - 1 ? 'ff' : '');
+
+            if (drop.includes(chunk)) {
+                drop.splice(drop.indexOf(chunk), 1);
+                return;
+            }
+
+            reply('39', `${response.substring(chunk * chunkSize * 2, (chunk + 1) * chunkSize * 2)}${trailer}`);
+        }
+    });
+};
+
+describe('rs485Query', function() {
+    let gateway;
+    let router;
+
+    before(async function() {
+        ({ gateway, router } = await startGateway({ commandIntervalMs: 10 }));
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    it('resolves with the response that carries its tracking ID', async function() {
+        answerRS485Requests(router, 'dfbc', '414243');
+
+        const response = await gateway.rs485Query({ destination: 'dfbc', message: 'hi', timeoutMs: 500 });
+        const request = router.sentMessages[router.sentMessages.length - 1];
+
+        assert.strictEqual(request.substring(0, 14), '0936dfbc016869');
+        assert.strictEqual(response.type, 'rs485Response');
+        assert.strictEqual(response.sensorId, 'dfbc');
+        assert.strictEqual(response.payload.rs485, '414243');
+    });
+
+    it('matches concurrent queries to their own responses', async function() {
+        answerRS485Requests(router, 'c001', '01');
+        answerRS485Requests(router, 'c002', '02');
+
+        const responses = await Promise.all([
+            gateway.rs485Query({ destination: 'c001', message: 'a', timeoutMs: 500 }),
+            gateway.rs485Query({ destination: 'c002', message: 'b', timeoutMs: 500 })
+        ]);
+
+        assert.deepStrictEqual(responses.map((response) => response.payload.rs485), [ '01', '02' ]);
+    });
+
+    it('reassembles chunked responses', async function() {
+        answerRS485Requests(router, 'aaaa', 'a1a2a3a4a5a6a7a8a9aa', 4);
+
+        const response = await gateway.rs485Query({ destination: 'aaaa', message: 'hi', timeoutMs: 500 });
+        const chunkRequests = router.sentMessages.filter((message) => message.substring(2, 8) === '38aaaa');
+
+        assert.strictEqual(response.type, 'rs485ChunkedResponse');
+        assert.strictEqual(response.sensorId, 'aaaa');
+        assert.strictEqual(response.payload.rs485, 'a1a2a3a4a5a6a7a8a9aa');
+        assert.strictEqual(response.payload.numChunks, 3);
+        assert.strictEqual(response.payload.chunkSize, 4);
+        assert.deepStrictEqual(chunkRequests.map((message) => message.substring(10, 14)), [ '0004', '0104', '0204' ]);
+    });
+
+    it('requests missing chunks again', async function() {
+        answerRS485Requests(router, 'abab', '0102030405060708', 4, [ 1 ]);
+
+        const response = await gateway.rs485Query({ destination: 'abab', message: 'hi', timeoutMs: 50 });
+        const chunkRequests = router.sentMessages.filter((message) => message.substring(2, 8) === '38abab');
+
+        assert.strictEqual(response.payload.rs485, '0102030405060708');
+        assert.deepStrictEqual(chunkRequests.map((message) => message.substring(10, 12)), [ '00', '01', '01' ]);
+    });
+
+    it('runs chunked transfers from different sensors at the same time', async function() {
+        answerRS485Requests(router, 'ac01', '1111111122222222', 4);
+        answerRS485Requests(router, 'ac02', '333333334444444455', 4);
+
+        const responses = await Promise.all([
+            gateway.rs485Query({ destination: 'ac01', message: 'a', timeoutMs: 500 }),
+            gateway.rs485Query({ destination: 'ac02', message: 'b', timeoutMs: 500 })
+        ]);
+
+        assert.deepStrictEqual(responses.map((response) => response.payload.rs485), [ '1111111122222222', '333333334444444455' ]);
+        assert.strictEqual(gateway.chunkTransfers.size, 0);
+    });
+
+    it('rejects if a chunk never arrives', async function() {
+        answerRS485Requests(router, 'adad', '0102030405060708', 4, [ 1, 1, 1 ]);
+
+        await assert.rejects(gateway.rs485Query({ destination: 'adad', message: 'hi', timeoutMs: 50, retries: 2 }), (err) => {
+            assert.ok(err instanceof TimeoutError);
+            assert.strictEqual(err.chunkNumber, 1);
+            assert.strictEqual(err.attempts, 3);
+            return true;
+        });
+    });
+
+    it('ignores responses from other sensors with the same tracking ID', async function() {
+        router.once('sentMessage', (message) => {
+            router.receiveFrame(buildFrame({ messageType: '37', sensorId: 'eeee', data: 'ff', trackingId: message.substring(message.length - 4) }));
+        });
+
+        await assert.rejects(gateway.rs485Query({ destination: 'dddd', message: 'hi', timeoutMs: 50, retries: 0 }), TimeoutError);
+    });
+
+    it('retries, then rejects with a TimeoutError', async function() {
+        const sent = router.sentMessages.length;
+
+        await assert.rejects(gateway.rs485Query({ destination: 'bbbb', message: 'hi', timeoutMs: 50, retries: 2 }), (err) => {
+            assert.ok(err instanceof TimeoutError);
+            assert.strictEqual(err.code, 'ETIMEDOUT');
+            assert.strictEqual(err.destination, 'bbbb');
+            assert.strictEqual(err.attempts, 3);
+            return true;
+        });
+
+        assert.strictEqual(router.sentMessages.length - sent, 3);
+        assert.strictEqual(gateway.pendingRequests.size, 0);
+    });
+
+    it('reassembles chunked responses to sendRS485Request if assembleChunkedResponses is set', async function() {
+        const { gateway: assemblingGateway, router: assemblingRouter } = await startGateway({ commandIntervalMs: 10, assembleChunkedResponses: true });
+        const types = [];
+
+        assemblingGateway.on('message', (message) => types.push(message.type));
+        answerRS485Requests(assemblingRouter, 'aeae', '0102030405060708', 4);
+
+        const response = nextEvent(assemblingGateway, 'rs485ChunkedResponse');
+
+        await assemblingGateway.sendRS485Request({ destination: 'aeae', message: 'hi', trackingId: 'beef' });
+
+        const { payload, trackingId } = await response;
+
+        assert.strictEqual(payload.rs485, '0102030405060708');
+        assert.strictEqual(trackingId, undefined);
+        assert.deepStrictEqual(types, [ 'rs485ChunkedResponse' ]);
+
+        await assemblingGateway.stop();
+    });
+
+    it('rejects invalid parameters with a ValidationError', async function() {
+        await assert.rejects(gateway.rs485Query({ destination: 'bbbbb', message: 'hi' }), { code: 'EVALIDATION' });
+    });
+});
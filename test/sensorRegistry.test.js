@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { FakeRouter } = require('..');
+const { startGateway, nextEvent, delay } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+describe('Sensor registry', function() {
+    let gateway;
+    let router;
+
+    before(async function() {
+        ({ gateway, router } = await startGateway({ sendHopData: true }));
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    it('has no entry for sensors that have not been heard from', function() {
+        assert.deepStrictEqual(gateway.getSensors(), []);
+        assert.strictEqual(gateway.getSensor('a946'), undefined);
+    });
+
+    it('records the last message from each sensor', async function() {
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'A946', sequenceNumber: 5, numHops: 1, maxHops: 4, battery: 2.8, data: '81' }));
+
+        const message = await received;
+        const sensor = gateway.getSensor('a946');
+
+        assert.strictEqual(sensor.sensorId, 'a946');
+        assert.strictEqual(sensor.sensorType, 'motion');
+        assert.strictEqual(sensor.firstSeen, message.timestamp);
+        assert.strictEqual(sensor.lastSeen, message.timestamp);
+        assert.strictEqual(sensor.lastMessageType, 'motion');
+        assert.deepStrictEqual(sensor.lastPayload, message.payload);
+        assert.strictEqual(sensor.sequenceNumber, 5);
+        assert.strictEqual(sensor.battery, 2.8);
+        assert.strictEqual(sensor.numHops, 1);
+        assert.strictEqual(sensor.maxHops, 4);
+        assert.strictEqual(sensor.messageCount, 1);
+        assert.strictEqual(sensor.messagesPerHour, 1);
+        assert.strictEqual(sensor.recentMessageTimes, undefined);
+        assert.deepStrictEqual(gateway.getSensors(), [ sensor ]);
+    });
+
+    it('records status messages that are not passed on', async function() {
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 6, battery: 2.7, data: '20' }));
+        await delay(50);
+
+        const sensor = gateway.getSensor('a946');
+
+        assert.strictEqual(sensor.sequenceNumber, 6);
+        assert.strictEqual(sensor.battery, 2.7);
+        assert.strictEqual(sensor.messageCount, 2);
+
+        // Still the last message that was passed on.
+        assert.strictEqual(sensor.lastMessageType, 'motion');
+    });
+
+    it('works out the sensor type from typed messages only', async function() {
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(buildFrame({ messageType: '60', sensorId: 'a946', sequenceNumber: 0, data: '00' }));
+        await received;
+
+        const sensor = gateway.getSensor('A946');
+
+        assert.strictEqual(sensor.sensorType, 'motion');
+        assert.strictEqual(sensor.lastMessageType, 'boot');
+        assert.strictEqual(sensor.resetCause, 'powerOn');
+    });
+});
@@ -0,0 +1,121 @@
+const assert = require('assert');
+const { FakeRouter } = require('..');
+const SensorWatchdog = require('../lib/sensorWatchdog');
+const { startGateway, nextEvent, delay } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+describe('SensorWatchdog', function() {
+    let events;
+    let watchdog;
+
+    const observe = (type, sensorId, sequenceNumber) => watchdog.observe({ type, sensorId, sequenceNumber, timestamp: sequenceNumber });
+
+    beforeEach(function() {
+        events = [];
+        watchdog = new SensorWatchdog((eventName, details) => events.push([ eventName, details ]));
+        watchdog.missedReports = 2;
+    });
+
+    it('reports gaps in sequence numbers, including across wrap around', function() {
+        observe('motion', 'a946', 10);
+        observe('motion', 'a946', 11);
+        observe('motion', 'a946', 14);
+        observe('motion', 'a946', 254);
+        observe('motion', 'a946', 1);
+
+        assert.deepStrictEqual(events, [
+            [ 'packetLoss', { sensorId: 'a946', sensorType: 'motion', lastSequenceNumber: 11, sequenceNumber: 14, lostMessages: 2 } ],
+            [ 'packetLoss', { sensorId: 'a946', sensorType: 'motion', lastSequenceNumber: 14, sequenceNumber: 254, lostMessages: 239 } ],
+            [ 'packetLoss', { sensorId: 'a946', sensorType: 'motion', lastSequenceNumber: 254, sequenceNumber: 1, lostMessages: 2 } ]
+        ]);
+        assert.strictEqual(watchdog.getStatus('A946').lostMessages, 243);
+    });
+
+    it('does not treat repeats or boot messages as gaps', function() {
+        observe('motion', 'a946', 10);
+        observe('motion', 'a946', 10);
+        observe('boot', 'a946', 0);
+        observe('motion', 'a946', 1);
+
+        assert.deepStrictEqual(events, []);
+    });
+
+    it('only watches sensors whose report interval is known', function() {
+        observe('tempHumidity', 'a946', 1);
+
+        assert.deepStrictEqual(watchdog.getStatus('a946'), { online: undefined, lostMessages: 0 });
+        assert.strictEqual(watchdog.getStatus('b33f'), undefined);
+
+        watchdog.setReportInterval('tempHumidity', 60);
+        assert.strictEqual(watchdog.getStatus('a946').online, true);
+    });
+
+    it('marks sensors offline after missing reports, and online when heard from again', async function() {
+        watchdog.setReportInterval('tempHumidity', 60);
+        watchdog.setReportInterval('a946', 0.01);
+        observe('tempHumidity', 'a946', 1);
+        observe('tempHumidity', 'b33f', 1);
+
+        await delay(50);
+        watchdog.check();
+        watchdog.check();
+
+        assert.deepStrictEqual(events, [
+            [ 'sensorOffline', { sensorId: 'a946', sensorType: 'tempHumidity', lastSeen: 1, reportInterval: 0.01 } ]
+        ]);
+        assert.strictEqual(watchdog.getStatus('a946').online, false);
+        assert.strictEqual(watchdog.getStatus('b33f').online, true);
+
+        observe('tempHumidityStatus', 'a946', 2);
+
+        assert.deepStrictEqual(events[1], [ 'sensorOnline', { sensorId: 'a946', sensorType: 'tempHumidity', lastSeen: 2 } ]);
+        assert.strictEqual(watchdog.getStatus('a946').online, true);
+    });
+});
+
+describe('Sensor watchdog in the gateway', function() {
+    let gateway;
+    let router;
+
+    before(async function() {
+        ({ gateway, router } = await startGateway());
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    it('emits packetLoss, counting status messages that are not passed on', async function() {
+        const packetLoss = nextEvent(gateway, 'packetLoss');
+
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'c0de', sequenceNumber: 1, data: '20' }));
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'c0de', sequenceNumber: 2, data: '20' }));
+        router.receiveFrame(buildFrame({ messageType: '32', sensorId: 'c0de', sequenceNumber: 5, data: '81' }));
+
+        assert.deepStrictEqual(await packetLoss, { sensorId: 'c0de', sensorType: 'motion', lastSequenceNumber: 2, sequenceNumber: 5, lostMessages: 2 });
+        assert.strictEqual(gateway.getSensor('c0de').lostMessages, 2);
+    });
+
+    it('setReportInterval watches sensors of a type or a single sensor', function() {
+        assert.strictEqual(gateway.getSensor('c0de').online, undefined);
+        assert.strictEqual(gateway.setReportInterval({ sensorType: 'motion', sleepTime: 60, reportEvery: 10 }), true);
+        assert.strictEqual(gateway.getSensor('c0de').online, true);
+        assert.strictEqual(gateway.watchdog.getReportInterval({ sensorId: 'c0de', sensorType: 'motion' }), 600);
+
+        assert.strictEqual(gateway.setReportInterval({ sensorId: 'C0DE', sleepTime: 30, reportEvery: 2 }), true);
+        assert.strictEqual(gateway.watchdog.getReportInterval({ sensorId: 'c0de', sensorType: 'motion' }), 60);
+    });
+
+    it('setReportInterval returns false for invalid parameters', function() {
+        const consoleError = console.error;
+
+        console.error = () => {};
+
+        try {
+            assert.strictEqual(gateway.setReportInterval({ sleepTime: 60, reportEvery: 10 }), false);
+        } finally {
+            console.error = consoleError;
+        }
+    });
+});
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const { Gateway, FakeRouter, streamTransport } = require('..');
+const { startGateway, nextEvent } = require('./helpers/gateway');
+
+describe('Transports', function() {
+    describe('port option', function() {
+        let gateway;
+        let router;
+        const sensorMessages = [];
+
+        before(async function() {
+            router = new FakeRouter({ macAddress: '00124b0005aabbcc', conectricVersion: '1.2.0' });
+            ({ gateway } = await startGateway({ onSensorMessage: (message) => sensorMessages.push(message) }, router));
+        });
+
+        after(function() {
+            return gateway.stop();
+        });
+
+        it('runs the startup commands against the stream', function() {
+            assert.deepStrictEqual(router.commands, [ 'DP', 'VER', 'MR', 'SS' ]);
+            assert.strictEqual(gateway.macAddress, '00124b0005aabbcc');
+            assert.strictEqual(gateway.contikiVersion, '3.x');
+            assert.strictEqual(gateway.conectricVersion, '1.2.0');
+        });
+
+        it('decodes frames that the router receives', async function() {
+            const received = nextEvent(gateway, 'message');
+
+            router.receiveFrame(FakeRouter.buildFrame({ messageType: '32', sensorId: 'a946', sequenceNumber: 3, data: '81' }));
+            await received;
+
+            assert.strictEqual(sensorMessages.length, 1);
+            assert.strictEqual(sensorMessages[0].type, 'motion');
+            assert.strictEqual(sensorMessages[0].sensorId, 'a946');
+            assert.strictEqual(sensorMessages[0].sequenceNumber, 3);
+        });
+
+        it('writes outbound messages to the stream', async function() {
+            await gateway.sendTextMessage({ destination: 'a946', message: 'hi' });
+
+            assert.deepStrictEqual(router.sentMessages, [ '0761a946016869' ]);
+        });
+
+        it('emits detached when the stream closes', async function() {
+            const detached = nextEvent(gateway, 'detached');
+
+            router.close();
+
+            assert.strictEqual(await detached, 'fake-router');
+            assert.strictEqual(gateway.getState(), 'disconnected');
+        });
+    });
+
+    describe('transport option', function() {
+        it('opens the device that the transport finds', async function() {
+            const router = new FakeRouter();
+            const opened = [];
+            const gateway = new Gateway();
+
+            gateway.runGateway({
+                transport: {
+                    findDevice: () => Promise.resolve('/dev/router0'),
+                    open: (comName) => {
+                        opened.push(comName);
+                        return router;
+                    }
+                }
+            });
+
+            await nextEvent(gateway, 'ready');
+
+            assert.deepStrictEqual(opened, [ '/dev/router0' ]);
+            assert.strictEqual(gateway.comName, '/dev/router0');
+            assert.deepStrictEqual(router.commands, [ 'DP', 'VER', 'MR', 'SS' ]);
+
+            await gateway.stop();
+        });
+
+        it('waits for a device if the transport finds none', async function() {
+            const gateway = new Gateway();
+            const states = [];
+            const disconnected = new Promise((resolve) => {
+                gateway.on('stateChange', (state) => {
+                    states.push(state);
+
+                    if (state === 'disconnected') {
+                        resolve();
+                    }
+                });
+            });
+
+            gateway.runGateway({
+                transport: {
+                    findDevice: () => Promise.reject(new Error('No device.')),
+                    open: () => assert.fail('Nothing to open.')
+                }
+            });
+
+            await disconnected;
+
+            assert.deepStrictEqual(states, [ 'connecting', 'disconnected' ]);
+            assert.strictEqual(gateway.serialPort, undefined);
+
+            await gateway.stop();
+        });
+    });
+
+    describe('streamTransport', function() {
+        it('wraps an open stream', async function() {
+            const router = new FakeRouter({ path: 'remote-router' });
+            const transport = streamTransport(router);
+
+            assert.strictEqual(await transport.findDevice(), 'remote-router');
+            assert.strictEqual(transport.open(), router);
+            assert.strictEqual(await streamTransport(router, 'named').findDevice(), 'named');
+        });
+    });
+});
@@ -0,0 +1,208 @@
+const assert = require('assert');
+const http = require('http');
+const Uplink = require('../lib/uplink');
+const { delay } = require('./helpers/gateway');
+const { createTempDirectory, removeDirectory } = require('./helpers/files');
+
+// Local stand in for the endpoint.  respond is called with each batch of
+// messages, and returns the status code to answer with.
+const startEndpoint = (respond) => new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+        let body = '';
+
+        req.on('data', (chunk) => {
+            body = `${body}${chunk}`;
+        });
+
+        req.on('end', () => {
+            res.statusCode = respond(JSON.parse(body));
+            res.end();
+        });
+    });
+
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Gives up after a while, so that a failing test doesn't keep polling.
+const waitUntil = async (condition) => {
+    const giveUpAt = Date.now() + 5000;
+
+    while (! condition()) {
+        if (Date.now() > giveUpAt) {
+            throw new Error('Timed out waiting.');
+        }
+
+        await delay(10);
+    }
+};
+
+describe('Uplink', function() {
+    let directory;
+    let server;
+    let uplink;
+    let errors;
+
+    const createUplink = (options = {}) => new Uplink(Object.assign({
+        url: `http://127.0.0.1:${server.address().port}/ingest`,
+        directory,
+        batchSize: 3,
+        retryMs: 20,
+        maxRetryMs: 100,
+        timeoutMs: 1000,
+        maxQueued: 100,
+        getMacAddress: () => '00124b000513da40',
+        onError: (err) => errors.push(err)
+    }, options));
+
+    beforeEach(function() {
+        directory = createTempDirectory('uplink-test-');
+        errors = [];
+    });
+
+    afterEach(async function() {
+        await uplink.stop();
+        server.close();
+        removeDirectory(directory);
+    });
+
+    it('retries a failed batch before sending anything newer', async function() {
+        const received = [];
+        let requests = 0;
+
+        server = await startEndpoint((body) => {
+            requests++;
+
+            if (requests <= 2) {
+                return 503;
+            }
+
+            assert.strictEqual(body.macAddress, '00124b000513da40');
+            received.push(...body.messages.map((message) => message.sequenceNumber));
+            return 200;
+        });
+
+        uplink = createUplink();
+        uplink.start();
+
+        for (let n = 1; n <= 7; n++) {
+            uplink.enqueue({ sensorId: 'a946', sequenceNumber: n });
+        }
+
+        await waitUntil(() => received.length === 7);
+
+        assert.deepStrictEqual(received, [ 1, 2, 3, 4, 5, 6, 7 ]);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].code, 'EUPLINK');
+        assert.strictEqual(uplink.getStatus().queued, 0);
+        assert.strictEqual(uplink.getStatus().failures, 0);
+    });
+
+    it('drops batches that the endpoint will never accept', async function() {
+        const received = [];
+
+        server = await startEndpoint((body) => {
+            const sequenceNumbers = body.messages.map((message) => message.sequenceNumber);
+
+            if (sequenceNumbers.includes(1)) {
+                return 400;
+            }
+
+            received.push(...sequenceNumbers);
+            return 200;
+        });
+
+        uplink = createUplink({ batchSize: 2 });
+        uplink.start();
+
+        for (let n = 1; n <= 4; n++) {
+            uplink.enqueue({ sensorId: 'a946', sequenceNumber: n });
+        }
+
+        await waitUntil(() => received.includes(4));
+
+        assert.ok(! received.includes(1));
+        assert.strictEqual(received[received.length - 1], 4);
+        assert.strictEqual(errors[0].statusCode, 400);
+        assert.strictEqual(uplink.getStatus().queued, 0);
+    });
+
+    it('retries batches that the endpoint refuses for other client errors', async function() {
+        const received = [];
+        let requests = 0;
+
+        server = await startEndpoint((body) => {
+            requests++;
+
+            if (requests === 1) {
+                return 401;
+            }
+
+            if (requests === 2) {
+                return 404;
+            }
+
+            received.push(...body.messages.map((message) => message.sequenceNumber));
+            return 200;
+        });
+
+        uplink = createUplink();
+        uplink.start();
+        uplink.enqueue({ sensorId: 'a946', sequenceNumber: 1 });
+
+        await waitUntil(() => received.length === 1);
+
+        assert.deepStrictEqual(received, [ 1 ]);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].statusCode, 401);
+    });
+
+    it('sends messages that were not delivered before a restart', async function() {
+        let accepting = true;
+        const received = [];
+
+        server = await startEndpoint((body) => {
+            if (! accepting) {
+                return 503;
+            }
+
+            received.push(...body.messages.map((message) => message.sequenceNumber));
+            return 200;
+        });
+
+        uplink = createUplink();
+        uplink.start();
+        uplink.enqueue({ sensorId: 'a946', sequenceNumber: 1 });
+        await waitUntil(() => received.length === 1);
+
+        accepting = false;
+        uplink.enqueue({ sensorId: 'a946', sequenceNumber: 2 });
+        uplink.enqueue({ sensorId: 'a946', sequenceNumber: 3 });
+        await waitUntil(() => uplink.getStatus().failures > 0);
+        await uplink.stop();
+
+        accepting = true;
+        uplink = createUplink();
+        uplink.start();
+        await waitUntil(() => received.length === 3);
+
+        assert.deepStrictEqual(received, [ 1, 2, 3 ]);
+    });
+
+    it('drops the oldest messages once maxQueued are waiting', async function() {
+        server = await startEndpoint(() => 503);
+        uplink = createUplink({ maxQueued: 2 });
+
+        for (let n = 1; n <= 5; n++) {
+            uplink.enqueue({ sensorId: 'a946', sequenceNumber: n });
+        }
+
+        await uplink.fileOperations;
+        assert.deepStrictEqual(uplink.queue.map((entry) => entry.message.sequenceNumber), [ 4, 5 ]);
+
+        await uplink.stop();
+        uplink = createUplink({ maxQueued: 2 });
+        await uplink.fileOperations;
+
+        assert.deepStrictEqual(uplink.queue.map((entry) => entry.message.sequenceNumber), [ 4, 5 ]);
+    });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { Gateway, FakeRouter } = require('..');
+const { startGateway, nextEvent, delay } = require('./helpers/gateway');
+
+const buildFrame = FakeRouter.buildFrame;
+
+describe('validateFrame', function() {
+    const gateway = new Gateway();
+
+    beforeEach(function() {
+        gateway.params = {};
+    });
+
+    it('accepts a well formed frame', function() {
+        assert.strictEqual(gateway.validateFrame('26010000a94607301c6a1c6b6c32cf'), undefined);
+        assert.strictEqual(gateway.validateFrame(buildFrame({ messageType: '32', sensorId: 'a946', data: '81' })), undefined);
+    });
+
+    it('rejects frames that are not hex', function() {
+        assert.strictEqual(gateway.validateFrame('26010000a94607301c6a1c6b6c32cz'), gateway.FRAME_ERROR_INVALID_CHARACTERS);
+    });
+
+    it('rejects frames with an odd length', function() {
+        assert.strictEqual(gateway.validateFrame('26010000a94607301c6a1c6b6c32c'), gateway.FRAME_ERROR_ODD_LENGTH);
+    });
+
+    it('rejects frames that are shorter than their header', function() {
+        assert.strictEqual(gateway.validateFrame('260100'), gateway.FRAME_ERROR_TOO_SHORT);
+        assert.strictEqual(gateway.validateFrame('20010000a94607301c6a1c6b6c32cf'), gateway.FRAME_ERROR_TOO_SHORT);
+        assert.strictEqual(gateway.validateFrame('26010000a9460730'), gateway.FRAME_ERROR_TOO_SHORT);
+    });
+
+    it('only checks the payload length if verifyFrameLength is set', function() {
+        const longer = '26010000a94608301c6a1c6b6c32cf';
+
+        assert.strictEqual(gateway.validateFrame(longer), undefined);
+
+        gateway.params = { verifyFrameLength: true };
+
+        assert.strictEqual(gateway.validateFrame(longer), gateway.FRAME_ERROR_LENGTH_MISMATCH);
+        assert.strictEqual(gateway.validateFrame('26010000a94607301c6a1c6b6c32cf00'), gateway.FRAME_ERROR_LENGTH_MISMATCH);
+        assert.strictEqual(gateway.validateFrame('26010000a94607301c6a1c6b6c32cf'), undefined);
+    });
+
+    it('does not check the last 2 bytes', function() {
+        assert.strictEqual(gateway.validateFrame('26010000a94607301c6a1c6b6c0000'), undefined);
+    });
+});
+
+describe('onFrameError', function() {
+    let gateway;
+    let router;
+    const frameErrors = [];
+
+    before(async function() {
+        ({ gateway, router } = await startGateway({
+            verifyFrameLength: true,
+            onFrameError: (frameError) => frameErrors.push(frameError)
+        }));
+    });
+
+    after(function() {
+        return gateway.stop();
+    });
+
+    it('is called with rejected frames, which are not decoded', async function() {
+        const messages = [];
+
+        gateway.on('message', (message) => messages.push(message));
+        router.sendLine('>2601');
+        router.sendLine('>26010000a94608301c6a1c6b6c32cf');
+        await delay(50);
+
+        assert.deepStrictEqual(frameErrors.map((frameError) => frameError.reason), [ gateway.FRAME_ERROR_TOO_SHORT, gateway.FRAME_ERROR_LENGTH_MISMATCH ]);
+        assert.strictEqual(frameErrors[0].rawData, '2601');
+        assert.strictEqual(typeof frameErrors[0].timestamp, 'number');
+        assert.deepStrictEqual(messages, []);
+    });
+
+    it('is not called for valid frames', async function() {
+        frameErrors.length = 0;
+
+        const received = nextEvent(gateway, 'message');
+
+        router.receiveFrame(buildFrame({ messageType: '30', sensorId: 'a946', sequenceNumber: 1, data: '6a1c6b6c' }));
+        await received;
+
+        assert.deepStrictEqual(frameErrors, []);
+    });
+});